@@ -43,6 +43,22 @@ window.showScreen = function(screenId) {
         screen.classList.add('active');
     }
     
+    if (screenId === 'stats-screen') {
+        if (initPromise) {
+            initPromise.then(() => g.showStats());
+        } else {
+            g.showStats();
+        }
+    }
+    
+    if (screenId === 'gallery-screen') {
+        if (initPromise) {
+            initPromise.then(() => g.showGallery());
+        } else {
+            g.showGallery();
+        }
+    }
+    
     if (screenId === 'game-screen' && g.gameState !== 'playing') {
         // Wait for init to complete before starting game
         if (initPromise) {
@@ -53,6 +69,24 @@ window.showScreen = function(screenId) {
     }
 };
 
+/**
+ * Start today's Daily Mystery (one attempt per calendar date)
+ */
+window.startDailyChallenge = function() {
+    const g = ensureGameInitialized();
+    const start = () => {
+        if (g.startDailyGame()) {
+            window.showScreen('game-screen');
+        }
+    };
+
+    if (initPromise) {
+        initPromise.then(start);
+    } else {
+        start();
+    }
+};
+
 /**
  * Show a modal
  * @param {string} modalId - ID of the modal
@@ -75,6 +109,18 @@ window.hideModal = function(modalId) {
     }
 };
 
+/**
+ * Show the explorable mammal tree
+ */
+window.showMammalTree = function() {
+    const g = ensureGameInitialized();
+    if (initPromise) {
+        initPromise.then(() => g.showMammalTree());
+    } else {
+        g.showMammalTree();
+    }
+};
+
 /**
  * Show mammal info modal by ID (used by D3 chart)
  * @param {*} id - Mammal ID
@@ -96,15 +142,11 @@ Object.defineProperty(window, 'game', {
 
 // ==================== Initialize on DOM Ready ====================
 
-console.log('Main.js loaded - global functions registered');
-
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        console.log('DOM ready - initializing game');
         ensureGameInitialized();
     });
 } else {
-    console.log('DOM already ready - initializing game');
     ensureGameInitialized();
 }
 
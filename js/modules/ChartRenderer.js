@@ -1,10 +1,34 @@
 /**
  * ChartRenderer.js
- * Simple renderer for end-of-round ranking UI
+ * Renderer for the end-of-round ranking and phylogeny views
  */
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Round tree geometry, in SVG user units
+const TREE_GEOMETRY = {
+    width: 720,
+    labelWidth: 280,
+    rowHeight: 22,
+    margin: 16
+};
+
+// Rounds with more tips than this (open pools) are shown as the ranking list
+const MAX_TREE_TIPS = 400;
+
+function walkTree(node, visit) {
+    visit(node);
+    node.children.forEach(child => walkTree(child, visit));
+}
+
+// 'phylogram' draws branch lengths; 'cladogram' aligns every tip
+export const TREE_LAYOUTS = {
+    phylogram: 'Branch lengths',
+    cladogram: 'Cladogram'
+};
+
 /**
- * ChartRenderer renders the end-of-round ranking list.
+ * ChartRenderer renders the end-of-round ranking list and round tree.
  */
 export class ChartRenderer {
     constructor() {
@@ -68,6 +92,232 @@ export class ChartRenderer {
         container.appendChild(list);
     }
 
+    /**
+     * Render the round's tree rooted on the target, with tips coloured by rank
+     * band and guesses numbered in order. Falls back to the ranking list when
+     * there is no tree (or too many tips to draw).
+     * @param {Object} params
+     * @param {Object} params.tree - Round tree from GameEngine.getRoundTree()
+     * @param {Array} params.roundRanking - Array of { id, mammal, rank, tieSize }
+     * @param {Object} params.target
+     * @param {string[]} params.guessOrder - IDs of the guessed mammals, in order
+     * @param {string} params.layout - Key of TREE_LAYOUTS
+     * @param {Function} params.onItemClick - Called with a mammal ID
+     * @param {Function} params.onLayoutChange - Called with the newly chosen layout
+     * @param {HTMLElement} container
+     */
+    renderRoundTree(params, container) {
+        const { tree, roundRanking, target, guessOrder = [], onItemClick, onLayoutChange } = params || {};
+        const layout = TREE_LAYOUTS[params?.layout] ? params.layout : 'phylogram';
+
+        const rows = new Map((roundRanking || []).map(row => [row.id, row]));
+        const { root, tips } = (tree && this.layoutTree(tree, layout)) || {};
+        if (!container || !target || !tips || tips.length < 2 || tips.length > MAX_TREE_TIPS) {
+            this.renderRoundRankingList({
+                roundRanking,
+                target,
+                guessedIds: guessOrder,
+                onItemClick
+            }, container);
+            return;
+        }
+
+        container.innerHTML = '';
+        container.appendChild(this.createLayoutToggle(layout, (choice) => {
+            if (onLayoutChange) onLayoutChange(choice);
+            this.renderRoundTree({ ...params, layout: choice }, container);
+        }));
+        container.appendChild(this.createTreeLegend());
+
+        const { width, labelWidth, rowHeight, margin } = TREE_GEOMETRY;
+        const height = tips.length * rowHeight + margin * 2;
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `Phylogeny of the round's ${tips.length} species, rooted on the target`);
+
+        const scaleX = (width - labelWidth - margin * 2);
+        const toX = (node) => margin + node.x * scaleX;
+        const toY = (node) => margin + rowHeight / 2 + node.y * rowHeight;
+
+        // Branches on the way from the target to a guess are highlighted
+        const guessIndex = new Map(guessOrder.map((id, index) => [id, index + 1]));
+        const onGuessPath = new Set();
+        tips.forEach(tip => {
+            if (!guessIndex.has(tip.mammalId) && tip.mammalId !== target.id) return;
+            for (let node = tip; node; node = node.parent) onGuessPath.add(node);
+        });
+
+        const branches = document.createElementNS(SVG_NS, 'g');
+        walkTree(root, node => {
+            if (!node.parent) return;
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', `M${toX(node.parent)},${toY(node.parent)}V${toY(node)}H${toX(node)}`);
+            path.setAttribute('class', 'round-tree-branch');
+            if (onGuessPath.has(node)) path.classList.add('guess-path');
+            if (node.graftLevel) path.classList.add('estimated');
+            branches.appendChild(path);
+        });
+        svg.appendChild(branches);
+
+        const totalRanks = Math.max(0, rows.size - 1);
+        tips.forEach(tip => {
+            const row = rows.get(tip.mammalId);
+            const mammal = row?.mammal || (tip.mammalId === target.id ? target : null);
+            const isTarget = tip.mammalId === target.id;
+            const order = guessIndex.get(tip.mammalId);
+            const rank = row?.rank ?? null;
+
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('transform', `translate(${toX(tip)},${toY(tip)})`);
+            group.setAttribute('class', 'round-tree-tip');
+            if (isTarget) {
+                group.classList.add('round-tree-target');
+            } else {
+                group.classList.add(`rank-${this.getRankColorClass(rank, totalRanks)}`);
+                if (order) group.classList.add('round-tree-guess');
+            }
+
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('r', isTarget || order ? 5 : 4);
+            group.appendChild(circle);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('class', 'round-tree-label');
+            label.setAttribute('x', 9);
+            label.setAttribute('dy', '0.35em');
+            const name = mammal?.common_name || mammal?.scientific_name || tip.label.replace(/_/g, ' ');
+            label.textContent = order ? `${order}. ${name}` : name;
+
+            const detail = document.createElementNS(SVG_NS, 'tspan');
+            detail.setAttribute('class', 'round-tree-node');
+            if (isTarget) {
+                detail.classList.add('target');
+                detail.textContent = ' · Target';
+            } else if (rank) {
+                if (order) detail.classList.add('guess');
+                detail.textContent = ` · #${rank}${row.tieSize > 1 ? ' (tied)' : ''}`;
+            }
+            label.appendChild(detail);
+            group.appendChild(label);
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = [
+                mammal?.scientific_name || tip.label,
+                tip.graftLevel ? `placed by ${tip.graftLevel} (not in the tree)` : null
+            ].filter(Boolean).join(' · ');
+            group.appendChild(title);
+
+            if (mammal) {
+                group.style.cursor = 'pointer';
+                group.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (onItemClick) onItemClick(mammal.id);
+                });
+            }
+            svg.appendChild(group);
+        });
+
+        const scroll = document.createElement('div');
+        scroll.className = 'round-tree-scroll';
+        scroll.appendChild(svg);
+        container.appendChild(scroll);
+    }
+
+    /**
+     * Position every node of a round tree. x runs from 0 (root) to 1 (the
+     * farthest tip); y is the row of a tip, or the middle of a node's children.
+     * The target (a child of the root) is drawn first.
+     * @param {Object} tree - Snapshot nodes { label, branchLength, children, mammalId, graftLevel }
+     * @param {string} layout - 'phylogram' or 'cladogram'
+     * @returns {{ root: Object, tips: Object[] }|null} Laid-out root, and the tips in drawing order
+     */
+    layoutTree(tree, layout) {
+        const build = (source, parent) => {
+            const node = {
+                label: source.label || '',
+                branchLength: Math.max(0, source.branchLength || 0),
+                mammalId: source.mammalId ?? null,
+                graftLevel: source.graftLevel ?? null,
+                parent,
+                children: []
+            };
+            node.children = (source.children || []).map(child => build(child, node));
+            return node;
+        };
+        const root = build(tree, null);
+        root.children.sort((a, b) => (b.mammalId !== null) - (a.mammalId !== null));
+
+        const tips = [];
+        let depthMax = 0;
+        let levelsMax = 0;
+        const place = (node, depth) => {
+            node.depth = depth;
+            if (node.children.length === 0) {
+                node.y = tips.length;
+                node.levels = 0;
+                tips.push(node);
+            } else {
+                node.children.forEach(child => place(child, depth + child.branchLength));
+                node.y = (node.children[0].y + node.children[node.children.length - 1].y) / 2;
+                node.levels = 1 + Math.max(...node.children.map(child => child.levels));
+            }
+            depthMax = Math.max(depthMax, depth);
+            levelsMax = Math.max(levelsMax, node.levels);
+        };
+        place(root, 0);
+        if (tips.length === 0) return null;
+
+        // Without branch lengths a phylogram collapses; draw a cladogram instead
+        const useDepth = layout === 'phylogram' && depthMax > 0;
+        walkTree(root, node => {
+            node.x = useDepth
+                ? node.depth / depthMax
+                : (levelsMax > 0 ? (levelsMax - node.levels) / levelsMax : 0);
+        });
+
+        return { root, tips };
+    }
+
+    /**
+     * Buttons switching between the tree layouts
+     */
+    createLayoutToggle(layout, onChange) {
+        const toggle = document.createElement('div');
+        toggle.className = 'round-tree-layouts';
+        Object.entries(TREE_LAYOUTS).forEach(([key, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary round-tree-layout';
+            button.textContent = label;
+            button.setAttribute('aria-pressed', String(key === layout));
+            if (key === layout) button.classList.add('selected');
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (key !== layout) onChange(key);
+            });
+            toggle.appendChild(button);
+        });
+        return toggle;
+    }
+
+    /**
+     * Legend for the tip colours
+     */
+    createTreeLegend() {
+        const legend = document.createElement('div');
+        legend.className = 'round-tree-legend';
+        legend.innerHTML = [
+            ['target', 'Target'],
+            ['green', 'Closest third'],
+            ['yellow', 'Middle third'],
+            ['red', 'Farthest third']
+        ].map(([key, label]) => `
+            <span class="legend-item ${key}"><span class="legend-swatch"></span>${label}</span>
+        `).join('') + '<span class="legend-item">Guesses are numbered in order</span>';
+        return legend;
+    }
+
     getRankClass(rank, totalRanks) {
         const color = this.getRankColorClass(rank, totalRanks);
         if (rank === 1) return 'perfect-match';
@@ -0,0 +1,110 @@
+/**
+ * DailyChallenge.js
+ * Module for the "Daily Mystery" mode: one shared, seeded round per calendar date
+ */
+
+import { getDateKey, getDailySeed } from './utils/SeededRandom.js';
+
+const STORAGE_KEY = 'mammalMystery.daily';
+
+/**
+ * DailyChallenge tracks which daily rounds the player has attempted.
+ * Attempts are stored in localStorage keyed by date (YYYY-MM-DD).
+ */
+export class DailyChallenge {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.entries = this.readEntries();
+    }
+
+    /**
+     * Get the date key for today (or a given date)
+     * @param {Date} date
+     * @returns {string}
+     */
+    getDateKey(date = new Date()) {
+        return getDateKey(date);
+    }
+
+    /**
+     * Get the RNG seed for today (or a given date)
+     * @param {Date} date
+     * @returns {string}
+     */
+    getSeed(date = new Date()) {
+        return getDailySeed(date);
+    }
+
+    /**
+     * Check whether the daily round for a date has already been attempted
+     * @param {string} dateKey
+     * @returns {boolean}
+     */
+    hasAttempted(dateKey = this.getDateKey()) {
+        return Boolean(this.entries[dateKey]);
+    }
+
+    /**
+     * Get the stored entry for a date
+     * @param {string} dateKey
+     * @returns {Object|null}
+     */
+    getEntry(dateKey = this.getDateKey()) {
+        return this.entries[dateKey] || null;
+    }
+
+    /**
+     * Mark the daily round as started. The lock is taken at the start of the
+     * round so reloading the page mid-round does not grant another attempt.
+     * @param {string} dateKey
+     */
+    markStarted(dateKey = this.getDateKey()) {
+        if (this.entries[dateKey]) return;
+        this.entries[dateKey] = { status: 'started', startedAt: new Date().toISOString() };
+        this.writeEntries();
+    }
+
+    /**
+     * Record the outcome of the daily round
+     * @param {string} dateKey
+     * @param {{ won: boolean, guessCount: number }} result
+     */
+    recordResult(dateKey, result) {
+        const entry = this.entries[dateKey] || {};
+        this.entries[dateKey] = {
+            ...entry,
+            status: result?.won ? 'won' : 'lost',
+            guessCount: result?.guessCount ?? null,
+            finishedAt: new Date().toISOString()
+        };
+        this.writeEntries();
+    }
+
+    /**
+     * Read stored entries, tolerating missing or corrupt storage
+     * @returns {Object}
+     */
+    readEntries() {
+        if (!this.storage) return {};
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            return (parsed && typeof parsed === 'object') ? parsed : {};
+        } catch (error) {
+            console.warn('Unable to read daily challenge state:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist entries
+     */
+    writeEntries() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Unable to save daily challenge state:', error);
+        }
+    }
+}
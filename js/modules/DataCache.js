@@ -0,0 +1,131 @@
+/**
+ * DataCache.js
+ * IndexedDB store for data derived from the tree and species files
+ *
+ * Entries are kept in named slots, each tagged with the content hash of the
+ * files it was built from; a slot whose key no longer matches is ignored and
+ * overwritten, so the store never holds more than one version. Every method
+ * resolves (to null/false on failure) so a missing or blocked IndexedDB
+ * (private browsing, Node) only costs the speed-up.
+ */
+
+const DB_NAME = 'mammalMystery';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class DataCache {
+    /**
+     * @param {IDBFactory|null} indexedDB - Defaults to the global indexedDB (absent in Node)
+     */
+    constructor(indexedDB = globalThis.indexedDB || null) {
+        this.factory = indexedDB;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     * @returns {boolean}
+     */
+    get isAvailable() {
+        return !!this.factory;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.factory) return Promise.resolve(null);
+        if (!this.dbPromise) {
+            const request = this.factory.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME);
+                }
+            };
+            this.dbPromise = promisify(request).catch(error => {
+                console.warn('Data cache unavailable:', error);
+                this.dbPromise = null;
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction on the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store
+     * @returns {Promise<*>}
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        if (!db) return null;
+        const transaction = db.transaction(STORE_NAME, mode);
+        // Writes only count once the transaction commits
+        const committed = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const [result] = await Promise.all([
+            promisify(makeRequest(transaction.objectStore(STORE_NAME))),
+            committed
+        ]);
+        return result;
+    }
+
+    /**
+     * Read a slot if it was built from the given content
+     * @param {string} slot - Slot name
+     * @param {string} key - Content hash the entry must carry
+     * @returns {Promise<*>} Stored value, or null if missing or stale
+     */
+    async get(slot, key) {
+        try {
+            const entry = await this.run('readonly', store => store.get(slot));
+            return entry && entry.key === key ? entry.value : null;
+        } catch (error) {
+            console.warn(`Failed to read cached ${slot}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a slot, replacing any other version
+     * @param {string} slot - Slot name
+     * @param {string} key - Content hash of the source data
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async set(slot, key, value) {
+        try {
+            await this.run('readwrite', store => store.put({ key, value, savedAt: Date.now() }, slot));
+            return true;
+        } catch (error) {
+            console.warn(`Failed to cache ${slot}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove every cached entry
+     * @returns {Promise<boolean>} Whether the store was cleared
+     */
+    async clear() {
+        try {
+            await this.run('readwrite', store => store.clear());
+            return this.isAvailable;
+        } catch (error) {
+            console.warn('Failed to clear the data cache:', error);
+            return false;
+        }
+    }
+}
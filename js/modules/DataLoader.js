@@ -0,0 +1,30 @@
+/**
+ * DataLoader.js
+ * Injectable access to the game's data files
+ *
+ * A loader is any object with json(path) and text(path) methods returning
+ * promises. The browser uses fetch; Node scripts pass a loader that reads
+ * the same relative paths from disk.
+ */
+
+/**
+ * Create a loader backed by fetch
+ * @param {Function} fetchFn - fetch-compatible function (defaults to the global fetch)
+ * @returns {{ json: Function, text: Function }}
+ */
+export function createFetchLoader(fetchFn = (...args) => fetch(...args)) {
+    const request = async (path) => {
+        const response = await fetchFn(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+        }
+        return response;
+    };
+
+    return {
+        json: async (path) => (await request(path)).json(),
+        text: async (path) => (await request(path)).text()
+    };
+}
+
+export const defaultLoader = createFetchLoader();
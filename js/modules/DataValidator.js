@@ -0,0 +1,301 @@
+/**
+ * DataValidator.js
+ * Schema and integrity checks for mammal_data.json
+ *
+ * The report separates errors (records the game cannot use correctly),
+ * warnings (data that still works but degrades the game) and collisions
+ * (IDs and names claimed by more than one record, of which only the first
+ * is reachable). The game logs it in development, and
+ * `node scripts/mammal-build.js validate` runs the same checks before data ships.
+ * With sharded data the core index lacks the detail fields, so each shard's
+ * records are checked as they are merged (validateMammalDetails).
+ */
+
+import { SpeciesNormalizer } from './utils/SpeciesNormalizer.js';
+
+/**
+ * Fields of a mammal record. Optional fields may be missing or null.
+ */
+export const MAMMAL_SCHEMA = {
+    id: { type: 'integer', required: true },
+    scientific_name: { type: 'string', required: true },
+    common_name: { type: 'string' },
+    family: { type: 'string', required: true },
+    order: { type: 'string', required: true },
+    gbif_id: { type: 'integer' },
+    iucn_id: { type: 'integer' },
+    inaturalist_id: { type: 'integer' },
+    animalia_slug: { type: 'string' },
+    animalia_alt_name: { type: 'string' },
+    animalia_alt_names: { type: 'array' },
+    img_urls: { type: 'array' },
+    family_member_count: { type: 'integer' }
+};
+
+// Genus and species, optionally a subspecies
+const SCIENTIFIC_NAME = /^[A-Z][a-z-]+ [a-z-]+( [a-z-]+)?$/;
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'string': return typeof value === 'string' && value.trim().length > 0;
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+}
+
+function normalizeFamily(family) {
+    return String(family || '').trim().toLowerCase();
+}
+
+/**
+ * Validate the mammal dataset
+ * @param {*} records - Parsed mammal_data.json
+ * @param {Object} options
+ * @param {Object[]} options.fossils - Extinct taxa loaded alongside (see loadFossilTaxa);
+ *        only checked for ID and name collisions with the dataset
+ * @returns {{ valid: boolean, recordCount: number, errors: Object[], warnings: Object[],
+ *            collisions: Object[] }} Errors and warnings are { index, id, field, message };
+ *          collisions are { field, value, records: [{ index, id, name, fossil }] }, in
+ *          data order. Valid means no errors and no collisions.
+ */
+export function validateMammalData(records, { fossils = [] } = {}) {
+    const errors = [];
+    const warnings = [];
+    const report = (list, index, record, field, message) => {
+        list.push({ index, id: record?.id ?? null, field, message });
+    };
+
+    if (!Array.isArray(records)) {
+        errors.push({ index: null, id: null, field: null, message: 'Mammal data must be an array of records' });
+        return { valid: false, recordCount: 0, errors, warnings, collisions: [] };
+    }
+
+    const familySizes = new Map();
+    records.forEach(record => {
+        const family = normalizeFamily(record?.family);
+        if (family) familySizes.set(family, (familySizes.get(family) || 0) + 1);
+    });
+
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            report(errors, index, null, null, 'Record is not an object');
+            return;
+        }
+
+        validateFields(record, index, new Set([...Object.keys(MAMMAL_SCHEMA), ...Object.keys(record)]), errors, warnings);
+
+        if (matchesType(record.scientific_name, 'string') && !SCIENTIFIC_NAME.test(record.scientific_name.trim())) {
+            report(warnings, index, record, 'scientific_name', `"${record.scientific_name}" is not a binomial name`);
+        }
+
+        validateDetailValues(record, index, errors, warnings);
+
+        const familySize = familySizes.get(normalizeFamily(record.family));
+        if (record.family_member_count === undefined || record.family_member_count === null) {
+            report(warnings, index, record, 'family_member_count', 'Missing; target selection treats the family as size 1');
+        } else if (familySize && Number.isInteger(record.family_member_count) && record.family_member_count !== familySize) {
+            report(errors, index, record, 'family_member_count',
+                `Is ${record.family_member_count} but the dataset has ${familySize} species in ${record.family}`);
+        }
+    });
+
+    const collisions = findCollisions(records, fossils);
+    return {
+        valid: errors.length === 0 && collisions.length === 0,
+        recordCount: records.length,
+        errors,
+        warnings,
+        collisions
+    };
+}
+
+/**
+ * Validate the detail records of one shard (see shardMammalData). Only the
+ * fields a record carries are checked: the rest live in the core index.
+ * @param {Object} details - Detail fields by mammal ID, as in a shard file
+ * @returns {{ valid: boolean, recordCount: number, errors: Object[], warnings: Object[],
+ *            collisions: Object[] }} As validateMammalData, with index null and no collisions
+ */
+export function validateMammalDetails(details) {
+    const errors = [];
+    const warnings = [];
+
+    if (!details || typeof details !== 'object' || Array.isArray(details)) {
+        errors.push({ index: null, id: null, field: null, message: 'Details must be an object of records by ID' });
+        return { valid: false, recordCount: 0, errors, warnings, collisions: [] };
+    }
+
+    const entries = Object.entries(details);
+    entries.forEach(([id, fields]) => {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            errors.push({ index: null, id: Number(id), field: null, message: 'Record is not an object' });
+            return;
+        }
+        const record = { ...fields, id: Number(id) };
+        validateFields(record, null, Object.keys(fields), errors, warnings);
+        validateDetailValues(record, null, errors, warnings);
+    });
+
+    return { valid: errors.length === 0, recordCount: entries.length, errors, warnings, collisions: [] };
+}
+
+/**
+ * Check fields of a record against MAMMAL_SCHEMA: required ones present,
+ * types right, none unknown
+ */
+function validateFields(record, index, fields, errors, warnings) {
+    fields.forEach(field => {
+        const rule = MAMMAL_SCHEMA[field];
+        const value = record[field];
+        const entry = { index, id: record.id ?? null, field };
+        if (!rule) {
+            warnings.push({ ...entry, message: 'Unknown field' });
+        } else if (value === undefined || value === null) {
+            if (rule.required) errors.push({ ...entry, message: 'Missing required field' });
+        } else if (!matchesType(value, rule.type)) {
+            errors.push({ ...entry, message: `Expected ${rule.type === 'string' ? 'a non-empty string' : `an ${rule.type}`}` });
+        }
+    });
+}
+
+/**
+ * Check the contents of the list fields: alternate names and images
+ */
+function validateDetailValues(record, index, errors, warnings) {
+    if (Array.isArray(record.animalia_alt_names) && !record.animalia_alt_names.every(name => matchesType(name, 'string'))) {
+        errors.push({ index, id: record.id ?? null, field: 'animalia_alt_names', message: 'Expected an array of non-empty strings' });
+    }
+    validateImageUrls(record, index, errors, warnings);
+}
+
+function validateImageUrls(record, index, errors, warnings) {
+    const urls = record.img_urls;
+    if (!Array.isArray(urls)) return;
+
+    if (urls.length === 0) {
+        warnings.push({ index, id: record.id ?? null, field: 'img_urls', message: 'No images' });
+        return;
+    }
+
+    const seen = new Set();
+    urls.forEach((url, k) => {
+        const field = `img_urls[${k}]`;
+        let parsed = null;
+        try {
+            parsed = typeof url === 'string' ? new URL(url) : null;
+        } catch {
+            parsed = null;
+        }
+
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            errors.push({ index, id: record.id ?? null, field, message: `Not a web URL: ${JSON.stringify(url)}` });
+            return;
+        }
+        if (seen.has(url)) {
+            warnings.push({ index, id: record.id ?? null, field, message: 'Duplicate image' });
+        }
+        seen.add(url);
+    });
+}
+
+/**
+ * IDs and lookup names claimed by more than one record. MammalLookup indexes
+ * records by ID and by name variants (as typed, underscored and the genus_species
+ * canonical form), so any shared key would make one record unreachable.
+ */
+function findCollisions(records, fossils) {
+    const normalizer = new SpeciesNormalizer();
+    const owners = { id: new Map(), name: new Map() };
+    const claim = (field, key, record) => {
+        if (key === null || key === undefined || key === '') return;
+        if (!owners[field].has(key)) owners[field].set(key, new Set());
+        owners[field].get(key).add(record);
+    };
+
+    const entries = [
+        ...records.map((record, index) => ({ record, index, fossil: false })),
+        ...(Array.isArray(fossils) ? fossils : []).map(record => ({ record, index: null, fossil: true }))
+    ].map((entry, position) => ({ ...entry, position }));
+    entries.forEach(entry => {
+        const { record } = entry;
+        if (!record || typeof record !== 'object') return;
+        claim('id', record.id, entry);
+
+        const keys = new Set();
+        if (typeof record.scientific_name === 'string' && record.scientific_name.trim()) {
+            const normalized = record.scientific_name.trim().toLowerCase();
+            const underscored = normalized.replace(/\s+/g, '_');
+            keys.add(normalized);
+            keys.add(underscored);
+            keys.add(normalizer.getCanonical(underscored)?.toLowerCase());
+        }
+        if (typeof record.tree_label === 'string') keys.add(record.tree_label.trim().toLowerCase());
+        keys.forEach(key => claim('name', key, entry));
+    });
+
+    // One entry per group of records, however many of their name variants clash
+    const collisions = [];
+    const reported = new Set();
+    Object.entries(owners).forEach(([field, keys]) => {
+        keys.forEach((claimants, value) => {
+            if (claimants.size < 2) return;
+            const group = `${field}:${[...claimants].map(({ position }) => position).join(',')}`;
+            if (reported.has(group)) return;
+            reported.add(group);
+            collisions.push({
+                field: field === 'id' ? 'id' : 'scientific_name',
+                value,
+                records: [...claimants].map(({ record, index, fossil }) => ({
+                    index,
+                    id: record.id ?? null,
+                    name: record.scientific_name ?? null,
+                    fossil
+                }))
+            });
+        });
+    });
+    return collisions;
+}
+
+/**
+ * Format a validation report for the console
+ * @param {Object} report - From validateMammalData or validateMammalDetails
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of entries listed per section
+ * @param {string} options.title - What was validated
+ * @returns {string}
+ */
+export function formatValidationReport(report, { limit = 20, title = 'Mammal data' } = {}) {
+    const lines = [
+        `${title}: ${report.recordCount} records, ${report.errors.length} error(s), `
+            + `${report.warnings.length} warning(s), ${report.collisions.length} collision(s)`
+    ];
+    const describe = ({ index, id, field, message }) => {
+        const where = [
+            index !== null ? `#${index}` : null,
+            id !== null ? `id ${id}` : null,
+            field
+        ].filter(Boolean).join(' ');
+        return `  ${where ? `${where}: ` : ''}${message}`;
+    };
+
+    const describeRecord = ({ index, id, name, fossil }) => (fossil
+        ? `fossil id ${id} (${name})`
+        : `#${index} id ${id} (${name})`);
+    const describeCollision = ({ field, value, records }) => (
+        `  ${field} ${JSON.stringify(value)}: ${records.map(describeRecord).join(', ')}; only the first is used`
+    );
+
+    [
+        ['Errors', report.errors, describe],
+        ['Collisions', report.collisions, describeCollision],
+        ['Warnings', report.warnings, describe]
+    ].forEach(([title, items, format]) => {
+        if (items.length === 0) return;
+        lines.push(`${title}:`);
+        items.slice(0, limit).forEach(item => lines.push(format(item)));
+        if (items.length > limit) lines.push(`  ... and ${items.length - limit} more`);
+    });
+    return lines.join('\n');
+}
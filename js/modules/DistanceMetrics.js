@@ -0,0 +1,184 @@
+/**
+ * DistanceMetrics.js
+ * Registry of the distance metrics a round can be ranked by
+ *
+ * A metric measures how far a guess is from the target (smaller is closer)
+ * and returns null when it cannot measure the pair (for example, tree
+ * metrics before the tree has loaded). Blends combine other metrics after
+ * scaling each one to 0-1 across the round, so they are measured a whole
+ * round at a time.
+ */
+
+import { getSharedRank } from './SharedTaxon.js';
+
+export const DEFAULT_METRIC = 'patristic';
+
+// Ranks the round when the selected metric cannot measure any pair
+export const FALLBACK_METRIC = 'taxonomic';
+
+// Steps from each shared rank down to a species (order -> family -> genus -> species)
+const TAXONOMIC_STEPS = { species: 0, genus: 1, family: 2, order: 3, class: 4 };
+
+function finiteOrNull(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Built-in metrics
+ *
+ * Pair fields:
+ * - mammal: guessed mammal
+ * - target: target mammal
+ * - phylo: cached tree metrics of the pair ({ raw, edges, divergenceMa }), or null
+ */
+export const DISTANCE_METRICS = [
+    {
+        id: 'patristic',
+        label: 'Patristic distance',
+        description: 'Branch-length path between the two species in the tree',
+        needsTree: true,
+        measure: ({ phylo }) => finiteOrNull(phylo?.raw)
+    },
+    {
+        id: 'mrca-age',
+        label: 'Shared-ancestor age',
+        description: 'Age of the most recent common ancestor in millions of years',
+        needsTree: true,
+        measure: ({ phylo }) => finiteOrNull(phylo?.divergenceMa)
+    },
+    {
+        id: 'node-count',
+        label: 'Node count',
+        description: 'Number of branches on the tree path between the two species',
+        needsTree: true,
+        measure: ({ phylo }) => finiteOrNull(phylo?.edges)
+    },
+    {
+        id: 'taxonomic',
+        label: 'Taxonomic distance',
+        description: 'Steps up to the lowest shared rank and back down to the species',
+        needsTree: false,
+        measure: ({ mammal, target }) => {
+            const shared = getSharedRank(mammal, target);
+            return shared ? 2 * TAXONOMIC_STEPS[shared.level] : null;
+        }
+    }
+];
+
+const registry = new Map();
+
+/**
+ * Measure every pair of a round with a metric
+ * @param {Object} metric - Registered metric or blend
+ * @param {Object[]} pairs - Pair contexts
+ * @returns {(number|null)[]} Distances parallel to pairs
+ */
+export function measureRound(metric, pairs) {
+    if (typeof metric.measureRound === 'function') {
+        return metric.measureRound(pairs);
+    }
+    return pairs.map(pair => {
+        try {
+            return finiteOrNull(metric.measure(pair));
+        } catch (error) {
+            console.warn(`Distance metric ${metric.id} failed:`, error);
+            return null;
+        }
+    });
+}
+
+/**
+ * Create a weighted blend of registered metrics. Each component is divided
+ * by its largest value in the round before weighting; pairs a component
+ * cannot measure are blended from the remaining components.
+ * @param {Object} options
+ * @param {string} options.id - Metric ID
+ * @param {string} options.label - Display label
+ * @param {Object<string, number>} options.weights - Metric ID -> positive weight
+ * @returns {Object|null} Metric, or null if a component is unknown or no weight is positive
+ */
+export function createBlendMetric({ id, label, weights }) {
+    const components = Object.entries(weights || {})
+        .filter(([, weight]) => Number.isFinite(weight) && weight > 0)
+        .map(([metricId, weight]) => ({ metric: registry.get(metricId), weight }));
+    if (components.length === 0 || components.some(({ metric }) => !metric || metric.measureRound)) {
+        return null;
+    }
+
+    return {
+        id,
+        label: label || 'Custom blend',
+        description: components.map(({ metric, weight }) => `${weight} × ${metric.label}`).join(' + '),
+        needsTree: components.some(({ metric }) => metric.needsTree),
+        weights: Object.fromEntries(components.map(({ metric, weight }) => [metric.id, weight])),
+        measureRound: (pairs) => {
+            const columns = components.map(({ metric, weight }) => {
+                const values = measureRound(metric, pairs);
+                const max = Math.max(0, ...values.filter(value => value !== null));
+                return { weight, values, max };
+            });
+
+            return pairs.map((_, k) => {
+                let sum = 0;
+                let totalWeight = 0;
+                columns.forEach(({ weight, values, max }) => {
+                    if (values[k] === null) return;
+                    sum += weight * (max > 0 ? values[k] / max : 0);
+                    totalWeight += weight;
+                });
+                return totalWeight > 0 ? sum / totalWeight : null;
+            });
+        }
+    };
+}
+
+/**
+ * Register a metric (replacing any metric with the same ID)
+ * @param {{ id: string, label: string, description?: string, needsTree?: boolean,
+ *           measure?: Function, measureRound?: Function }} metric
+ */
+export function registerMetric(metric) {
+    if (!metric?.id || (typeof metric.measure !== 'function' && typeof metric.measureRound !== 'function')) {
+        throw new Error('A distance metric needs an id and a measure function');
+    }
+    registry.set(metric.id, metric);
+}
+
+DISTANCE_METRICS.forEach(registerMetric);
+
+registerMetric(createBlendMetric({
+    id: 'balanced',
+    label: 'Balanced blend',
+    weights: { patristic: 1, taxonomic: 1 }
+}));
+
+/**
+ * Resolve a metric by ID, or a user-defined blend written as
+ * 'blend:patristic=2,taxonomic=1'
+ * @param {string} spec
+ * @returns {Object|null}
+ */
+export function getMetric(spec) {
+    if (typeof spec !== 'string') return null;
+    if (registry.has(spec)) return registry.get(spec);
+
+    const match = /^blend:(.+)$/.exec(spec.trim());
+    if (!match) return null;
+
+    const weights = {};
+    for (const term of match[1].split(',')) {
+        const [metricId, weight] = term.split('=').map(part => part.trim());
+        const value = Number(weight);
+        if (!metricId || !Number.isFinite(value) || value < 0) return null;
+        weights[metricId] = value;
+    }
+    return createBlendMetric({ id: spec.trim(), label: 'Custom blend', weights });
+}
+
+/**
+ * Registered metrics in registration order
+ * @returns {Object[]}
+ */
+export function listMetrics() {
+    return [...registry.values()];
+}
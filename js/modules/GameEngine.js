@@ -0,0 +1,803 @@
+/**
+ * GameEngine.js
+ * DOM-free game core: data loading, round setup, ranking, guesses and end conditions
+ *
+ * The engine never touches the page, so it runs in the browser (driven by
+ * MammalMysteryGame) and in Node (scripts/play.js). Data files are read
+ * through an injectable loader; settings are passed in per round.
+ */
+
+import { PhyloService } from './PhyloService.js';
+import {
+    loadMammalData,
+    loadFossilTaxa,
+    loadImageAttributions,
+    getTreeLabel,
+    getGenus,
+    MammalLookup,
+    weightedSample
+} from './MammalData.js';
+import { NameSearchIndex } from './NameSearch.js';
+import { SpeciesPoolBuilder, loadCuratedPools, describePool, MIN_POOL_SIZE } from './SpeciesPool.js';
+import { CladeIndex, loadCladeDefinitions } from './SharedTaxon.js';
+import { HintLadder } from './HintLadder.js';
+import { getMetric, measureRound, DEFAULT_METRIC, FALLBACK_METRIC } from './DistanceMetrics.js';
+import { getGuessComparison } from './GuessFeedback.js';
+import { defaultLoader } from './DataLoader.js';
+import { createSeededRandom } from './utils/SeededRandom.js';
+import { hashContent } from './utils/ContentHash.js';
+import { validateMammalData, validateMammalDetails, formatValidationReport } from './DataValidator.js';
+import { IS_DEVELOPMENT, devLog } from './utils/DevLog.js';
+
+// Data files (paths are relative to the site root) and debugging switches
+const CONFIG = {
+    // A single (MCC) tree, or a posterior sample of trees (several Newick
+    // lines or a NEXUS trees block) to rank by summarized distances
+    TREE_FILE: './FBD-tree.tre',
+    // How distances are summarized across a posterior sample: 'mean' or 'median'
+    TREE_DISTANCE_SUMMARY: 'median',
+    // Core index of the sharded species data (a complete mammal_data.json also works)
+    DATA_FILE: './data/mammals/index.json',
+    FOSSIL_FILE: './data/fossil_taxa.json',
+    IMAGE_ATTRIBUTIONS_FILE: './data/image_attributions.json',
+    CLADES_FILE: './data/clades.json',
+    POOLS_INDEX: './data/pools/index.json',
+    DEBUG_DISTANCE_LOGS: false,
+    // Log the integrity report of the species data (see DataValidator.js)
+    LOG_DATA_REPORT: IS_DEVELOPMENT
+};
+
+/**
+ * GameEngine holds the state of the current round
+ */
+export class GameEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.loader - Data loader (see DataLoader.js)
+     * @param {PhyloService} options.phyloService - Phylogeny service (created from the loader if omitted)
+     * @param {Object} options.config - Overrides for CONFIG
+     */
+    constructor({ loader = defaultLoader, phyloService = null, config = {} } = {}) {
+        this.config = { ...CONFIG, ...config };
+        this.loader = loader;
+
+        // Round state
+        this.currentTarget = null;
+        this.gameOptions = [];
+        this.guesses = [];
+        this.currentGuess = 1;
+        this.gameState = 'home'; // 'home', 'playing', 'finished'
+        this.guessedIds = new Set();
+        this.lastRoundResult = null;
+
+        // Round identity: every round is generated from a seed so it can be reproduced
+        this.roundMode = 'random'; // 'random', 'daily'
+        this.roundSeed = null;
+        this.roundDateKey = null;
+        this.roundSettings = null; // Settings are fixed for the duration of a round
+        this.roundOpenPool = false;
+        this.roundPool = null; // Resolved pool definition (null = all species)
+        this.roundPoolSize = 0;
+        this.roundOptionsCount = 0; // Options dealt at the start (gameOptions shrinks as guesses are made)
+
+        // Round ranking state (computed once per round)
+        this.roundMetric = DEFAULT_METRIC; // Selected distance metric (ID or blend spec)
+        this.roundRankedBy = null; // Metric the ranking was computed with (may be the fallback)
+        this.roundRanking = [];
+        this.roundRankById = new Map();
+        this.roundMetricsById = new Map();
+        // Pending phylogenetic re-ranking of the round; guesses wait until it settles
+        this.roundSetup = null;
+
+        // Modules
+        this.mammalLookup = new MammalLookup();
+        this.phyloService = phyloService
+            || new PhyloService(loader === defaultLoader ? {} : { loader });
+        this.nameSearch = new NameSearchIndex();
+        this.poolBuilder = new SpeciesPoolBuilder(this.mammalLookup, this.phyloService);
+        this.cladeIndex = new CladeIndex();
+        this.hintLadder = new HintLadder();
+        this.cladeDefinitions = null;
+        // Content hash of the species data (part of the tree cache key)
+        this.speciesDataHash = null;
+        // Integrity report of the species data (see DataValidator.js)
+        this.dataReport = null;
+        // Credits for individual images, by URL (see loadImageAttributions)
+        this.imageAttributions = {};
+    }
+
+    // ==================== Loading ====================
+
+    /**
+     * Load the species data and curated pools
+     * @returns {Promise<{ mammals: number, fossils: number }>} Record counts
+     */
+    async loadData() {
+        const { mammals, shards } = await loadMammalData(this.config.DATA_FILE, this.loader);
+        // Fossil mode is optional: without the metadata the game runs with extant species only
+        const fossils = await loadFossilTaxa(this.config.FOSSIL_FILE, this.loader).catch(() => []);
+        this.dataReport = validateMammalData(mammals, { fossils });
+        if (this.config.LOG_DATA_REPORT) {
+            const log = this.dataReport.valid ? console.log : console.warn;
+            log(formatValidationReport(this.dataReport));
+        }
+        this.mammalLookup.initialize(mammals, fossils, { shards, loader: this.loader });
+        this.mammalLookup.onDetailsLoaded((order, details) => this.reportShardDetails(order, details));
+        this.nameSearch.build([...mammals, ...fossils]);
+        this.speciesDataHash = await hashContent(mammals, fossils);
+        devLog(`Loaded ${mammals.length} mammals and ${fossils.length} extinct taxa`);
+
+        this.poolBuilder.setCuratedPools(await loadCuratedPools(this.config.POOLS_INDEX, this.loader));
+        this.imageAttributions = await loadImageAttributions(this.config.IMAGE_ATTRIBUTIONS_FILE, this.loader);
+        this.cladeDefinitions = loadCladeDefinitions(this.config.CLADES_FILE, this.loader);
+        return { mammals: mammals.length, fossils: fossils.length };
+    }
+
+    /**
+     * Check the records of a detail shard as it is merged and add the findings
+     * to the data report; the core index check cannot see these fields
+     * @param {string} order
+     * @param {Object} details - Detail fields by mammal ID
+     */
+    reportShardDetails(order, details) {
+        const report = validateMammalDetails(details);
+        if (this.dataReport) {
+            this.dataReport.errors.push(...report.errors);
+            this.dataReport.warnings.push(...report.warnings);
+            this.dataReport.valid = this.dataReport.valid && report.valid;
+        }
+        if (this.config.LOG_DATA_REPORT && (report.errors.length > 0 || report.warnings.length > 0)) {
+            const log = report.valid ? console.log : console.warn;
+            log(formatValidationReport(report, { title: `${order} details` }));
+        }
+    }
+
+    /**
+     * Load the phylogenetic tree, then the named clades and clade-based pools.
+     * A round already in progress without guesses is re-ranked with the tree.
+     * @param {Object} options
+     * @param {Function} options.onProgress - Load progress listener ({ stage, loaded, total })
+     * @param {Object[]} options.pools - Extra pool definitions to prepare (e.g. the selected pool)
+     * @param {Function} options.onRoundSetup - Called when the round in progress starts
+     *        being re-ranked (guesses wait for roundSetup)
+     * @returns {Promise<boolean>} Whether the tree loaded
+     */
+    async loadTree({ onProgress = null, pools = [], onRoundSetup = null } = {}) {
+        if (onProgress) this.phyloService.onProgress(onProgress);
+        this.phyloService.setDistanceSummary(this.config.TREE_DISTANCE_SUMMARY);
+
+        // Taxonomy lets species missing from the tree be grafted next to their relatives
+        const taxa = this.mammalLookup.getAll().map(mammal => ({
+            label: getTreeLabel(mammal),
+            genus: getGenus(mammal),
+            family: mammal.family || null,
+            order: mammal.order || null
+        }));
+        const isLoaded = await this.phyloService.load(this.config.TREE_FILE, this.mammalLookup.getAllScientificNames(), {
+            taxa,
+            dataVersion: this.speciesDataHash
+        });
+        if (!isLoaded) return false;
+
+        devLog('Phylogenetic tree loaded successfully!');
+        await this.cladeIndex.build(await (this.cladeDefinitions || []), this.phyloService, this.mammalLookup);
+        await this.poolBuilder.prepare([...this.poolBuilder.curatedPools, ...pools]);
+
+        // Refresh the ranking so the whole round uses phylogenetic distances
+        if (this.gameState === 'playing' && this.currentTarget && this.guesses.length === 0) {
+            const setup = this.configurePhyloRound();
+            onRoundSetup?.();
+            await setup;
+        }
+        return true;
+    }
+
+    /**
+     * Version of the loaded tree and species data
+     * @returns {{ version: string, fromCache: boolean }|null} Null until the tree has loaded
+     */
+    getDataVersion() {
+        const { dataVersion, loadedFromCache } = this.phyloService;
+        return dataVersion ? { version: dataVersion, fromCache: loadedFromCache } : null;
+    }
+
+    /**
+     * Clear the cached tree and distance data, so the next load rebuilds them
+     * @returns {Promise<boolean>} Whether the cache was cleared
+     */
+    clearCache() {
+        return this.phyloService.clearCache();
+    }
+
+    // ==================== Rounds ====================
+
+    /**
+     * Start a new round
+     * @param {Object} options
+     * @param {Object} options.settings - Resolved settings (see GameSettings.get)
+     * @param {string} options.mode - 'random' or 'daily'
+     * @param {string} options.seed - Seed for target/option selection (random if omitted)
+     * @param {string} options.dateKey - Calendar date of a daily round
+     * @returns {Promise<boolean>} Settles when the phylogenetic ranking is in place
+     *          (true) or cannot be computed yet (false); guesses are refused until then
+     */
+    startRound({ settings, mode = 'random', seed = null, dateKey = null }) {
+        const roundSeed = seed ?? this.generateRoundSeed();
+
+        this.roundMode = mode;
+        this.roundSeed = roundSeed;
+        this.roundDateKey = mode === 'daily' ? dateKey : null;
+        this.roundSettings = { ...settings };
+        this.roundOpenPool = this.roundSettings.openPool;
+        this.roundMetric = this.roundSettings.distanceMetric || DEFAULT_METRIC;
+        this.applyTransformMode(this.roundSettings.transformMode);
+
+        // Reset state
+        this.guesses = [];
+        this.currentGuess = 1;
+        this.gameState = 'playing';
+        this.guessedIds.clear();
+        this.lastRoundResult = null;
+
+        this.roundRanking = [];
+        this.roundRankById.clear();
+        this.roundMetricsById.clear();
+        this.roundSetup = null;
+
+        const { pool, target, options } = this.selectRoundSpecies(this.roundSettings, roundSeed);
+        this.roundPool = pool.definition;
+        this.roundPoolSize = pool.mammals.length;
+        this.currentTarget = target;
+        this.gameOptions = options;
+        this.roundOptionsCount = options.length;
+
+        // Rank with taxonomy now; phylogenetic metrics replace it when the tree is ready
+        this.computeRoundRanking();
+
+        this.hintLadder.start({
+            target: this.currentTarget,
+            options: this.gameOptions,
+            cladeIndex: this.cladeIndex,
+            getDivergenceTime: (mammal) => this.getDivergenceTime(mammal)
+        });
+
+        devLog(`New ${mode} game started (seed ${roundSeed}). Target:`, this.currentTarget.common_name);
+        return this.configurePhyloRound();
+    }
+
+    /**
+     * Select the target and options of a round without starting it
+     * (same settings and seed -> same species)
+     * @param {Object} settings - Round settings (see GameSettings)
+     * @param {string} seed - Round seed
+     * @returns {{ pool: Object, target: Object, options: Object[] }} The resolved pool
+     *          (see buildRoundPool), the target and the options including it
+     */
+    selectRoundSpecies(settings, seed) {
+        const rng = createSeededRandom(seed);
+
+        // Restrict the round to the selected species pool
+        const pool = this.buildRoundPool(settings.pool, settings.fossils);
+        const target = this.selectWeightedTarget(rng, pool.mammals);
+        const options = settings.openPool
+            ? [...pool.mammals]
+            : weightedSample(pool.mammals, settings.optionsCount, rng);
+
+        // Ensure target is in options
+        if (!options.find(m => m.id === target.id)) {
+            const replaceIndex = Math.floor(rng() * options.length);
+            options[replaceIndex] = target;
+        }
+        return { pool, target, options };
+    }
+
+    /**
+     * Image shown for a species in a round: the first of its images, or with the
+     * randomImages setting one picked by the round seed (so a replayed or daily
+     * round shows the same images)
+     * @param {Object} mammal
+     * @param {string[]} urls - Images to choose from, best first (defaults to img_urls)
+     * @param {Object} round - Seed and settings of the round (defaults to the current one)
+     * @returns {string|null}
+     */
+    getRoundImageUrl(mammal, urls = mammal?.img_urls || [], { seed = this.roundSeed, settings = this.roundSettings } = {}) {
+        if (!urls.length) return null;
+        if (!settings?.randomImages || urls.length === 1) return urls[0];
+
+        const rng = createSeededRandom(`${seed}:image:${mammal.id}`);
+        return urls[Math.floor(rng() * urls.length)];
+    }
+
+    /**
+     * Send the round's species to the phylogeny service and re-rank with
+     * phylogenetic distances once its metrics arrive, unless the player has
+     * already guessed (a round keeps one ranking throughout). The pending
+     * re-ranking is kept in roundSetup, which holds off guesses.
+     * @returns {Promise<boolean>} Whether the round was re-ranked
+     */
+    configurePhyloRound() {
+        if (!this.phyloService.isLoaded || !this.currentTarget) return Promise.resolve(false);
+
+        const setup = this.rankRoundByTree(this.currentTarget).finally(() => {
+            if (this.roundSetup === setup) this.roundSetup = null;
+        });
+        this.roundSetup = setup;
+        return setup;
+    }
+
+    /**
+     * Fetch the round metrics and re-rank, if the round is still the target's
+     * @param {Object} target
+     * @returns {Promise<boolean>} Whether the round was re-ranked
+     */
+    async rankRoundByTree(target) {
+        const allowedNames = this.gameOptions
+            .map(getTreeLabel)
+            .filter(Boolean);
+
+        try {
+            const ready = await this.phyloService.configureRound(allowedNames, getTreeLabel(target));
+            if (ready && this.currentTarget === target && this.gameState === 'playing' && this.guesses.length === 0) {
+                this.computeRoundRanking();
+                return true;
+            }
+        } catch (error) {
+            console.warn('Failed to configure phylogenetic round:', error);
+        }
+        return false;
+    }
+
+    /**
+     * Generate a fresh seed for a non-daily round
+     * @returns {string}
+     */
+    generateRoundSeed() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Select a weighted random target
+     * @param {Function} rng - Random source returning [0, 1)
+     * @param {Object[]} candidates - Species to choose from (defaults to all)
+     */
+    selectWeightedTarget(rng = Math.random, candidates = this.mammalLookup.getAll()) {
+        const [mammal] = weightedSample(candidates, 1, rng);
+        return mammal || candidates[Math.floor(rng() * candidates.length)];
+    }
+
+    /**
+     * Build the species pool for a round, falling back to all species when
+     * the pool cannot be resolved or is too small to play
+     * @param {Object|null} definition - Pool definition from the settings
+     * @param {boolean} includeFossils - Whether extinct taxa are in play (fossil mode)
+     * @returns {{ definition: Object|null, mammals: Object[], missing: string[] }}
+     */
+    buildRoundPool(definition, includeFossils = false) {
+        const pool = this.poolBuilder.build(definition, { includeFossils });
+        if (pool.missing.length > 0) {
+            console.warn('Species pool entries not found:', pool.missing);
+        }
+        if (pool.definition && pool.mammals.length < MIN_POOL_SIZE) {
+            console.warn(`Species pool "${describePool(pool.definition)}" has only ${pool.mammals.length} species; using all species`);
+            return this.poolBuilder.build(null, { includeFossils });
+        }
+        return pool;
+    }
+
+    /**
+     * Apply a distance transform mode to the phylogenetic calculator
+     * @param {string} mode - 'linear' or 'log'
+     */
+    applyTransformMode(mode) {
+        if (!mode || this.phyloService.transformMode === mode) return;
+        this.phyloService.setTransformMode(mode)
+            .catch(e => console.warn('Failed to set transform mode:', e));
+    }
+
+    // ==================== Guesses ====================
+
+    /**
+     * Evaluate a guess
+     * @param {Object} mammal - Guessed mammal
+     * @returns {{ guess: Object, isCorrect: boolean, comparison: string, finished: boolean,
+     *             won: boolean }|null} Null if the guess is not allowed (round over or
+     *          still being ranked, budget spent or already guessed)
+     */
+    makeGuess(mammal) {
+        if (!mammal || this.gameState !== 'playing' || this.roundSetup || this.currentGuess > this.getGuessBudget()) {
+            return null;
+        }
+
+        // Prevent duplicate guesses
+        if (this.guessedIds.has(mammal.id)) {
+            return null;
+        }
+
+        this.guessedIds.add(mammal.id);
+
+        const rank = this.roundRankById.get(mammal.id) ?? null;
+        const metrics = this.roundMetricsById.get(mammal.id) ?? null;
+
+        const isCorrect = mammal.id === this.currentTarget.id;
+
+        const guess = {
+            mammal,
+            rank,
+            tieSize: metrics?.tieSize ?? 1,
+            totalRanks: Math.max(0, (this.roundRanking.length - 1)) || (this.roundOptionsCount - 1),
+            distance: metrics?.distance ?? null,
+            source: metrics?.source ?? null,
+            divergenceMa: isCorrect ? null : this.getDivergenceTime(mammal),
+            rankUncertainty: isCorrect ? null : this.getRankUncertainty(mammal),
+            placementEstimate: isCorrect ? null : this.getPlacementEstimate(mammal),
+            sharedTaxon: isCorrect ? null : this.cladeIndex.describe(mammal, this.currentTarget),
+            guessNumber: this.currentGuess
+        };
+
+        this.guesses.push(guess);
+        this.gameOptions = this.gameOptions.filter(o => o.id !== mammal.id);
+
+        // Two-color feedback: closer (green) vs farther (red) than previous guess.
+        // First guess (or missing data) is neutral.
+        const comparisonClass = getGuessComparison(this.guesses, this.guesses.length - 1, this.currentTarget.id);
+        const comparison = comparisonClass === 'perfect-match' ? 'green' : comparisonClass;
+
+        // Check win and lose conditions
+        const finished = isCorrect || this.currentGuess >= this.getGuessBudget();
+        if (finished) {
+            this.endRound(isCorrect);
+        } else {
+            this.currentGuess++;
+        }
+
+        return { guess, isCorrect, comparison, finished, won: isCorrect };
+    }
+
+    /**
+     * Guesses available this round after hint costs
+     * @returns {number}
+     */
+    getGuessBudget() {
+        return (this.roundSettings?.maxGuesses ?? 0) - this.hintLadder.getTotalCost();
+    }
+
+    /**
+     * Age of the shared ancestor of a guess and the target (millions of years)
+     * @param {Object} mammal - Guessed mammal
+     * @returns {number|null}
+     */
+    getDivergenceTime(mammal) {
+        if (!this.currentTarget) return null;
+        const metrics = this.phyloService.getRoundMetrics(getTreeLabel(mammal), getTreeLabel(this.currentTarget));
+        return metrics?.divergenceMa ?? null;
+    }
+
+    /**
+     * How stable a guess's rank is across a posterior tree sample
+     * @param {Object} mammal - Guessed mammal
+     * @returns {{ changeRate: number, rankMin: number, rankMax: number }|null}
+     *          Null for a single tree or when the round has no tree metrics
+     */
+    getRankUncertainty(mammal) {
+        if (!this.currentTarget) return null;
+        const metrics = this.phyloService.getRoundMetrics(getTreeLabel(mammal), getTreeLabel(this.currentTarget));
+        if (!Number.isFinite(metrics?.rankChangeRate)) return null;
+        return { changeRate: metrics.rankChangeRate, rankMin: metrics.rankMin, rankMax: metrics.rankMax };
+    }
+
+    /**
+     * Whether the tree placement behind a guess's rank is estimated: the
+     * guess or the target was missing from the tree and grafted onto it
+     * @param {Object} mammal - Guessed mammal
+     * @returns {{ guess: string|null, target: string|null }|null} Graft level of each
+     *          side; null when both are tips of the tree or the round has no tree metrics
+     */
+    getPlacementEstimate(mammal) {
+        if (!this.currentTarget) return null;
+        const label = getTreeLabel(mammal);
+        const targetLabel = getTreeLabel(this.currentTarget);
+        if (!this.phyloService.getRoundMetrics(label, targetLabel)) return null;
+
+        const guess = this.phyloService.getGraftLevel(label);
+        const target = this.phyloService.getGraftLevel(targetLabel);
+        return guess || target ? { guess, target } : null;
+    }
+
+    /**
+     * The round's tree (pruned to its options and rooted on the target),
+     * with each tip matched to the mammal it stands for
+     * @returns {Promise<Object|null>} Snapshot nodes { label, branchLength, children };
+     *          tips also carry mammalId and graftLevel. Null when the round has no tree.
+     */
+    async getRoundTree() {
+        if (!this.phyloService.isLoaded || !this.currentTarget) return null;
+
+        const snapshot = await this.phyloService.getSnapshot().catch(error => {
+            console.warn('Failed to get round tree:', error);
+            return null;
+        });
+        if (!snapshot) return null;
+
+        // The ranking keeps every option of the round, guessed or not
+        const roundIds = new Set([this.currentTarget.id, ...this.roundRanking.map(row => row.id)]);
+        this.matchTreeTips(snapshot, roundIds);
+
+        // The tree is rooted on the target; a round whose tree was never
+        // configured would still see the previous round's snapshot
+        const rootedOnTarget = snapshot.children.some(child => child.mammalId === this.currentTarget.id);
+        return rootedOnTarget ? snapshot : null;
+    }
+
+    /**
+     * The whole tree pruned to the dataset, as drawn by the tree explorer
+     * @returns {Promise<Object|null>} Snapshot nodes { label, branchLength, children };
+     *          tips also carry mammalId, graftLevel, order and family. Null without a tree.
+     */
+    async getMammalTree() {
+        if (!this.phyloService.isLoaded) return null;
+
+        const snapshot = await this.phyloService.getDatasetSnapshot().catch(error => {
+            console.warn('Failed to get mammal tree:', error);
+            return null;
+        });
+        if (!snapshot) return null;
+
+        this.matchTreeTips(snapshot, null, (tip, mammal) => {
+            tip.order = mammal?.order || null;
+            tip.family = mammal?.family || null;
+        });
+        return snapshot;
+    }
+
+    /**
+     * Closest relatives of a mammal among the dataset species, by path length
+     * in the tree (see PhyloCalculator.getClosestRelatives)
+     * @param {Object} mammal
+     * @param {number} limit - Maximum number of relatives
+     * @returns {Promise<{ mammal: Object, divergenceMa: number|null }[]>} Closest first;
+     *          empty without a tree
+     */
+    async getClosestRelatives(mammal, limit = 5) {
+        if (!this.phyloService.isLoaded || !mammal) return [];
+
+        const label = getTreeLabel(mammal);
+        try {
+            const relatives = await this.phyloService.getClosestRelatives(label, { limit });
+            const ages = await this.phyloService.getDivergenceTimes(relatives.map(relative => [label, relative.species]));
+            return relatives
+                .map((relative, k) => ({
+                    mammal: this.mammalLookup.getByTreeLabel(relative.species),
+                    divergenceMa: ages[k]
+                }))
+                .filter(relative => relative.mammal && relative.mammal.id !== mammal.id);
+        } catch (error) {
+            console.warn('Failed to find closest relatives:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Match the tips of a tree snapshot to mammals by tree label, setting
+     * mammalId (null when unmatched) and graftLevel on every tip
+     * @param {Object} snapshot - Changed in place
+     * @param {Set|null} allowedIds - Mammals that may match (null for any)
+     * @param {Function} annotate - Optional; called with (tip, mammal) for extra fields
+     */
+    matchTreeTips(snapshot, allowedIds = null, annotate = null) {
+        const visit = (node) => {
+            if (node.children.length > 0) {
+                node.children.forEach(visit);
+                return;
+            }
+            let mammal = this.mammalLookup.getByTreeLabel(node.label);
+            if (allowedIds && !allowedIds.has(mammal?.id)) mammal = null;
+            node.mammalId = mammal ? mammal.id : null;
+            node.graftLevel = this.phyloService.getGraftLevel(node.label);
+            if (annotate) annotate(node, mammal);
+        };
+        visit(snapshot);
+    }
+
+    /**
+     * Autocomplete candidates for a typed guess, limited to the remaining options
+     * @param {string} query
+     * @param {number} limit - Maximum number of candidates
+     * @returns {Object[]}
+     */
+    searchGuessCandidates(query, limit = 8) {
+        if (this.gameState !== 'playing') return [];
+        const allowedIds = new Set(this.gameOptions.map(m => m.id));
+        return this.nameSearch.search(query, { limit, allowedIds });
+    }
+
+    /**
+     * Compute a stable per-round ranking (1 = target, then closest -> farthest)
+     * using the round's distance metric. If the metric cannot measure any
+     * option (tree metrics before the tree loads) the fallback metric is used;
+     * options it cannot measure rank last.
+     */
+    computeRoundRanking() {
+        this.roundRanking = [];
+        this.roundRankById.clear();
+        this.roundMetricsById.clear();
+        this.roundRankedBy = null;
+
+        if (!this.currentTarget || !Array.isArray(this.gameOptions) || this.gameOptions.length === 0) {
+            return;
+        }
+
+        // Ensure unique mammals by ID
+        const byId = new Map();
+        for (const m of this.gameOptions) {
+            if (m?.id) byId.set(m.id, m);
+        }
+        byId.delete(this.currentTarget.id);
+
+        const targetLabel = getTreeLabel(this.currentTarget);
+        const pairs = [...byId.values()].map(mammal => ({
+            mammal,
+            target: this.currentTarget,
+            phylo: this.phyloService.isLoaded
+                ? this.phyloService.getRoundMetrics(getTreeLabel(mammal), targetLabel)
+                : null
+        }));
+
+        let metric = getMetric(this.roundMetric) || getMetric(DEFAULT_METRIC);
+        let distances = measureRound(metric, pairs);
+        if (pairs.length > 0 && distances.every(distance => distance === null)) {
+            metric = getMetric(FALLBACK_METRIC);
+            distances = measureRound(metric, pairs);
+        }
+        const source = metric.needsTree ? 'phylogenetic' : 'taxonomic';
+        this.roundRankedBy = metric.id;
+
+        if (this.config.DEBUG_DISTANCE_LOGS) {
+            console.log(`Ranking by ${metric.id}:`, pairs.map((pair, k) => `${pair.mammal.scientific_name}=${distances[k]}`));
+        }
+
+        const rows = [{ id: this.currentTarget.id, mammal: this.currentTarget, distance: 0, source: 'exact' }];
+        pairs.forEach(({ mammal }, k) => {
+            rows.push({
+                id: mammal.id,
+                mammal,
+                distance: distances[k] ?? Number.POSITIVE_INFINITY,
+                source: distances[k] === null ? null : source
+            });
+        });
+
+        rows.sort((a, b) => {
+            const da = Number.isFinite(a.distance) ? a.distance : Number.POSITIVE_INFINITY;
+            const db = Number.isFinite(b.distance) ? b.distance : Number.POSITIVE_INFINITY;
+            if (da !== db) return da - db;
+            const na = (a.mammal?.common_name || a.mammal?.scientific_name || '').toLowerCase();
+            const nb = (b.mammal?.common_name || b.mammal?.scientific_name || '').toLowerCase();
+            return na.localeCompare(nb);
+        });
+
+        // Keep the target at the top but exclude it from rank numbering.
+        // Closest non-target should be rank 1.
+        const targetIndex = rows.findIndex(r => r?.id === this.currentTarget.id);
+        const targetRow = targetIndex >= 0 ? rows[targetIndex] : null;
+        const others = rows.filter(r => r?.id !== this.currentTarget.id);
+
+        // Assign tie-aware ranks (competition ranking): rank = 1 + count(strictly closer)
+        const EPS = 1e-9;
+        const isEqualDistance = (d1, d2) => {
+            if (!Number.isFinite(d1) || !Number.isFinite(d2)) return false;
+            return Math.abs(d1 - d2) <= EPS;
+        };
+
+        let index = 0;
+        let currentRank = 1;
+        while (index < others.length) {
+            const groupDistance = others[index].distance;
+            let end = index + 1;
+            while (end < others.length && isEqualDistance(others[end].distance, groupDistance)) {
+                end++;
+            }
+
+            const tieSize = end - index;
+            for (let k = index; k < end; k++) {
+                others[k].rank = currentRank;
+                others[k].tieSize = tieSize;
+            }
+
+            index = end;
+            currentRank += tieSize;
+        }
+
+        if (targetRow) {
+            targetRow.rank = null;
+            targetRow.tieSize = 1;
+            this.roundRanking = [targetRow, ...others];
+        } else {
+            this.roundRanking = others;
+        }
+
+        this.roundRanking.forEach((row) => {
+            const rank = row.rank ?? null;
+            const tieSize = row.tieSize ?? 1;
+            this.roundRankById.set(row.id, rank);
+            this.roundMetricsById.set(row.id, { distance: row.distance, source: row.source, tieSize });
+        });
+    }
+
+    // ==================== Hints ====================
+
+    /**
+     * The next hint and whether it can be afforded. At least one guess is
+     * always left after a hint.
+     * @returns {{ hint: Object|null, affordable: boolean }}
+     */
+    peekHint() {
+        const hint = this.gameState === 'playing' ? this.hintLadder.peekNext() : null;
+        return { hint, affordable: !!hint && this.getGuessBudget() - hint.cost >= this.currentGuess };
+    }
+
+    /**
+     * Reveal the next hint, paying for it with guesses from the budget
+     * @returns {Object|null} Revealed hint, or null if none is available or affordable
+     */
+    useHint() {
+        const { affordable } = this.peekHint();
+        if (!affordable) return null;
+        return this.hintLadder.reveal(this.guesses.length);
+    }
+
+    // ==================== Results ====================
+
+    /**
+     * Finish the round and build its result
+     * @param {boolean} won - Whether the round was won
+     */
+    endRound(won) {
+        this.gameState = 'finished';
+        this.lastRoundResult = this.buildRoundResult(won);
+    }
+
+    /**
+     * Build the record of a finished round (stored in player statistics)
+     * @param {boolean} won - Whether the round was won
+     * @returns {Object}
+     */
+    buildRoundResult(won) {
+        return {
+            finishedAt: new Date().toISOString(),
+            mode: this.roundMode,
+            seed: this.roundSeed,
+            dateKey: this.roundDateKey,
+            openPool: this.roundOpenPool,
+            won,
+            guessCount: this.guesses.length,
+            maxGuesses: this.roundSettings.maxGuesses,
+            metric: this.roundMetric,
+            rankedBy: this.roundRankedBy,
+            hintCost: this.hintLadder.getTotalCost(),
+            hints: this.hintLadder.getRevealed().map(hint => ({
+                id: hint.id,
+                cost: hint.cost,
+                afterGuesses: hint.afterGuesses
+            })),
+            settings: {
+                preset: this.roundSettings.preset,
+                optionsCount: this.roundOptionsCount,
+                feedback: this.roundSettings.feedback,
+                fossils: this.roundSettings.fossils
+            },
+            // Saved so results from different pools are not compared directly
+            pool: this.roundPool ? { ...this.roundPool, size: this.roundPoolSize } : null,
+            targetId: this.currentTarget?.id ?? null,
+            targetName: this.currentTarget?.scientific_name || null,
+            targetOrder: this.currentTarget?.order || null,
+            targetFamily: this.currentTarget?.family || null,
+            guesses: this.guesses.map(guess => ({
+                id: guess.mammal?.id ?? null,
+                rank: guess.rank ?? null,
+                tieSize: guess.tieSize ?? 1,
+                divergenceMa: Number.isFinite(guess.divergenceMa) ? Math.round(guess.divergenceMa * 10) / 10 : null,
+                rankChangeRate: guess.rankUncertainty ? Math.round(guess.rankUncertainty.changeRate * 100) / 100 : null,
+                placementEstimated: !!guess.placementEstimate
+            }))
+        };
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * GameSettings.js
+ * Module for difficulty presets and persisted player settings
+ *
+ * Effective settings are resolved as: Normal preset <- stored settings <- URL
+ * query parameters. URL overrides apply to the current page only and are
+ * never written back to storage.
+ */
+
+import { sanitizePoolDefinition } from './SpeciesPool.js';
+import { getMetric, DEFAULT_METRIC } from './DistanceMetrics.js';
+
+const STORAGE_KEY = 'mammalMystery.settings';
+
+/**
+ * Feedback detail levels shown after each guess:
+ * - full: rank plus closer/farther colour
+ * - rank: rank only
+ * - direction: closer/farther colour only, no rank
+ */
+export const FEEDBACK_LEVELS = ['full', 'rank', 'direction'];
+
+export const TRANSFORM_MODES = ['linear', 'log'];
+
+export const INPUT_MODES = ['grid', 'text'];
+
+export const PRESETS = {
+    easy: {
+        label: 'Easy',
+        maxGuesses: 15,
+        optionsCount: 30,
+        feedback: 'full',
+        transformMode: 'log'
+    },
+    normal: {
+        label: 'Normal',
+        maxGuesses: 10,
+        optionsCount: 45,
+        feedback: 'full',
+        transformMode: 'log'
+    },
+    hard: {
+        label: 'Hard',
+        maxGuesses: 8,
+        optionsCount: 60,
+        feedback: 'rank',
+        transformMode: 'log'
+    },
+    expert: {
+        label: 'Expert',
+        maxGuesses: 6,
+        optionsCount: 90,
+        feedback: 'direction',
+        transformMode: 'linear'
+    }
+};
+
+export const DEFAULT_PRESET = 'normal';
+
+// Settings a preset controls (the rest are player preferences)
+const PRESET_KEYS = ['maxGuesses', 'optionsCount', 'feedback', 'transformMode'];
+
+// Query parameter -> setting name
+const QUERY_PARAMS = {
+    preset: 'preset',
+    guesses: 'maxGuesses',
+    options: 'optionsCount',
+    feedback: 'feedback',
+    transform: 'transformMode',
+    input: 'inputMode',
+    metric: 'distanceMetric',
+    openPool: 'openPool',
+    fossils: 'fossils',
+    randomImages: 'randomImages',
+    pool: 'pool'
+};
+
+export const LIMITS = {
+    maxGuesses: { min: 1, max: 30 },
+    optionsCount: { min: 5, max: 300 }
+};
+
+/**
+ * Clamp and validate a partial settings object, dropping invalid values
+ * @param {Object} raw
+ * @returns {Object}
+ */
+export function sanitizeSettings(raw) {
+    const clean = {};
+    if (!raw || typeof raw !== 'object') return clean;
+
+    if (raw.preset && PRESETS[raw.preset]) clean.preset = raw.preset;
+
+    ['maxGuesses', 'optionsCount'].forEach(key => {
+        const value = parseInt(raw[key], 10);
+        if (Number.isFinite(value)) {
+            clean[key] = Math.max(LIMITS[key].min, Math.min(LIMITS[key].max, value));
+        }
+    });
+
+    if (FEEDBACK_LEVELS.includes(raw.feedback)) clean.feedback = raw.feedback;
+    if (TRANSFORM_MODES.includes(raw.transformMode)) clean.transformMode = raw.transformMode;
+    if (INPUT_MODES.includes(raw.inputMode)) clean.inputMode = raw.inputMode;
+    // A registered metric ID or a blend spec ('blend:patristic=2,taxonomic=1')
+    if (getMetric(raw.distanceMetric)) clean.distanceMetric = raw.distanceMetric.trim();
+
+    ['openPool', 'fossils', 'randomImages'].forEach(key => {
+        if (raw[key] !== undefined && raw[key] !== null) {
+            clean[key] = raw[key] === true || raw[key] === 'true' || raw[key] === '1';
+        }
+    });
+
+    // Species pool: a definition object, a curated pool ID (from the URL) or null for all species
+    if (raw.pool !== undefined) {
+        clean.pool = typeof raw.pool === 'string'
+            ? sanitizePoolDefinition({ id: raw.pool })
+            : sanitizePoolDefinition(raw.pool);
+    }
+
+    return clean;
+}
+
+/**
+ * GameSettings resolves, persists and overrides player settings
+ */
+export class GameSettings {
+    /**
+     * @param {Storage|null} storage - Persistent storage (localStorage)
+     * @param {string} search - URL query string with overrides
+     */
+    constructor(
+        storage = (typeof localStorage !== 'undefined' ? localStorage : null),
+        search = (typeof location !== 'undefined' ? location.search : '')
+    ) {
+        this.storage = storage;
+        this.stored = this.readStored();
+        this.overrides = this.parseQuery(search);
+    }
+
+    /**
+     * Get the effective settings
+     * @returns {{ preset: string, maxGuesses: number, optionsCount: number, feedback: string,
+     *             transformMode: string, distanceMetric: string, inputMode: string,
+     *             openPool: boolean, fossils: boolean, randomImages: boolean, pool: Object|null }}
+     */
+    get() {
+        const layered = { ...this.stored, ...this.overrides };
+        const presetName = PRESETS[layered.preset] ? layered.preset : DEFAULT_PRESET;
+
+        // Choosing a preset resets the values it controls unless they are set explicitly
+        const base = {
+            preset: presetName,
+            ...this.pickPresetValues(PRESETS[presetName]),
+            distanceMetric: DEFAULT_METRIC,
+            inputMode: 'grid',
+            openPool: false,
+            fossils: false,
+            randomImages: false,
+            pool: null
+        };
+
+        const settings = { ...base, ...layered, preset: presetName };
+        settings.preset = this.matchPreset(settings) || 'custom';
+        return settings;
+    }
+
+    /**
+     * Get the settings used for the shared daily round: always the Normal
+     * preset over all species, ranked by the default metric, so every player
+     * sees the same option set, ranking and guess budget
+     * @returns {Object}
+     */
+    getDailySettings() {
+        const current = this.get();
+        return {
+            ...current,
+            ...this.pickPresetValues(PRESETS[DEFAULT_PRESET]),
+            preset: DEFAULT_PRESET,
+            distanceMetric: DEFAULT_METRIC,
+            openPool: false,
+            fossils: false,
+            pool: null
+        };
+    }
+
+    /**
+     * Apply a named preset and persist it
+     * @param {string} name - Preset key
+     */
+    applyPreset(name) {
+        if (!PRESETS[name]) return;
+
+        const next = { ...this.stored, preset: name };
+        PRESET_KEYS.forEach(key => delete next[key]);
+        this.stored = next;
+
+        // A deliberate choice in the panel replaces the URL overrides it covers
+        PRESET_KEYS.forEach(key => delete this.overrides[key]);
+        delete this.overrides.preset;
+        this.writeStored();
+    }
+
+    /**
+     * Update individual settings and persist them
+     * @param {Object} partial
+     */
+    update(partial) {
+        const clean = sanitizeSettings(partial);
+        this.stored = { ...this.stored, ...clean };
+        Object.keys(clean).forEach(key => delete this.overrides[key]);
+        this.writeStored();
+    }
+
+    /**
+     * Whether any URL overrides are active
+     * @returns {boolean}
+     */
+    hasOverrides() {
+        return Object.keys(this.overrides).length > 0;
+    }
+
+    /**
+     * Find the preset whose values match the settings
+     * @param {Object} settings
+     * @returns {string|null}
+     */
+    matchPreset(settings) {
+        return Object.keys(PRESETS).find(name =>
+            PRESET_KEYS.every(key => PRESETS[name][key] === settings[key])
+        ) || null;
+    }
+
+    pickPresetValues(preset) {
+        return Object.fromEntries(PRESET_KEYS.map(key => [key, preset[key]]));
+    }
+
+    /**
+     * Parse URL query overrides (e.g. ?preset=hard&guesses=8)
+     * @param {string} search
+     * @returns {Object}
+     */
+    parseQuery(search) {
+        if (!search) return {};
+
+        const params = new URLSearchParams(search);
+        const raw = {};
+        Object.entries(QUERY_PARAMS).forEach(([param, key]) => {
+            if (params.has(param)) raw[key] = params.get(param);
+        });
+
+        const clean = sanitizeSettings(raw);
+        // An explicit preset in the URL wins over stored per-value settings
+        if (clean.preset) {
+            PRESET_KEYS.forEach(key => {
+                if (clean[key] === undefined) clean[key] = PRESETS[clean.preset][key];
+            });
+        }
+        return clean;
+    }
+
+    /**
+     * Read stored settings, tolerating missing or corrupt storage
+     * @returns {Object}
+     */
+    readStored() {
+        if (!this.storage) return {};
+        try {
+            return sanitizeSettings(JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null'));
+        } catch (error) {
+            console.warn('Unable to read settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist settings
+     */
+    writeStored() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.stored));
+        } catch (error) {
+            console.warn('Unable to save settings:', error);
+        }
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * GuessFeedback.js
+ * Shared closer/farther comparison logic for guesses
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Compare a guess with the previous guess in the round.
+ * Returns 'perfect-match' for the target, 'green' when the guess is closer
+ * than the previous one, 'red' when it is farther and 'neutral' for the
+ * first guess, ties or missing distance data.
+ *
+ * @param {Object[]} guesses - Guesses in order ({ mammal, distance })
+ * @param {number} index - Index of the guess to classify
+ * @param {*} targetId - ID of the target mammal
+ * @returns {'perfect-match'|'green'|'red'|'neutral'}
+ */
+export function getGuessComparison(guesses, index, targetId) {
+    const guess = guesses?.[index];
+    if (!guess) return 'neutral';
+    if (guess.mammal?.id === targetId) return 'perfect-match';
+    if (index <= 0) return 'neutral';
+
+    const prevDistance = guesses[index - 1]?.distance;
+    const currentDistance = guess.distance;
+
+    if (!Number.isFinite(prevDistance) || !Number.isFinite(currentDistance)) return 'neutral';
+    if (currentDistance < prevDistance - EPS) return 'green';
+    if (currentDistance > prevDistance + EPS) return 'red';
+    return 'neutral';
+}
+
+/**
+ * Format the age of a shared ancestor for display
+ * @param {number|null} ma - Age in millions of years
+ * @returns {string} e.g. '52 Mya' or '3.4 Mya'; empty when unknown
+ */
+export function formatDivergenceTime(ma) {
+    if (!Number.isFinite(ma)) return '';
+    if (ma < 0.1) return '<0.1 Mya';
+    return `${ma < 10 ? ma.toFixed(1) : Math.round(ma)} Mya`;
+}
+
+// Ranks that differ from the summarized rank in at least this share of
+// posterior trees are flagged as uncertain
+const UNCERTAIN_RANK_RATE = 0.25;
+
+/**
+ * Describe an uncertain guess rank (from a posterior tree sample)
+ * @param {{ changeRate: number, rankMin: number, rankMax: number }|null} uncertainty
+ * @returns {string} e.g. 'Rank varies across posterior trees (#3–#7)'; empty when the rank is stable
+ */
+export function describeRankUncertainty(uncertainty) {
+    if (!uncertainty || !(uncertainty.changeRate >= UNCERTAIN_RANK_RATE)) return '';
+    const percent = Math.round(uncertainty.changeRate * 100);
+    return `Rank varies across posterior trees (#${uncertainty.rankMin}–#${uncertainty.rankMax}, differs in ${percent}% of trees)`;
+}
+
+const GRAFT_LEVEL_LABELS = { genus: 'genus', family: 'family', order: 'order' };
+
+/**
+ * Describe an estimated tree placement (a species grafted onto the tree)
+ * @param {{ guess: string|null, target: string|null }|null} estimate - Graft level of
+ *        the guess and of the target
+ * @returns {string} e.g. 'Placement estimated: this species is not in the tree and was
+ *          placed with its genus'; empty when both species are in the tree
+ */
+export function describePlacementEstimate(estimate) {
+    if (!estimate) return '';
+    const parts = [];
+    if (estimate.guess) {
+        parts.push(`this species is not in the tree and was placed with its ${GRAFT_LEVEL_LABELS[estimate.guess] || 'relatives'}`);
+    }
+    if (estimate.target) {
+        parts.push(`the mystery mammal is not in the tree and was placed with its ${GRAFT_LEVEL_LABELS[estimate.target] || 'relatives'}`);
+    }
+    return parts.length > 0 ? `Placement estimated: ${parts.join('; ')}` : '';
+}
@@ -0,0 +1,176 @@
+/**
+ * HintLadder.js
+ * Module for revealing hints about the target one rung at a time
+ *
+ * Hints come from providers grouped by source (taxonomy, tree, data). Each
+ * provider builds its hint from a round context and returns null when it has
+ * nothing to say (for example, tree hints before the tree has loaded).
+ * Every hint costs guesses from the round's budget.
+ */
+
+import { formatDivergenceTime } from './GuessFeedback.js';
+
+function titleCase(label) {
+    return String(label || '')
+        .toLowerCase()
+        .replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Hint providers in ladder order (vague and cheap first)
+ *
+ * Context fields:
+ * - target: target mammal
+ * - options: mammals in play this round (includes the target)
+ * - cladeIndex: CladeIndex for named clades
+ * - getDivergenceTime(a, b): shared-ancestor age in Ma, or null
+ */
+export const HINT_PROVIDERS = [
+    {
+        id: 'order',
+        category: 'taxonomy',
+        cost: 1,
+        build: ({ target }) => target.order
+            ? `It belongs to the order ${titleCase(target.order)}.`
+            : null
+    },
+    {
+        id: 'clade-size',
+        category: 'tree',
+        cost: 1,
+        build: ({ target, options, cladeIndex }) => {
+            // Smallest named clade holding the target, another option and not every option
+            const optionIds = new Set(options.map(m => m.id));
+            for (const clade of cladeIndex?.getCladesContaining(target) || []) {
+                const count = [...optionIds].filter(id => clade.ids.has(id)).length;
+                if (count >= 2 && count < optionIds.size) {
+                    return `${count} of the options, the mystery mammal included, belong to ${clade.name}.`;
+                }
+            }
+            return null;
+        }
+    },
+    {
+        id: 'nearest-divergence',
+        category: 'tree',
+        cost: 1,
+        build: ({ target, options, getDivergenceTime }) => {
+            let nearest = null;
+            options.forEach(option => {
+                if (option.id === target.id) return;
+                const age = getDivergenceTime?.(option, target);
+                if (Number.isFinite(age) && (nearest === null || age < nearest)) nearest = age;
+            });
+            if (nearest === null) return null;
+            return `Its closest relative among the options shares an ancestor from ${formatDivergenceTime(nearest)}.`;
+        }
+    },
+    {
+        id: 'family',
+        category: 'taxonomy',
+        cost: 2,
+        build: ({ target }) => target.family
+            ? `It belongs to the family ${titleCase(target.family)}.`
+            : null
+    },
+    {
+        id: 'name-length',
+        category: 'data',
+        cost: 1,
+        build: ({ target }) => {
+            const letters = (target.common_name || '').replace(/[^A-Za-z]/g, '').length;
+            const words = (target.common_name || '').trim().split(/\s+/).filter(Boolean).length;
+            return letters > 0
+                ? `Its common name has ${letters} letters in ${words} ${words === 1 ? 'word' : 'words'}.`
+                : null;
+        }
+    },
+    {
+        id: 'first-letter',
+        category: 'data',
+        cost: 2,
+        build: ({ target }) => target.common_name
+            ? `Its common name starts with "${target.common_name.charAt(0).toUpperCase()}".`
+            : null
+    }
+];
+
+/**
+ * HintLadder tracks which hints of a round have been revealed
+ */
+export class HintLadder {
+    /**
+     * @param {Object[]} providers - Hint providers in ladder order
+     */
+    constructor(providers = HINT_PROVIDERS) {
+        this.providers = providers;
+        this.context = null;
+        this.revealed = [];
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Start a new round
+     * @param {Object} context - Round context passed to the providers
+     */
+    start(context) {
+        this.context = context;
+        this.revealed = [];
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Get the next hint without revealing it. Providers with nothing to say
+     * are skipped (and retried in later rounds).
+     * @returns {{ id: string, category: string, cost: number, text: string }|null}
+     */
+    peekNext() {
+        if (!this.context) return null;
+
+        for (let i = this.nextIndex; i < this.providers.length; i++) {
+            const provider = this.providers[i];
+            let text = null;
+            try {
+                text = provider.build(this.context);
+            } catch (error) {
+                console.warn(`Hint provider ${provider.id} failed:`, error);
+            }
+            if (text) {
+                return { id: provider.id, category: provider.category, cost: provider.cost, text, index: i };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Reveal the next hint
+     * @param {number} afterGuesses - Guesses made before the hint was taken
+     * @returns {Object|null} Revealed hint
+     */
+    reveal(afterGuesses = 0) {
+        const next = this.peekNext();
+        if (!next) return null;
+
+        const { index, ...hint } = next;
+        this.nextIndex = index + 1;
+        const revealed = { ...hint, afterGuesses };
+        this.revealed.push(revealed);
+        return revealed;
+    }
+
+    /**
+     * Hints revealed so far, in order
+     * @returns {Object[]}
+     */
+    getRevealed() {
+        return this.revealed;
+    }
+
+    /**
+     * Total guesses spent on hints
+     * @returns {number}
+     */
+    getTotalCost() {
+        return this.revealed.reduce((sum, hint) => sum + hint.cost, 0);
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * ImageCarousel.js
+ * Species images: where each image comes from, which images work, and a
+ * swipeable carousel over all images of a species
+ */
+
+import { PLACEHOLDER_IMAGE } from './OfflineSupport.js';
+
+const STORAGE_KEY = 'mammalMystery.images';
+const FORMAT_VERSION = 1;
+
+// Failed images are skipped for this long, then tried again
+const DEAD_IMAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_DEAD_IMAGES = 1000;
+
+// Horizontal pointer travel that counts as a swipe
+const SWIPE_THRESHOLD_PX = 40;
+
+/**
+ * Image hosts by the site they belong to; pageUrl links an image to its page
+ * where the host's URLs allow it
+ */
+const IMAGE_SOURCES = [
+    {
+        hosts: ['inaturalist.org', 'inaturalist-open-data.s3.amazonaws.com'],
+        name: 'iNaturalist',
+        homepage: 'https://www.inaturalist.org',
+        pageUrl: (url) => {
+            const match = /\/photos\/(\d+)\//.exec(url.pathname);
+            return match ? `https://www.inaturalist.org/photos/${match[1]}` : null;
+        }
+    },
+    {
+        hosts: ['wikimedia.org'],
+        name: 'Wikimedia Commons',
+        homepage: 'https://commons.wikimedia.org',
+        pageUrl: (url) => {
+            // Special:FilePath/<file> and upload.../thumb/x/xy/<file>/<size>-<file>
+            const match = /Special:FilePath\/([^/]+)$/.exec(url.pathname)
+                || /\/commons\/(?:thumb\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/.exec(url.pathname);
+            return match ? `https://commons.wikimedia.org/wiki/File:${match[1]}` : null;
+        }
+    },
+    { hosts: ['animalia.bio'], name: 'Animalia', homepage: 'https://animalia.bio' },
+    { hosts: ['britannica.com'], name: 'Encyclopaedia Britannica', homepage: 'https://www.britannica.com' },
+    { hosts: ['staticflickr.com'], name: 'Flickr', homepage: 'https://www.flickr.com' }
+];
+
+/**
+ * Describe where an image comes from: a local attribution entry if there is
+ * one (data/image_attributions.json), otherwise the site derived from its host
+ * @param {string} imageUrl
+ * @param {Object} attributions - Entries { credit, license, source, href } by image URL
+ * @returns {{ source: string, href: string|null, credit: string|null, license: string|null }}
+ */
+export function describeImageSource(imageUrl, attributions = {}) {
+    let url = null;
+    try {
+        url = new URL(imageUrl);
+    } catch {
+        url = null;
+    }
+
+    const hostname = url?.hostname.replace(/^www\./, '') || '';
+    const known = IMAGE_SOURCES.find(({ hosts }) => hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)));
+    const derived = {
+        source: known?.name || hostname || 'Unknown source',
+        href: (known && (known.pageUrl?.(url) || known.homepage)) || (url ? url.origin : null),
+        credit: null,
+        license: null
+    };
+
+    const entry = attributions?.[imageUrl];
+    return entry ? { ...derived, ...entry } : derived;
+}
+
+/**
+ * ImageMemory remembers, in localStorage, which image of a species last
+ * loaded and which image URLs failed, so the working image is shown first
+ * and dead links are skipped for a while
+ */
+export class ImageMemory {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        const stored = this.read();
+        this.working = stored.working;
+        this.dead = stored.dead;
+    }
+
+    /**
+     * Images of a species to try, best first: the one that last worked, then
+     * the rest in data order without recently failed ones (all of them again
+     * if every image failed)
+     * @param {Object} mammal
+     * @returns {string[]}
+     */
+    getUrls(mammal) {
+        const urls = Array.isArray(mammal?.img_urls) ? mammal.img_urls.filter(Boolean) : [];
+        const now = Date.now();
+        const alive = urls.filter(url => !this.dead[url] || now - this.dead[url] >= DEAD_IMAGE_TTL_MS);
+        const candidates = alive.length > 0 ? alive : urls;
+
+        const preferred = this.working[mammal?.id];
+        return candidates.includes(preferred)
+            ? [preferred, ...candidates.filter(url => url !== preferred)]
+            : candidates;
+    }
+
+    /**
+     * Best image of a species (see getUrls)
+     * @param {Object} mammal
+     * @returns {string|null}
+     */
+    getUrl(mammal) {
+        return this.getUrls(mammal)[0] || null;
+    }
+
+    /**
+     * Record that an image of a species loaded; the first one that works stays
+     * the species' image until it fails
+     */
+    markWorking(mammal, url) {
+        if (!mammal || this.working[mammal.id] || !url) return;
+        this.working[mammal.id] = url;
+        delete this.dead[url];
+        this.write();
+    }
+
+    markDead(url) {
+        // Offline, every image fails: that says nothing about the link
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+        Object.keys(this.working).forEach(id => {
+            if (this.working[id] === url) delete this.working[id];
+        });
+        delete this.dead[url];
+        this.dead[url] = Date.now();
+        this.write();
+    }
+
+    /**
+     * Read the remembered images, tolerating missing or corrupt storage
+     * @returns {{ working: Object, dead: Object }}
+     */
+    read() {
+        const empty = { working: {}, dead: {} };
+        if (!this.storage) return empty;
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return parsed?.version === FORMAT_VERSION
+                ? { working: parsed.working || {}, dead: parsed.dead || {} }
+                : empty;
+        } catch (error) {
+            console.warn('Unable to read remembered images:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Persist, keeping the most recent failures (one working image per species
+     * needs no limit)
+     */
+    write() {
+        if (!this.storage) return;
+        this.dead = Object.fromEntries(Object.entries(this.dead).slice(-MAX_DEAD_IMAGES));
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({
+                version: FORMAT_VERSION,
+                working: this.working,
+                dead: this.dead
+            }));
+        } catch (error) {
+            console.warn('Unable to save remembered images:', error);
+        }
+    }
+}
+
+/**
+ * ImageCarousel shows the images of a species one at a time with a source
+ * line, moving on by buttons, dots, arrow keys or swiping. Images that fail
+ * to load are skipped; when none loads, the local placeholder is shown.
+ */
+export class ImageCarousel {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {string[]} options.urls - Images to show, the first one first
+     * @param {string} options.alt - Alternative text of the images
+     * @param {Object} options.attributions - Local attribution entries (see describeImageSource)
+     * @param {Function} options.onLoad - Called with the URL of an image that loaded
+     * @param {Function} options.onError - Called with the URL of an image that failed
+     */
+    constructor(container, { urls = [], alt = '', attributions = {}, onLoad = null, onError = null } = {}) {
+        this.container = container;
+        this.urls = urls;
+        this.alt = alt;
+        this.attributions = attributions;
+        this.onLoad = onLoad;
+        this.onError = onError;
+        this.failed = new Set();
+        this.index = 0;
+
+        this.mount();
+        this.show(0);
+    }
+
+    mount() {
+        this.container.innerHTML = '';
+        this.container.classList.add('image-carousel');
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'group');
+        this.container.setAttribute('aria-roledescription', 'carousel');
+        this.container.setAttribute('aria-label', `Images of ${this.alt}`);
+
+        this.frame = document.createElement('div');
+        this.frame.className = 'image-carousel-frame';
+        this.image = document.createElement('img');
+        this.image.alt = this.alt;
+        this.image.draggable = false;
+        this.frame.appendChild(this.image);
+        this.container.appendChild(this.frame);
+
+        this.previousButton = this.createButton('image-carousel-prev', 'Previous image', '‹', () => this.step(-1));
+        this.nextButton = this.createButton('image-carousel-next', 'Next image', '›', () => this.step(1));
+        this.frame.append(this.previousButton, this.nextButton);
+
+        this.dots = document.createElement('div');
+        this.dots.className = 'image-carousel-dots';
+        this.urls.forEach((url, index) => {
+            const dot = this.createButton('image-carousel-dot', `Image ${index + 1} of ${this.urls.length}`, '', () => {
+                this.show(index, index < this.index ? -1 : 1);
+            });
+            this.dots.appendChild(dot);
+        });
+        this.container.appendChild(this.dots);
+
+        this.credit = document.createElement('div');
+        this.credit.className = 'image-credit';
+        this.container.appendChild(this.credit);
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(e.key === 'ArrowLeft' ? -1 : 1);
+            }
+        });
+        this.bindSwipe();
+    }
+
+    createButton(className, label, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.setAttribute('aria-label', label);
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    bindSwipe() {
+        let startX = null;
+        this.frame.addEventListener('pointerdown', (e) => {
+            startX = e.clientX;
+        });
+        this.frame.addEventListener('pointerup', (e) => {
+            if (startX === null) return;
+            const dx = e.clientX - startX;
+            startX = null;
+            if (Math.abs(dx) >= SWIPE_THRESHOLD_PX) this.step(dx < 0 ? 1 : -1);
+        });
+        this.frame.addEventListener('pointercancel', () => {
+            startX = null;
+        });
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) image that has not failed
+     * @param {number} direction
+     */
+    step(direction) {
+        if (this.urls.length < 2) return;
+        this.show((this.index + direction + this.urls.length) % this.urls.length, direction);
+    }
+
+    /**
+     * Show an image; if it fails, move on in the same direction
+     * @param {number} index
+     * @param {number} direction - 1 or -1
+     */
+    show(index, direction = 1) {
+        const count = this.urls.length;
+        let next = index;
+        for (let tried = 0; tried < count && this.failed.has(this.urls[next]); tried++) {
+            next = (next + direction + count) % count;
+        }
+        if (count === 0 || this.failed.has(this.urls[next])) {
+            this.showPlaceholder();
+            return;
+        }
+
+        this.index = next;
+        const url = this.urls[next];
+        this.image.onload = () => this.onLoad?.(url);
+        this.image.onerror = () => {
+            this.failed.add(url);
+            this.onError?.(url);
+            if (this.urls[this.index] === url) this.show(next, direction);
+        };
+        this.image.src = url;
+        this.updateControls();
+        this.renderCredit(url);
+    }
+
+    showPlaceholder() {
+        this.image.onload = null;
+        this.image.onerror = null;
+        this.image.src = PLACEHOLDER_IMAGE;
+        this.container.classList.add('single');
+        this.credit.textContent = '';
+    }
+
+    updateControls() {
+        const working = this.urls.filter(url => !this.failed.has(url)).length;
+        this.container.classList.toggle('single', working < 2);
+        [...this.dots.children].forEach((dot, index) => {
+            const url = this.urls[index];
+            dot.hidden = this.failed.has(url);
+            dot.classList.toggle('selected', index === this.index);
+            dot.setAttribute('aria-current', index === this.index ? 'true' : 'false');
+        });
+    }
+
+    renderCredit(url) {
+        const { source, href, credit, license } = describeImageSource(url, this.attributions);
+        this.credit.textContent = '';
+
+        const parts = [credit, license].filter(Boolean).join(', ');
+        this.credit.append(parts ? `Image: ${parts}, via ` : 'Image: ');
+        if (href) {
+            const link = document.createElement('a');
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = source;
+            this.credit.appendChild(link);
+        } else {
+            this.credit.append(source);
+        }
+    }
+}
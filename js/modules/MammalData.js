@@ -4,26 +4,52 @@
  */
 
 import { SpeciesNormalizer } from './utils/SpeciesNormalizer.js';
+import { defaultLoader } from './DataLoader.js';
 
 // Cache for loaded mammal data
 let mammalDataCache = null;
+let fossilTaxaCache = null;
+
+// Fields kept out of the core index of the sharded layout and loaded per order.
+// Alternate names stay in the core index: name search needs them from the start.
+export const DETAIL_FIELDS = [
+    'gbif_id',
+    'iucn_id',
+    'inaturalist_id',
+    'animalia_slug',
+    'img_urls'
+];
 
 /**
- * Load mammal data from JSON file
- * @param {string} dataPath - Path to the mammal data JSON file
- * @returns {Promise<Object[]>}
+ * Load mammal data: either one JSON array of complete records, or the sharded
+ * layout (see shardMammalData), whose core index is loaded here and whose
+ * detail shards are loaded on demand by MammalLookup.loadDetails
+ * @param {string} dataPath - Path to the mammal data JSON file or core index
+ * @param {Object} loader - Data loader (see DataLoader.js)
+ * @returns {Promise<{ mammals: Object[], shards: Object|null }>} Records, plus
+ *          { base, files, version } of the detail shards for the sharded layout
  */
-export async function loadMammalData(dataPath = './mammal_data.json') {
+export async function loadMammalData(dataPath = './data/mammals/index.json', loader = defaultLoader) {
     if (mammalDataCache) {
         return mammalDataCache;
     }
 
     try {
-        const response = await fetch(dataPath);
-        if (!response.ok) {
-            throw new Error(`Failed to load mammal data: ${response.status} ${response.statusText}`);
+        const data = await loader.json(dataPath);
+        if (Array.isArray(data)) {
+            mammalDataCache = { mammals: data, shards: null };
+        } else if (Array.isArray(data?.mammals) && data.shards) {
+            mammalDataCache = {
+                mammals: data.mammals,
+                shards: {
+                    base: dataPath.slice(0, dataPath.lastIndexOf('/') + 1),
+                    files: data.shards,
+                    version: data.version
+                }
+            };
+        } else {
+            throw new Error(`${dataPath} must hold an array of mammal records or a sharded index`);
         }
-        mammalDataCache = await response.json();
         return mammalDataCache;
     } catch (error) {
         console.error('Unable to load mammal data:', error);
@@ -31,6 +57,103 @@ export async function loadMammalData(dataPath = './mammal_data.json') {
     }
 }
 
+/**
+ * Split complete mammal records into the sharded layout: a core index with
+ * IDs, names (alternate names included) and taxonomy, and one shard per order
+ * with the DETAIL_FIELDS
+ * @param {Object[]} mammals - Complete records (mammal_data.json)
+ * @param {string} version - Data version, repeated in every shard
+ * @returns {{ index: Object, shards: Object }} The index, and shard contents by file name
+ */
+export function shardMammalData(mammals, version) {
+    const index = { version, shards: {}, mammals: [] };
+    const shards = {};
+
+    mammals.forEach(mammal => {
+        const core = {};
+        const details = {};
+        Object.entries(mammal).forEach(([field, value]) => {
+            (DETAIL_FIELDS.includes(field) ? details : core)[field] = value;
+        });
+        index.mammals.push(core);
+
+        const order = mammal.order || 'UNKNOWN';
+        if (!index.shards[order]) {
+            index.shards[order] = `${order.toLowerCase()}.json`;
+            shards[index.shards[order]] = { order, version, details: {} };
+        }
+        shards[index.shards[order]].details[mammal.id] = details;
+    });
+
+    return { index, shards };
+}
+
+/**
+ * Load the extinct taxa of the tree as mammal-like records (fossil mode)
+ * @param {string} dataPath - Path to the fossil metadata JSON file
+ * @param {Object} loader - Data loader (see DataLoader.js)
+ * @returns {Promise<Object[]>}
+ */
+export async function loadFossilTaxa(dataPath = './data/fossil_taxa.json', loader = defaultLoader) {
+    if (fossilTaxaCache) {
+        return fossilTaxaCache;
+    }
+
+    try {
+        const data = await loader.json(dataPath);
+        fossilTaxaCache = (data.taxa || []).map(taxon => ({
+            id: taxon.id,
+            scientific_name: taxon.tree_label.replace(/^X_/, ''),
+            common_name: taxon.name,
+            tree_label: taxon.tree_label,
+            family: taxon.family,
+            order: taxon.order,
+            extinct: true,
+            age_ma: taxon.age_ma,
+            description: taxon.description,
+            img_urls: []
+        }));
+        return fossilTaxaCache;
+    } catch (error) {
+        console.error('Unable to load fossil taxa:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load credits for individual images (see describeImageSource in ImageCarousel.js)
+ * @param {string} dataPath - Path to the image attribution JSON file
+ * @param {Object} loader - Data loader (see DataLoader.js)
+ * @returns {Promise<Object>} Entries { credit, license, source, href } by image URL
+ */
+export async function loadImageAttributions(dataPath = './data/image_attributions.json', loader = defaultLoader) {
+    try {
+        const data = await loader.json(dataPath);
+        return data.images && typeof data.images === 'object' ? data.images : {};
+    } catch (error) {
+        console.warn('Unable to load image attributions:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the label used for a mammal in the phylogenetic tree
+ * @param {Object} mammal - Mammal object
+ * @returns {string|null}
+ */
+export function getTreeLabel(mammal) {
+    return mammal?.tree_label || mammal?.scientific_name || null;
+}
+
+/**
+ * Get the genus of a mammal (explicit field or first word of the scientific name)
+ * @param {Object} mammal - Mammal object
+ * @returns {string|null}
+ */
+export function getGenus(mammal) {
+    return mammal?.genus || mammal?.scientific_name?.split(' ')[0] || null;
+}
+
 /**
  * Get the primary image URL for a mammal
  * @param {Object} mammal - Mammal object
@@ -49,25 +172,47 @@ export function getPrimaryImageUrl(mammal) {
 export class MammalLookup {
     constructor() {
         this.mammals = [];
+        this.fossils = [];
         this.byLabel = new Map();
         this.byId = new Map();
         this.normalizer = new SpeciesNormalizer();
+
+        // Detail shards of the sharded layout (see loadMammalData)
+        this.shards = null;
+        this.shardLoader = defaultLoader;
+        this.shardLoads = new Map();
+        this.detailListeners = [];
     }
 
     /**
      * Initialize with mammal data
      * @param {Object[]} mammals - Array of mammal objects
+     * @param {Object[]} fossils - Extinct taxa, only offered in fossil mode
+     * @param {Object} options
+     * @param {Object|null} options.shards - Detail shards from loadMammalData; without
+     *        them the records are taken to be complete
+     * @param {Object} options.loader - Data loader for the shards (see DataLoader.js)
      */
-    initialize(mammals) {
+    initialize(mammals, fossils = [], { shards = null, loader = defaultLoader } = {}) {
         this.mammals = mammals;
+        this.fossils = fossils;
         this.byLabel.clear();
         this.byId.clear();
+        this.shards = shards;
+        this.shardLoader = loader;
+        this.shardLoads.clear();
+
+        // The first record with an ID or name keeps it; later duplicates are
+        // reported by validateMammalData (see DataValidator.js)
+        const addLabel = (label, mammal) => {
+            if (label && !this.byLabel.has(label)) this.byLabel.set(label, mammal);
+        };
 
-        mammals.forEach(mammal => {
+        [...mammals, ...fossils].forEach(mammal => {
             if (!mammal) return;
             
             // Index by ID
-            if (mammal.id) {
+            if (mammal.id && !this.byId.has(mammal.id)) {
                 this.byId.set(mammal.id, mammal);
             }
 
@@ -76,15 +221,79 @@ export class MammalLookup {
                 const normalized = mammal.scientific_name.trim().toLowerCase();
                 const underscored = normalized.replace(/\s+/g, '_');
                 
-                this.byLabel.set(normalized, mammal);
-                this.byLabel.set(underscored, mammal);
-                
-                const canonical = this.normalizer.getCanonical(underscored);
-                if (canonical) {
-                    this.byLabel.set(canonical.toLowerCase(), mammal);
-                }
+                addLabel(normalized, mammal);
+                addLabel(underscored, mammal);
+                addLabel(this.normalizer.getCanonical(underscored)?.toLowerCase(), mammal);
             }
+
+            // Extinct taxa are labelled differently in the tree (e.g. X_Haldanodon)
+            if (mammal.tree_label) {
+                addLabel(mammal.tree_label.trim().toLowerCase(), mammal);
+            }
+        });
+    }
+
+    /**
+     * Make sure the detail fields (images, external IDs) of the given mammals
+     * are loaded. They are merged into the records in place, so callers keep
+     * using the same objects. Resolves at once when the data was loaded
+     * complete; a shard that fails to load is retried next time.
+     * @param {Object[]} mammals
+     * @returns {Promise<boolean>} Whether every needed shard loaded
+     */
+    async loadDetails(mammals) {
+        if (!this.shards) return true;
+
+        const orders = new Set();
+        (mammals || []).forEach(mammal => {
+            if (mammal && !mammal.extinct && this.shards.files[mammal.order]) orders.add(mammal.order);
         });
+        const results = await Promise.all([...orders].map(order => this.loadShard(order)));
+        return results.every(Boolean);
+    }
+
+    /**
+     * Load the detail fields of every mammal
+     * @returns {Promise<boolean>}
+     */
+    loadAllDetails() {
+        return this.loadDetails(this.mammals);
+    }
+
+    /**
+     * Listen for detail shards being merged into the records
+     * @param {Function} listener - Called with the order of the shard and its
+     *        detail fields by mammal ID
+     */
+    onDetailsLoaded(listener) {
+        this.detailListeners.push(listener);
+    }
+
+    loadShard(order) {
+        if (this.shardLoads.has(order)) return this.shardLoads.get(order);
+
+        const path = `${this.shards.base}${this.shards.files[order]}`;
+        const load = this.shardLoader.json(path)
+            .then(shard => {
+                // Details of another data version could belong to other species
+                if (shard.version !== this.shards.version) {
+                    console.warn(`Ignoring ${path}: data version ${shard.version}, expected ${this.shards.version}`);
+                    return false;
+                }
+                Object.entries(shard.details || {}).forEach(([id, details]) => {
+                    const mammal = this.byId.get(Number(id));
+                    if (mammal) Object.assign(mammal, details);
+                });
+                this.detailListeners.forEach(listener => listener(order, shard.details || {}));
+                return true;
+            })
+            .catch(error => {
+                console.warn(`Unable to load mammal details from ${path}:`, error);
+                this.shardLoads.delete(order);
+                return false;
+            });
+        this.shardLoads.set(order, load);
+        return load;
     }
 
     /**
@@ -114,10 +323,20 @@ export class MammalLookup {
 
     /**
      * Get all mammals
+     * @param {Object} options
+     * @param {boolean} options.includeFossils - Append the extinct taxa
+     * @returns {Object[]}
+     */
+    getAll({ includeFossils = false } = {}) {
+        return includeFossils ? [...this.mammals, ...this.fossils] : this.mammals;
+    }
+
+    /**
+     * Get the extinct taxa
      * @returns {Object[]}
      */
-    getAll() {
-        return this.mammals;
+    getFossils() {
+        return this.fossils;
     }
 
     /**
@@ -195,9 +414,10 @@ function getOrderWeight(orderSize) {
  * 
  * @param {Object[]} mammalList - List of mammals to sample from
  * @param {number} count - Number of samples
+ * @param {Function} rng - Random source returning [0, 1) (defaults to Math.random)
  * @returns {Object[]}
  */
-export function weightedSample(mammalList, count) {
+export function weightedSample(mammalList, count, rng = Math.random) {
     const pool = mammalList.filter(Boolean);
     const targetCount = Math.min(count, pool.length);
     
@@ -234,12 +454,12 @@ export function weightedSample(mammalList, count) {
         
         // Shuffle each family's species list
         byFamily.forEach((species, family) => {
-            shuffleArray(species);
+            shuffleArray(species, rng);
         });
         
         orderPools.set(order, {
             families: byFamily,
-            familyKeys: shuffleArray([...byFamily.keys()]),
+            familyKeys: shuffleArray([...byFamily.keys()], rng),
             currentFamilyIndex: 0,
             totalRemaining: mammals.length
         });
@@ -264,7 +484,7 @@ export function weightedSample(mammalList, count) {
         if (activeOrders.length === 0) break;
 
         // Weighted random selection of order
-        let threshold = Math.random() * totalWeight;
+        let threshold = rng() * totalWeight;
         let selectedOrder = activeOrders[activeOrders.length - 1];
         
         for (const item of activeOrders) {
@@ -318,11 +538,12 @@ export function weightedSample(mammalList, count) {
 /**
  * Fisher-Yates shuffle (in-place)
  * @param {Array} array
+ * @param {Function} rng - Random source returning [0, 1) (defaults to Math.random)
  * @returns {Array} - The same array, shuffled
  */
-function shuffleArray(array) {
+export function shuffleArray(array, rng = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
@@ -363,8 +584,8 @@ export function calculateTaxonomicScore(mammal1, mammal2) {
         if (mammal1.family && mammal2.family && mammal1.family === mammal2.family) {
             score += 25;
 
-            const genus1 = mammal1.genus || mammal1.scientific_name?.split(' ')[0];
-            const genus2 = mammal2.genus || mammal2.scientific_name?.split(' ')[0];
+            const genus1 = getGenus(mammal1);
+            const genus2 = getGenus(mammal2);
 
             if (genus1 && genus2 && genus1 === genus2) {
                 score += 20;
@@ -1,61 +1,57 @@
 /**
  * MammalMysteryGame.js
- * Main game class that orchestrates all modules
+ * Main game class: connects the DOM-free GameEngine to the page
  */
 
-import { PhylogeneticDistanceCalculator } from './PhyloCalculator.js';
-import { 
-    loadMammalData, 
-    MammalLookup, 
-    weightedSample, 
-    calculateTaxonomicScore,
-    getPrimaryImageUrl 
-} from './MammalData.js';
+import { GameEngine } from './GameEngine.js';
 import { UIRenderer } from './UIRenderer.js';
 import { ChartRenderer } from './ChartRenderer.js';
+import { TreeExplorer } from './TreeExplorer.js';
+import { DailyChallenge } from './DailyChallenge.js';
+import { PlayerStats } from './PlayerStats.js';
+import { GameSettings, PRESETS } from './GameSettings.js';
+import { describePool, MIN_POOL_SIZE } from './SpeciesPool.js';
+import { listMetrics } from './DistanceMetrics.js';
+import { buildShareSummary, formatShareText, encodeShareFragment, decodeShareFragment } from './ShareSummary.js';
+import { registerServiceWorker, cacheImagesInBackground } from './OfflineSupport.js';
 
-// Configuration
-const CONFIG = {
-    TREE_FILE: './FBD-tree.tre',
-    DATA_FILE: './mammal_data.json',
-    MAX_GUESSES: 10,
-    OPTIONS_COUNT: 45,
-    TRANSFORM_MODE: 'log',
-    DEBUG_DISTANCE_LOGS: false
-};
+// Data file paths and debugging switches live in GameEngine; difficulty settings in GameSettings
 
 /**
  * Main game class
  */
 export class MammalMysteryGame {
     constructor() {
-        // Game state
-        this.currentTarget = null;
-        this.gameOptions = [];
-        this.guesses = [];
-        this.currentGuess = 1;
-        this.gameState = 'home'; // 'home', 'playing', 'finished'
-        this.guessedIds = new Set();
+        // Round state and game rules live in the engine; this class owns the page
+        this.engine = new GameEngine();
         this.optionButtons = new Map();
         this.postResultModeActive = false;
-
-        // Round ranking state (computed once per round)
-        this.roundRanking = [];
-        this.roundRankById = new Map();
-        this.roundMetricsById = new Map();
+        this.roundTreeLayout = 'phylogram'; // Layout of the round tree view (see TREE_LAYOUTS)
 
         // Modules
-        this.mammalLookup = new MammalLookup();
-        this.phyloCalculator = new PhylogeneticDistanceCalculator();
+        this.mammalLookup = this.engine.mammalLookup;
+        this.poolBuilder = this.engine.poolBuilder;
         this.ui = new UIRenderer();
         this.chartRenderer = new ChartRenderer();
+        this.treeExplorer = null; // Created when the mammal tree is first opened
+        this.treeLoaded = null; // Resolves with whether the phylogenetic tree loaded
+        this.previewMammal = null; // Mammal under the pointer, previewed once its image is known
+        this.nextRoundSeed = null; // Seed of the next random round, whose images are cached ahead
+        this.dailyChallenge = new DailyChallenge();
+        this.playerStats = new PlayerStats();
+        this.lastRoundResult = null;
+        this.settings = new GameSettings();
 
         // Configure transform mode
-        try {
-            this.phyloCalculator.setTransformMode(CONFIG.TRANSFORM_MODE);
-        } catch (e) {
-            console.warn('Failed to set transform mode:', e);
-        }
+        this.engine.applyTransformMode(this.settings.get().transformMode);
+    }
+
+    /**
+     * Current game state ('home', 'playing' or 'finished')
+     * @returns {string}
+     */
+    get gameState() {
+        return this.engine.gameState;
     }
 
     /**
@@ -63,28 +59,35 @@ export class MammalMysteryGame {
      */
     async init() {
         try {
-            // Load mammal data
-            const mammals = await loadMammalData(CONFIG.DATA_FILE);
-            this.mammalLookup.initialize(mammals);
-            console.log(`Loaded ${mammals.length} mammals`);
-
-            // Load phylogenetic tree in background
-            const allSpeciesNames = this.mammalLookup.getAllScientificNames();
-            this.phyloCalculator.loadTree(CONFIG.TREE_FILE, allSpeciesNames)
-                .then(() => {
-                    console.log('Phylogenetic tree loaded successfully!');
-                    // If a round is already in progress and no guesses were made yet,
-                    // refresh the ranking so the whole round uses phylogenetic distances.
-                    if (this.gameState === 'playing' && this.currentTarget && this.guesses.length === 0) {
-                        this.computeRoundRanking();
-                    }
+            // Load mammal data and curated pools
+            await this.engine.loadData();
+            this.ui.setImageAttributions(this.engine.imageAttributions);
+
+            // Load phylogenetic tree in background (in a worker where supported)
+            this.treeLoaded = this.engine.loadTree({
+                onProgress: (progress) => this.ui.updateTreeProgress(progress),
+                pools: [this.settings.get().pool],
+                onRoundSetup: () => this.holdGuesses()
+            })
+                .then((loaded) => {
+                    this.renderDataPanel();
+                    return loaded;
                 })
-                .catch(error => console.warn('Failed to load phylogenetic tree:', error));
+                .catch(error => {
+                    console.warn('Failed to load phylogenetic tree:', error);
+                    return false;
+                });
 
             // Setup UI
             this.setupEventListeners();
             this.populateGallery();
             this.populateFilterDropdowns();
+            this.renderSettings();
+            this.showSharedResultFromUrl();
+
+            // Cache the game for offline play, then the images of the first rounds
+            registerServiceWorker((status) => this.ui.updateOfflineStatus(status))
+                .then(() => this.cacheUpcomingRounds());
 
         } catch (error) {
             console.error('Error initializing game:', error);
@@ -127,289 +130,159 @@ export class MammalMysteryGame {
             this.ui.hideModal('round-tree-modal');
         });
 
+        // Typed guesses with autocomplete
+        this.ui.bindGuessEntry({
+            onQuery: (query) => this.searchGuessCandidates(query),
+            onSubmit: (mammal) => {
+                if (this.gameState === 'playing') {
+                    this.makeGuess(mammal);
+                }
+            },
+            onHover: (mammal) => this.showPreview(mammal),
+            onToggleMode: () => this.toggleInputMode(),
+            onToggleOpenPool: (checked) => this.setOpenPool(checked)
+        });
+
+        // Statistics export/import
+        document.getElementById('stats-export')?.addEventListener('click', () => this.exportStats());
+        document.getElementById('stats-import')?.addEventListener('change', (e) => this.importStats(e.target));
+
+        // Hints
+        document.getElementById('hint-button')?.addEventListener('click', () => this.useHint());
+
         // Start logo animation
         this.startLogoCardAnimation();
     }
 
     /**
      * Start a new game
+     * @param {Object} options
+     * @param {string} options.mode - 'random' or 'daily'
+     * @param {string} options.seed - Seed for target/option selection (random if omitted)
+     * @param {string} options.dateKey - Calendar date of a daily round
      */
-    startNewGame() {
-        // Reset state
-        this.guesses = [];
-        this.currentGuess = 1;
-        this.gameState = 'playing';
-        this.guessedIds.clear();
+    startNewGame(options = {}) {
+        const mode = options.mode || 'random';
+        this.engine.startRound({
+            // The daily round always uses the Normal preset so everyone shares the same round
+            settings: mode === 'daily' ? this.settings.getDailySettings() : this.settings.get(),
+            mode,
+            // A random round plays the seed whose images were cached ahead
+            seed: options.seed ?? (mode === 'random' ? this.nextRoundSeed : null),
+            dateKey: mode === 'daily' ? (options.dateKey || this.dailyChallenge.getDateKey()) : null
+        });
+        this.cacheUpcomingRounds();
+
+        const { roundSettings, roundOpenPool, roundPool } = this.engine;
         this.optionButtons.clear();
         this.exitPostResultMode();
 
-        this.roundRanking = [];
-        this.roundRankById.clear();
-        this.roundMetricsById.clear();
-
-        // Select target and options
-        this.currentTarget = this.selectWeightedTarget();
-        this.gameOptions = weightedSample(this.mammalLookup.getAll(), CONFIG.OPTIONS_COUNT);
-
-        // Ensure target is in options
-        if (!this.gameOptions.find(m => m.id === this.currentTarget.id)) {
-            const replaceIndex = Math.floor(Math.random() * this.gameOptions.length);
-            this.gameOptions[replaceIndex] = this.currentTarget;
-        }
-
-        // Configure phylogenetic calculator for this round
-        if (this.phyloCalculator) {
-            const allowedNames = this.gameOptions
-                .map(m => m.scientific_name)
-                .filter(Boolean);
-            this.phyloCalculator.configureRound(allowedNames, this.currentTarget.scientific_name);
-        }
-
-        // Precompute ranking for this round (target vs all options)
-        this.computeRoundRanking();
-
         // Update UI
-        this.ui.updateGuessCounter(this.currentGuess, CONFIG.MAX_GUESSES);
-        this.ui.clearGuessDisplays(CONFIG.MAX_GUESSES);
+        this.ui.updateGuessCounter(this.engine.currentGuess, this.engine.getGuessBudget());
+        this.ui.clearGuessDisplays(roundSettings.maxGuesses);
+        this.renderHints();
         this.populateOptions();
-
-        console.log('New game started. Target:', this.currentTarget.common_name);
+        this.ui.setInputMode(roundOpenPool ? 'text' : roundSettings.inputMode, {
+            locked: roundOpenPool,
+            openPool: this.settings.get().openPool
+        });
+        this.ui.setRoundPoolLabel(roundPool || roundSettings.fossils
+            ? `${describePool(roundPool)}${roundSettings.fossils ? ' + extinct taxa' : ''}`
+            : null);
+        this.holdGuesses();
     }
 
     /**
-     * Select a weighted random target
+     * Disable guessing while the engine re-ranks the round with the tree, so
+     * no guess is scored against the provisional taxonomic ranking
      */
-    selectWeightedTarget() {
-        const [mammal] = weightedSample(this.mammalLookup.getAll(), 1);
-        return mammal || this.mammalLookup.getAll()[Math.floor(Math.random() * this.mammalLookup.getAll().length)];
+    async holdGuesses() {
+        const setup = this.engine.roundSetup;
+        if (!setup) return;
+
+        this.ui.setGuessingEnabled(false);
+        await setup;
+        // A newer round may be waiting for its own ranking
+        if (!this.engine.roundSetup) this.ui.setGuessingEnabled(true);
     }
 
     /**
-     * Make a guess
-     * @param {Object} mammal - Guessed mammal
+     * Start today's daily challenge if it has not been attempted yet
+     * @returns {boolean} Whether a round was started
      */
-    makeGuess(mammal) {
-        if (this.gameState !== 'playing' || this.currentGuess > CONFIG.MAX_GUESSES) {
-            return;
-        }
+    startDailyGame() {
+        const dateKey = this.dailyChallenge.getDateKey();
 
-        // Prevent duplicate guesses
-        if (this.guessedIds.has(mammal.id)) {
-            return;
+        if (this.dailyChallenge.hasAttempted(dateKey)) {
+            this.ui.showDailyLockedModal(dateKey, this.dailyChallenge.getEntry(dateKey));
+            return false;
         }
 
-        this.guessedIds.add(mammal.id);
-
-        const rank = this.roundRankById.get(mammal.id) ?? null;
-        const metrics = this.roundMetricsById.get(mammal.id) ?? null;
-
-        const isCorrect = mammal.id === this.currentTarget.id;
-
-        // Two-color feedback: closer (green) vs farther (red) than previous guess.
-        // First guess (or missing data) is neutral.
-        const prevGuess = (this.guesses.length > 0) ? this.guesses[this.guesses.length - 1] : null;
-        const prevDistance = prevGuess?.distance;
-        const currentDistance = metrics?.distance;
-        const EPS = 1e-9;
-        let comparison = 'neutral';
-        if (Number.isFinite(prevDistance) && Number.isFinite(currentDistance)) {
-            if (currentDistance < prevDistance - EPS) comparison = 'green';
-            else if (currentDistance > prevDistance + EPS) comparison = 'red';
-        }
-        if (isCorrect) comparison = 'green';
+        this.dailyChallenge.markStarted(dateKey);
+        this.startNewGame({
+            mode: 'daily',
+            seed: this.dailyChallenge.getSeed(),
+            dateKey
+        });
+        return true;
+    }
 
-        const guess = {
-            mammal,
-            rank,
-            tieSize: metrics?.tieSize ?? 1,
-            totalRanks: Math.max(0, (this.roundRanking.length - 1)) || (CONFIG.OPTIONS_COUNT - 1),
-            distance: metrics?.distance ?? null,
-            source: metrics?.source ?? null,
-            guessNumber: this.currentGuess
-        };
+    /**
+     * Make a guess
+     * @param {Object} mammal - Guessed mammal
+     */
+    makeGuess(mammal) {
+        const outcome = this.engine.makeGuess(mammal);
+        if (!outcome) return;
 
-        this.guesses.push(guess);
-        this.removeOptionFromPool(mammal.id);
+        const { guess, isCorrect, comparison } = outcome;
+        this.ui.removeOption(mammal.id, this.optionButtons);
 
         // Update UI
         this.ui.updateGuessDisplay(
-            this.currentGuess,
+            guess.guessNumber,
             mammal,
-            rank,
-            Math.max(0, (this.roundRanking.length - 1)) || (CONFIG.OPTIONS_COUNT - 1),
-            metrics?.tieSize ?? 1,
-            { isCorrect, comparison },
-            (m) => this.ui.showPreview(m),
-            (m) => this.ui.showMammalInfo(m)
+            guess.rank,
+            guess.totalRanks,
+            guess.tieSize,
+            {
+                isCorrect,
+                comparison,
+                detail: this.engine.roundSettings.feedback,
+                divergenceMa: guess.divergenceMa,
+                placementEstimate: guess.placementEstimate
+            },
+            (m) => this.showPreview(m),
+            (m) => this.showMammalInfo(m)
         );
-
-        // Check win condition
-        if (isCorrect) {
-            this.endGame(true);
-            return;
-        }
-
-        // Check lose condition
-        if (this.currentGuess >= CONFIG.MAX_GUESSES) {
-            this.endGame(false);
-            return;
-        }
-
-        this.currentGuess++;
-        this.ui.updateGuessCounter(this.currentGuess, CONFIG.MAX_GUESSES);
-    }
-
-    /**
-     * Calculate similarity between two mammals
-     */
-    calculateSimilarity(mammal1, mammal2) {
-        if (mammal1.id === mammal2.id) {
-            return { distance: 0, score: 100, source: 'exact' };
+        // Shared taxon is its own channel, shown with full feedback only
+        if (this.engine.roundSettings.feedback === 'full' && guess.sharedTaxon) {
+            this.ui.updateGuessTaxon(guess.guessNumber, guess.sharedTaxon);
         }
 
-        // Try phylogenetic distance first
-        if (this.phyloCalculator?.isLoaded) {
-            const species1 = mammal1.scientific_name;
-            const species2 = mammal2.scientific_name;
-
-            if (species1 && species2) {
-                const metrics = this.phyloCalculator.getPhylogeneticDistance(species1, species2);
-                if (metrics !== null) {
-                    const score = this.phyloCalculator.distanceToScore(metrics.raw);
-                    if (CONFIG.DEBUG_DISTANCE_LOGS) {
-                        console.log(`Phylogenetic: ${species1} ↔ ${species2}: raw=${metrics.raw.toFixed(4)}, score=${score}`);
-                    }
-                    return {
-                        distance: metrics.effective,
-                        rawDistance: metrics.raw,
-                        edgeCount: metrics.edges,
-                        score,
-                        source: 'phylogenetic'
-                    };
-                }
-            }
-        }
-
-        // Fallback to taxonomic similarity
-        const score = calculateTaxonomicScore(mammal1, mammal2);
-        return { distance: null, rawDistance: null, edgeCount: null, score, source: 'taxonomic' };
-    }
-
-    /**
-     * Compute a stable per-round ranking (1 = target, then closest -> farthest)
-     * based on phylogenetic distance where available, falling back to taxonomic score.
-     */
-    computeRoundRanking() {
-        this.roundRanking = [];
-        this.roundRankById.clear();
-        this.roundMetricsById.clear();
-
-        if (!this.currentTarget || !Array.isArray(this.gameOptions) || this.gameOptions.length === 0) {
+        if (outcome.finished) {
+            this.endGame(outcome.won);
             return;
         }
 
-        // Ensure unique mammals by ID
-        const byId = new Map();
-        for (const m of this.gameOptions) {
-            if (m?.id) byId.set(m.id, m);
-        }
-        if (this.currentTarget?.id) byId.set(this.currentTarget.id, this.currentTarget);
-
-        const rows = [];
-        for (const mammal of byId.values()) {
-            if (!mammal) continue;
-
-            if (mammal.id === this.currentTarget.id) {
-                rows.push({
-                    id: mammal.id,
-                    mammal,
-                    distance: 0,
-                    source: 'exact'
-                });
-                continue;
-            }
-
-            const similarity = this.calculateSimilarity(mammal, this.currentTarget);
-
-            // Primary metric: raw phylogenetic distance (no normalization)
-            // Fallback metric: (100 - taxonomic score)
-            let distance = Number.POSITIVE_INFINITY;
-            if (similarity?.source === 'phylogenetic' && Number.isFinite(similarity.rawDistance)) {
-                distance = similarity.rawDistance;
-            } else if (typeof similarity?.score === 'number' && Number.isFinite(similarity.score)) {
-                distance = 100 - similarity.score;
-            }
-
-            rows.push({
-                id: mammal.id,
-                mammal,
-                distance,
-                source: similarity?.source || null
-            });
-        }
-
-        rows.sort((a, b) => {
-            const da = Number.isFinite(a.distance) ? a.distance : Number.POSITIVE_INFINITY;
-            const db = Number.isFinite(b.distance) ? b.distance : Number.POSITIVE_INFINITY;
-            if (da !== db) return da - db;
-            const na = (a.mammal?.common_name || a.mammal?.scientific_name || '').toLowerCase();
-            const nb = (b.mammal?.common_name || b.mammal?.scientific_name || '').toLowerCase();
-            return na.localeCompare(nb);
-        });
-
-        // Keep the target at the top but exclude it from rank numbering.
-        // Closest non-target should be rank 1.
-        const targetIndex = rows.findIndex(r => r?.id === this.currentTarget.id);
-        const targetRow = targetIndex >= 0 ? rows[targetIndex] : null;
-        const others = rows.filter(r => r?.id !== this.currentTarget.id);
-
-        // Assign tie-aware ranks (competition ranking): rank = 1 + count(strictly closer)
-        const EPS = 1e-9;
-        const isEqualDistance = (d1, d2) => {
-            if (!Number.isFinite(d1) || !Number.isFinite(d2)) return false;
-            return Math.abs(d1 - d2) <= EPS;
-        };
-
-        let index = 0;
-        let currentRank = 1;
-        while (index < others.length) {
-            const groupDistance = others[index].distance;
-            let end = index + 1;
-            while (end < others.length && isEqualDistance(others[end].distance, groupDistance)) {
-                end++;
-            }
-
-            const tieSize = end - index;
-            for (let k = index; k < end; k++) {
-                others[k].rank = currentRank;
-                others[k].tieSize = tieSize;
-            }
-
-            index = end;
-            currentRank += tieSize;
-        }
-
-        if (targetRow) {
-            targetRow.rank = null;
-            targetRow.tieSize = 1;
-            this.roundRanking = [targetRow, ...others];
-        } else {
-            this.roundRanking = others;
-        }
-
-        this.roundRanking.forEach((row) => {
-            const rank = row.rank ?? null;
-            const tieSize = row.tieSize ?? 1;
-            this.roundRankById.set(row.id, rank);
-            this.roundMetricsById.set(row.id, { distance: row.distance, source: row.source, tieSize });
-        });
+        this.ui.updateGuessCounter(this.engine.currentGuess, this.engine.getGuessBudget());
+        this.renderHints();
     }
 
     /**
      * End the game
      */
     endGame(won) {
-        this.gameState = 'finished';
+        const { roundMode, roundDateKey, guesses } = this.engine;
+        this.lastRoundResult = this.engine.lastRoundResult;
+        this.playerStats.recordRound(this.lastRoundResult);
+
+        if (roundMode === 'daily' && roundDateKey) {
+            this.dailyChallenge.recordResult(roundDateKey, {
+                won,
+                guessCount: guesses.length
+            });
+        }
 
         setTimeout(() => {
             this.showResultModal(won);
@@ -419,9 +292,13 @@ export class MammalMysteryGame {
     /**
      * Show the result modal
      */
-    showResultModal(won) {
-        this.ui.showResultModal(won, this.currentTarget, this.guesses, {
-            onTargetClick: () => this.ui.showMammalInfo(this.currentTarget),
+    async showResultModal(won) {
+        const target = this.engine.currentTarget;
+        await this.mammalLookup.loadDetails([target]);
+        const details = { stats: this.playerStats.getSummary(), targetImageUrl: this.getRoundImageUrl(target) };
+
+        this.ui.showResultModal(won, target, this.engine.guesses, details, {
+            onTargetClick: () => this.showMammalInfo(target),
             onPlayAgain: () => {
                 this.ui.hideModal('result-modal');
                 this.startNewGame();
@@ -431,8 +308,9 @@ export class MammalMysteryGame {
                 this.ui.hideModal('result-modal');
                 this.ui.showScreen('home-screen');
             },
+            onShare: () => this.shareResult(won),
             onGuessClick: (mammal) => {
-                this.ui.showMammalInfo(mammal);
+                this.showMammalInfo(mammal);
                 // Ensure info modal appears above result modal
                 const infoModal = document.getElementById('mammal-info-modal');
                 if (infoModal) infoModal.style.zIndex = '1300';
@@ -443,40 +321,77 @@ export class MammalMysteryGame {
     }
 
     /**
-     * Show the round tree/histogram modal
+     * Copy a spoiler-free summary of the finished round to the clipboard
+     * @param {boolean} won - Whether the round was won
+     */
+    async shareResult(won) {
+        const summary = buildShareSummary({
+            won,
+            target: this.engine.currentTarget,
+            guesses: this.engine.guesses,
+            maxGuesses: this.engine.roundSettings.maxGuesses,
+            mode: this.engine.roundMode,
+            dateKey: this.engine.roundDateKey
+        });
+
+        const url = `${window.location.origin}${window.location.pathname}${encodeShareFragment(summary)}`;
+        const copied = await this.ui.copyToClipboard(formatShareText(summary, url));
+        this.ui.showShareStatus(copied, url);
+    }
+
+    /**
+     * Show a shared result if the page was opened from a share link
+     */
+    showSharedResultFromUrl() {
+        const summary = decodeShareFragment(window.location.hash);
+        if (summary) {
+            this.ui.showSharedResultModal(summary);
+        }
+    }
+
+    /**
+     * Show the round tree modal (the ranking list until the tree is available)
      */
-    showRoundTreeModal() {
+    async showRoundTreeModal() {
         const modal = document.getElementById('round-tree-modal');
         const container = document.getElementById('round-tree-svg');
         if (!modal || !container) return;
 
-        container.innerHTML = '';
+        this.chartRenderer.showEmptyMessage(container, 'Loading the round tree...');
+        modal.style.display = 'flex';
 
-        this.chartRenderer.renderRoundRankingList({
-            roundRanking: this.roundRanking,
-            target: this.currentTarget,
-            guessedIds: this.guessedIds,
+        const tree = await this.engine.getRoundTree();
+        this.chartRenderer.renderRoundTree({
+            tree,
+            roundRanking: this.engine.roundRanking,
+            target: this.engine.currentTarget,
+            guessOrder: this.engine.guesses.map(guess => guess.mammal.id),
+            layout: this.roundTreeLayout,
             onItemClick: (id) => {
                 const mammal = this.mammalLookup.getById(id);
-                if (mammal) this.ui.showMammalInfo(mammal);
+                if (mammal) this.showMammalInfo(mammal);
+            },
+            onLayoutChange: (layout) => {
+                this.roundTreeLayout = layout;
             }
         }, container);
-
-        modal.style.display = 'flex';
     }
 
     /**
      * Populate game options
      */
     populateOptions() {
-        this.ui.preloadImages(this.gameOptions);
+        // Open-pool rounds cover the whole dataset and are played by typing only
+        const options = this.engine.roundOpenPool ? [] : this.engine.gameOptions;
+        this.mammalLookup.loadDetails([this.engine.currentTarget, ...options])
+            .then(() => this.ui.preloadImages(options, 20, (mammal) => this.getRoundImageUrl(mammal)));
 
         this.optionButtons = this.ui.populateOptions(
-            this.gameOptions,
-            this.guessedIds,
+            options,
+            this.engine.guessedIds,
             {
-                onHover: (mammal) => this.ui.showPreview(mammal),
-                onLeave: () => this.ui.hidePreview(),
+                onHover: (mammal) => this.showPreview(mammal),
+                onLeave: () => this.hidePreview(),
                 onClick: (mammal) => {
                     if (this.gameState === 'playing') {
                         this.makeGuess(mammal);
@@ -486,12 +401,114 @@ export class MammalMysteryGame {
         );
     }
 
+    // ==================== Typed Guesses ====================
+
+    /**
+     * Autocomplete candidates for a typed guess, limited to the remaining options
+     * @param {string} query
+     * @returns {Object[]}
+     */
+    searchGuessCandidates(query) {
+        return this.engine.searchGuessCandidates(query, 8);
+    }
+
+    /**
+     * Switch between the option grid and typed guesses
+     */
+    toggleInputMode() {
+        const { roundSettings } = this.engine;
+        if (this.engine.roundOpenPool || !roundSettings) return;
+        const inputMode = roundSettings.inputMode === 'text' ? 'grid' : 'text';
+        roundSettings.inputMode = inputMode;
+        this.settings.update({ inputMode });
+        this.ui.setInputMode(inputMode, { openPool: this.settings.get().openPool });
+        this.renderSettings();
+    }
+
+    /**
+     * Enable or disable open-pool rounds (takes effect next round)
+     * @param {boolean} enabled
+     */
+    setOpenPool(enabled) {
+        this.settings.update({ openPool: Boolean(enabled) });
+        this.renderSettings();
+    }
+
+    // ==================== Settings ====================
+
+    /**
+     * Render the settings panel and the settings-dependent rules text
+     */
+    renderSettings() {
+        const current = this.settings.get();
+        this.ui.renderSettingsPanel(current, PRESETS, {
+            hasOverrides: this.settings.hasOverrides(),
+            metrics: listMetrics(),
+            onPresetSelect: (name) => {
+                this.settings.applyPreset(name);
+                this.renderSettings();
+            },
+            onChange: (partial) => {
+                this.settings.update(partial);
+                this.renderSettings();
+            }
+        });
+        this.ui.updateRulesGuessCount(current.maxGuesses);
+        this.renderPoolPanel();
+        this.renderDataPanel();
+    }
+
     /**
-     * Remove an option from the pool
+     * Render the data version and cache controls
      */
-    removeOptionFromPool(mammalId) {
-        this.gameOptions = this.gameOptions.filter(o => o.id !== mammalId);
-        this.ui.removeOption(mammalId, this.optionButtons);
+    renderDataPanel() {
+        this.ui.renderDataPanel(this.engine.getDataVersion(), {
+            onClearCache: () => this.engine.clearCache()
+        });
+    }
+
+    /**
+     * Render the species-pool builder
+     */
+    renderPoolPanel() {
+        const current = this.poolBuilder.resolveDefinition(this.settings.get().pool);
+        this.ui.renderPoolPanel({
+            current,
+            curatedPools: this.poolBuilder.curatedPools,
+            orders: this.mammalLookup.getUniqueOrders(),
+            families: this.mammalLookup.getUniqueFamilies(),
+            speciesNames: this.mammalLookup.getAllScientificNames(),
+            minSize: MIN_POOL_SIZE
+        }, {
+            onPreview: async (definition) => {
+                await this.poolBuilder.prepare([definition]);
+                const pool = this.poolBuilder.build(definition, { includeFossils: this.settings.get().fossils });
+                return { count: pool.mammals.length, missing: pool.missing, label: describePool(pool.definition) };
+            },
+            onApply: (definition) => this.setPool(definition)
+        });
+    }
+
+    /**
+     * Select the species pool for the following rounds
+     * @param {Object|null} definition - Pool definition (null = all species)
+     * @returns {Promise<{ ok: boolean, message: string }>}
+     */
+    async setPool(definition) {
+        await this.poolBuilder.prepare([definition]);
+        const pool = this.poolBuilder.build(definition, { includeFossils: this.settings.get().fossils });
+        if (pool.definition && pool.mammals.length < MIN_POOL_SIZE) {
+            return {
+                ok: false,
+                message: `This pool has ${pool.mammals.length} species; at least ${MIN_POOL_SIZE} are needed.`
+            };
+        }
+
+        // Curated pools are stored by reference so later edits to the list apply
+        const stored = pool.definition?.id ? { id: pool.definition.id } : pool.definition;
+        this.settings.update({ pool: stored });
+        this.renderSettings();
+        return { ok: true, message: `${describePool(pool.definition)}: ${pool.mammals.length} species. Applies from the next round.` };
     }
 
     /**
@@ -528,18 +545,165 @@ export class MammalMysteryGame {
      * Reset and start a new game
      */
     resetGame() {
-        this.ui.clearGuessDisplays(CONFIG.MAX_GUESSES);
-        this.ui.hidePreview();
+        this.hidePreview();
         this.ui.hideModal('resultModal');
         this.ui.hideModal('result-modal');
         this.startNewGame();
     }
 
+    // ==================== Statistics ====================
+
+    /**
+     * Render the statistics screen
+     */
+    showStats() {
+        this.ui.renderStats(this.playerStats.getSummary());
+    }
+
+    /**
+     * Download all statistics as a JSON file
+     */
+    exportStats() {
+        const blob = new Blob([this.playerStats.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mammal-mystery-stats-${this.dailyChallenge.getDateKey()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import statistics from a JSON file chosen in a file input
+     * @param {HTMLInputElement} input
+     */
+    async importStats(input) {
+        const file = input?.files?.[0];
+        if (!file) return;
+
+        try {
+            const added = this.playerStats.importJSON(await file.text());
+            this.ui.showStatsMessage(`Imported ${added} ${added === 1 ? 'round' : 'rounds'}.`);
+        } catch (error) {
+            console.error('Failed to import statistics:', error);
+            this.ui.showStatsMessage(`Import failed: ${error.message}`);
+        } finally {
+            input.value = '';
+        }
+
+        this.showStats();
+    }
+
+    // ==================== Species Details ====================
+
+    /**
+     * Show the info modal of a mammal once its details (image, links) are
+     * loaded, then its closest relatives once the tree can tell
+     * @param {Object} mammal
+     */
+    async showMammalInfo(mammal) {
+        await this.mammalLookup.loadDetails([mammal]);
+        this.ui.showMammalInfo(mammal);
+
+        // Relatives of a guess would show where to guess next
+        if (this.gameState === 'playing') return;
+        const relatives = await this.engine.getClosestRelatives(mammal);
+        this.ui.showClosestRelatives(mammal, relatives, (relative) => this.showMammalInfo(relative));
+    }
+
+    /**
+     * Show the image preview of a mammal, unless the pointer moved on while
+     * its details were loading
+     * @param {Object} mammal
+     */
+    async showPreview(mammal) {
+        this.previewMammal = mammal;
+        await this.mammalLookup.loadDetails([mammal]);
+        if (this.previewMammal === mammal) this.ui.showPreview(mammal, this.getRoundImageUrl(mammal));
+    }
+
+    hidePreview() {
+        this.previewMammal = null;
+        this.ui.hidePreview();
+    }
+
+    /**
+     * Image of a species in the current round, among those known to work
+     * (see GameEngine.getRoundImageUrl)
+     * @param {Object} mammal
+     * @returns {string|null}
+     */
+    getRoundImageUrl(mammal) {
+        return this.engine.getRoundImageUrl(mammal, this.ui.imageMemory.getUrls(mammal));
+    }
+
+    /**
+     * Pick the next random round and cache its images, and those of today's
+     * daily round if it is still to be played, so both work without a connection
+     */
+    async cacheUpcomingRounds() {
+        this.nextRoundSeed = this.engine.generateRoundSeed();
+        const rounds = [{ settings: this.settings.get(), seed: this.nextRoundSeed }];
+        if (!this.dailyChallenge.hasAttempted(this.dailyChallenge.getDateKey())) {
+            rounds.push({ settings: this.settings.getDailySettings(), seed: this.dailyChallenge.getSeed() });
+        }
+
+        rounds.forEach(round => {
+            const { target, options } = this.engine.selectRoundSpecies(round.settings, round.seed);
+            // Open-pool rounds are played by typing, without option images
+            round.mammals = round.settings.openPool ? [target] : options;
+        });
+        await this.mammalLookup.loadDetails(rounds.flatMap(round => round.mammals));
+
+        const urls = rounds.flatMap(({ settings, seed, mammals }) => mammals.map(mammal => (
+            this.engine.getRoundImageUrl(mammal, this.ui.imageMemory.getUrls(mammal), { seed, settings })
+        )));
+        await cacheImagesInBackground(urls.filter(Boolean));
+    }
+
+    // ==================== Mammal Tree ====================
+
+    /**
+     * Show the explorable tree of every mammal in the game
+     */
+    async showMammalTree() {
+        const container = document.getElementById('mammal-tree-explorer');
+        if (!container) return;
+        this.ui.showModal('mammal-tree-modal');
+        if (this.treeExplorer) return;
+
+        this.treeExplorer = new TreeExplorer(container, {
+            getMammal: (id) => this.mammalLookup.getById(id),
+            search: (query, allowedIds) => this.engine.nameSearch.search(query, { limit: 6, allowedIds }),
+            onTipClick: (id) => {
+                const mammal = this.mammalLookup.getById(id);
+                if (mammal) this.showMammalInfo(mammal);
+            }
+        });
+
+        const loaded = await (this.treeLoaded || false);
+        const tree = loaded ? await this.engine.getMammalTree() : null;
+        this.treeExplorer.setTree(tree);
+        // Try again next time if the tree was not available
+        if (!tree) this.treeExplorer = null;
+    }
+
     // ==================== Gallery Methods ====================
 
     populateGallery() {
         const grouped = this.mammalLookup.getGroupedByOrder();
-        this.ui.populateGallery(grouped, (mammal) => this.ui.showMammalInfo(mammal));
+        this.ui.populateGallery(grouped, (mammal) => this.showMammalInfo(mammal));
+    }
+
+    /**
+     * Fill in the gallery images, one order at a time as its details arrive
+     */
+    showGallery() {
+        Object.values(this.mammalLookup.getGroupedByOrder()).forEach(mammals => {
+            this.mammalLookup.loadDetails(mammals).then(() => this.ui.updateGalleryImages(mammals));
+        });
     }
 
     populateFilterDropdowns() {
@@ -574,24 +738,25 @@ export class MammalMysteryGame {
 
     // ==================== Hints ====================
 
-    showHint() {
-        if (!this.currentTarget) return;
-
-        const hints = [
-            `This mammal belongs to the order ${this.currentTarget.order}`,
-            `This mammal is from the family ${this.currentTarget.family}`,
-            `The scientific name starts with "${this.currentTarget.scientific_name.charAt(0)}"`,
-            `The common name contains ${this.currentTarget.common_name.length} characters`
-        ];
+    /**
+     * Reveal the next hint, paying for it with guesses from the budget.
+     * At least one guess is always left after a hint.
+     */
+    useHint() {
+        if (!this.engine.useHint()) return;
 
-        const usedGuesses = this.currentGuess - 1;
-        const availableHints = Math.min(usedGuesses, hints.length);
+        this.ui.updateGuessCounter(this.engine.currentGuess, this.engine.getGuessBudget());
+        this.renderHints();
+    }
 
-        if (availableHints > 0) {
-            alert(`Hint: ${hints[availableHints - 1]}`);
-        } else {
-            alert('Make a guess first to unlock hints!');
-        }
+    /**
+     * Render the revealed hints, the hint button and spent guess slots
+     */
+    renderHints() {
+        const { hint, affordable } = this.engine.peekHint();
+        const { hintLadder, roundSettings } = this.engine;
+        this.ui.renderHints(hintLadder.getRevealed(), hint, { affordable });
+        this.ui.markSpentSlots(roundSettings.maxGuesses, hintLadder.getTotalCost());
     }
 
     // ==================== Logo Animation ====================
@@ -0,0 +1,190 @@
+/**
+ * NameSearch.js
+ * Typo-tolerant name search over common, scientific and alternate names
+ */
+
+// Score bands for each kind of match (higher is better)
+const MATCH_SCORES = {
+    exact: 1000,
+    prefix: 800,
+    wordPrefix: 600,
+    tokens: 500,
+    substring: 400,
+    fuzzy: 300
+};
+
+// Small bonus so the primary name wins over an equally good alternate name
+const KIND_BONUS = {
+    common: 6,
+    scientific: 4,
+    alternate: 0
+};
+
+/**
+ * Normalize a name for matching: lowercase, no diacritics, single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeName(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * abandoned early once it exceeds maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number} Distance, or maxDistance + 1 if it is larger
+ */
+export function editDistance(a, b, maxDistance = 2) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current[j] = value;
+            if (value < rowMin) rowMin = value;
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * NameSearchIndex ranks mammals against a free-text query
+ */
+export class NameSearchIndex {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Build the index
+     * @param {Object[]} mammals - Mammals to index
+     */
+    build(mammals) {
+        this.entries = [];
+
+        (mammals || []).forEach(mammal => {
+            if (!mammal) return;
+
+            const names = [
+                { name: mammal.common_name, kind: 'common' },
+                { name: mammal.scientific_name, kind: 'scientific' },
+                { name: mammal.animalia_alt_name, kind: 'alternate' },
+                ...(Array.isArray(mammal.animalia_alt_names) ? mammal.animalia_alt_names : [])
+                    .map(name => ({ name, kind: 'alternate' }))
+            ];
+
+            const seen = new Set();
+            names.forEach(({ name, kind }) => {
+                const normalized = normalizeName(name);
+                if (!normalized || seen.has(normalized)) return;
+                seen.add(normalized);
+
+                this.entries.push({
+                    mammal,
+                    name,
+                    kind,
+                    normalized,
+                    words: normalized.split(' ')
+                });
+            });
+        });
+    }
+
+    /**
+     * Search for mammals matching a query
+     * @param {string} query - Free-text query
+     * @param {Object} options
+     * @param {number} options.limit - Maximum number of results
+     * @param {Set} options.allowedIds - Restrict results to these mammal IDs
+     * @returns {{ mammal: Object, matchedName: string, kind: string, score: number }[]}
+     */
+    search(query, { limit = 8, allowedIds = null } = {}) {
+        const normalizedQuery = normalizeName(query);
+        if (!normalizedQuery) return [];
+
+        const queryTokens = normalizedQuery.split(' ');
+        const bestById = new Map();
+
+        for (const entry of this.entries) {
+            if (allowedIds && !allowedIds.has(entry.mammal.id)) continue;
+
+            const score = this.scoreEntry(entry, normalizedQuery, queryTokens);
+            if (score <= 0) continue;
+
+            const existing = bestById.get(entry.mammal.id);
+            if (!existing || score > existing.score) {
+                bestById.set(entry.mammal.id, {
+                    mammal: entry.mammal,
+                    matchedName: entry.name,
+                    kind: entry.kind,
+                    score
+                });
+            }
+        }
+
+        return Array.from(bestById.values())
+            .sort((a, b) => (b.score - a.score)
+                || (a.mammal.common_name || '').localeCompare(b.mammal.common_name || ''))
+            .slice(0, limit);
+    }
+
+    /**
+     * Score one indexed name against the query (0 = no match)
+     */
+    scoreEntry(entry, query, queryTokens) {
+        const { normalized, words, kind } = entry;
+        const bonus = KIND_BONUS[kind] || 0;
+        // Shorter names rank higher within the same band
+        const lengthPenalty = Math.min(50, normalized.length - query.length);
+
+        if (normalized === query) return MATCH_SCORES.exact + bonus;
+        if (normalized.startsWith(query)) return MATCH_SCORES.prefix + bonus - lengthPenalty;
+        if (words.some(word => word.startsWith(query))) return MATCH_SCORES.wordPrefix + bonus - lengthPenalty;
+        if (queryTokens.length > 1 && queryTokens.every(token => words.some(word => word.startsWith(token)))) {
+            return MATCH_SCORES.tokens + bonus - lengthPenalty;
+        }
+        if (query.length >= 3 && normalized.includes(query)) return MATCH_SCORES.substring + bonus - lengthPenalty;
+
+        // Typo tolerance: compare against the start of the name and each word
+        if (query.length < 3) return 0;
+        const maxEdits = query.length <= 5 ? 1 : 2;
+
+        let best = maxEdits + 1;
+        const candidates = [normalized, ...words];
+        for (const candidate of candidates) {
+            const whole = editDistance(query, candidate, maxEdits);
+            const prefix = candidate.length > query.length
+                ? editDistance(query, candidate.slice(0, query.length), maxEdits)
+                : whole;
+            best = Math.min(best, whole, prefix);
+            if (best === 0) break;
+        }
+
+        if (best > maxEdits) return 0;
+        return MATCH_SCORES.fuzzy - (best * 50) + bonus - lengthPenalty;
+    }
+}
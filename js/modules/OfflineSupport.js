@@ -0,0 +1,49 @@
+/**
+ * OfflineSupport.js
+ * Registers the service worker (sw.js) and asks it to cache images ahead of time
+ */
+
+const SERVICE_WORKER_URL = './sw.js';
+
+// Local image used when a species image cannot be loaded (also precached by sw.js)
+export const PLACEHOLDER_IMAGE = 'placeholder.svg';
+
+/**
+ * Register the service worker and report whether the game can be played offline
+ * @param {Function} onStatus - Called with { ready, online } whenever either changes;
+ *        ready means the page, modules and data files are cached
+ * @returns {Promise<boolean>} Whether the service worker is active
+ */
+export async function registerServiceWorker(onStatus = () => {}) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+    let ready = false;
+    const report = () => onStatus({ ready, online: navigator.onLine });
+    window.addEventListener('online', report);
+    window.addEventListener('offline', report);
+
+    try {
+        await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        // Resolves once a worker has finished installing (precaching) and is active
+        await navigator.serviceWorker.ready;
+        ready = true;
+    } catch (error) {
+        console.warn('Offline mode is not available:', error);
+    }
+    report();
+    return ready;
+}
+
+/**
+ * Have the service worker cache images in the background
+ * @param {string[]} urls
+ * @returns {Promise<boolean>} Whether the request was handed to the worker
+ */
+export async function cacheImagesInBackground(urls) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || urls.length === 0) return false;
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration?.active) return false;
+    registration.active.postMessage({ type: 'cache-images', urls: [...new Set(urls)] });
+    return true;
+}
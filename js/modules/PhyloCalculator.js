@@ -7,9 +7,37 @@
  */
 
 import { SpeciesNormalizer } from './utils/SpeciesNormalizer.js';
+import { LcaIndex, DistanceMatrix } from './utils/LcaIndex.js';
+import { hashContent } from './utils/ContentHash.js';
+import { devLog } from './utils/DevLog.js';
+import { countTrees, iterateTrees, encodeTree, decodeTree } from './PhyloTree.js';
+import { TreeSample, DISTANCE_SUMMARIES, summarizeValues } from './TreeSample.js';
+import { graftMissingTaxa } from './TreeGraft.js';
+
+// Posterior samples are thinned evenly to at most this many trees
+const MAX_SAMPLE_TREES = 100;
+
+// Bump when the cached layout changes so older entries are ignored
+const CACHE_FORMAT = 1;
+const CACHE_SLOTS = { tree: 'phylo.tree', matrix: 'phylo.matrix' };
 
 export class PhylogeneticDistanceCalculator {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object|null} options.loader - Data loader for the tree file (see DataLoader.js);
+     *        by default the file is fetched with download progress
+     * @param {DataCache|null} options.cache - Store for the parsed tree and distance data
+     */
+    constructor({ loader = null, cache = null } = {}) {
+        this.loader = loader;
+        this.cache = cache;
+        // Content hash of the tree and dataset, and whether they were restored from the cache
+        this.dataVersion = null;
+        this.cacheKey = null;
+        this.loadedFromCache = false;
+        // Why the last loadTree failed (null after a successful load)
+        this.loadError = null;
+        this.rawDistanceExtremes = null;
         this.originalTree = null;
         this.activeTree = null;
         this.isLoaded = false;
@@ -24,8 +52,22 @@ export class PhylogeneticDistanceCalculator {
         this.targetMaxDistance = 0;
         this.targetMinPositiveDistance = 0;
         this.targetScaleFactor = 0;
-        this.distanceCache = new Map();
         this.latestTreeSnapshot = null;
+        this.datasetTreeSnapshot = null;
+        this.originalLeafIndex = null;
+        // Constant-time MRCA/distance indexes for the original and active trees
+        this.originalIndex = null;
+        this.activeIndex = null;
+        // Species of the whole dataset and their pairwise distance matrix (built at load)
+        this.datasetSpecies = null;
+        this.distanceMatrix = null;
+        // Dataset taxonomy used to graft species missing from the tree, and the grafted labels
+        this.datasetTaxa = null;
+        this.graftedTaxa = new Map();
+        // Posterior tree sample (null for a single tree) and how its distances are summarized
+        this.treeSample = null;
+        this.distanceSummary = 'median';
+        this.sampleTargetDistances = null;
 
         // Distance transform mode: 'linear' or 'log'
         this.transformMode = 'linear';
@@ -35,43 +77,252 @@ export class PhylogeneticDistanceCalculator {
     }
 
     /**
-     * Load a phylogenetic tree from a Newick file
+     * Load a phylogenetic tree from a Newick or NEXUS file. A file holding
+     * several trees (a posterior sample) is thinned to MAX_SAMPLE_TREES; the
+     * first tree supplies the topology (clades, edge counts, the round tree)
+     * and distances and divergence times are summarized across the sample.
+     * Dataset species with no tip are grafted next to their relatives when
+     * their taxonomy is given (see TreeGraft.js).
+     *
+     * The parsed tree, species index and distance data (including the dataset's
+     * distance matrix) are cached keyed by a content hash of the tree and
+     * dataset, so a repeat visit skips parsing, grafting and the all-pairs
+     * distance scans.
      * @param {string} treePath - Path to the tree file
      * @param {string[]} allowedSpeciesList - Optional list of species to include
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with { stage, loaded, total }; stages are
+     *        'download', 'parse', 'index' and 'ready' (or 'error')
+     * @param {Object[]} options.taxa - Dataset species as { label, genus, family, order }
+     * @param {string} options.dataVersion - Content hash of the species data files; when
+     *        omitted the species list and taxa are hashed instead
      */
-    async loadTree(treePath, allowedSpeciesList = null) {
+    async loadTree(treePath, allowedSpeciesList = null, { onProgress = null, taxa = null, dataVersion = null } = {}) {
+        this.loadError = null;
         try {
-            console.log('Loading phylogenetic tree...');
+            const treeText = this.loader
+                ? await this.loader.text(treePath)
+                : await this.fetchTreeText(treePath, onProgress);
+            devLog(`Tree file loaded: ${treeText.length} characters`);
 
-            const response = await fetch(treePath);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch tree file: ${response.status} ${response.statusText}`);
+            if (allowedSpeciesList && allowedSpeciesList.length > 0) {
+                this.pendingAllowedSpecies = allowedSpeciesList;
+                this.datasetSpecies = allowedSpeciesList;
             }
-            const newickString = await response.text();
-            console.log(`Tree file loaded: ${newickString.length} characters`);
-
-            if (typeof phylojs === 'undefined' || typeof phylojs.readNewick !== 'function') {
-                throw new Error('PhyloJS library is not available.');
+            this.datasetTaxa = taxa?.length > 0 ? taxa : null;
+            this.originalLeafIndex = null;
+            this.distanceMatrix = null;
+            this.datasetTreeSnapshot = null;
+
+            this.dataVersion = await hashContent(treeText, dataVersion ?? [allowedSpeciesList, taxa]);
+            this.cacheKey = `${CACHE_FORMAT}:${this.dataVersion}`;
+            const cached = await this.cache?.get(CACHE_SLOTS.tree, this.cacheKey);
+            this.loadedFromCache = !!cached && this.restoreCachedTree(cached);
+            if (this.loadedFromCache) {
+                devLog(`Phylogenetic data restored from cache (version ${this.dataVersion})`);
+            } else {
+                this.parseTrees(treeText, onProgress);
             }
 
-            this.originalTree = phylojs.readNewick(newickString);
-            if (!this.originalTree) {
-                throw new Error('Unable to parse phylogenetic tree');
-            }
+            onProgress?.({ stage: 'index' });
+            this.originalIndex = new LcaIndex(this.originalTree.root);
 
             this.isLoaded = true;
-            if (allowedSpeciesList && allowedSpeciesList.length > 0) {
-                this.pendingAllowedSpecies = allowedSpeciesList;
-            }
 
-            this.applyAllowedSpecies();
+            // Pruning to the dataset and the all-pairs distance scan are restored from the cache too
+            this.applyAllowedSpecies(this.loadedFromCache ? cached.dataset : null);
+
+            if (this.loadedFromCache) {
+                const matrix = await this.cache.get(CACHE_SLOTS.matrix, this.cacheKey);
+                if (matrix) this.distanceMatrix = DistanceMatrix.fromData(matrix);
+            } else {
+                // Not awaited: the game can start while the cache is written. The active
+                // tree is only the plain dataset tree when no target has rerooted it.
+                this.saveCachedTree(allowedSpeciesList?.length > 0 && !this.pendingTargetSpecies);
+            }
+            // Built (and cached) unless the cache had it
+            this.getDistanceMatrix();
 
             const indexedLeaves = this.activeTree ? this.activeTree.leafList.length : 0;
-            console.log(`Phylogenetic tree ready. Indexed ${indexedLeaves} species after pruning.`);
+            devLog(`Phylogenetic tree ready. Indexed ${indexedLeaves} species after pruning.`);
+            onProgress?.({ stage: 'ready' });
         } catch (error) {
             console.error('Failed to load phylogenetic tree:', error);
             this.isLoaded = false;
+            this.loadError = error?.message || String(error);
+            onProgress?.({ stage: 'error' });
+        }
+    }
+
+    /**
+     * Parse the tree file, graft missing species and build the posterior sample
+     * @param {string} treeText - Newick or NEXUS text
+     * @param {Function|null} onProgress
+     */
+    parseTrees(treeText, onProgress) {
+        const treeCount = Math.min(countTrees(treeText), MAX_SAMPLE_TREES);
+        onProgress?.({ stage: 'parse', loaded: 0, total: treeCount });
+        const trees = iterateTrees(treeText, { limit: MAX_SAMPLE_TREES });
+        this.originalTree = trees.next().value || null;
+        if (!this.originalTree) {
+            throw new Error('Unable to parse phylogenetic tree');
+        }
+
+        this.originalLeafIndex = this.buildLeafIndex(this.originalTree);
+        this.graftedTaxa = this.graftTree(this.originalTree, this.originalLeafIndex);
+        if (this.graftedTaxa.size > 0) {
+            devLog(`Grafted ${this.graftedTaxa.size} species missing from the tree`);
+        }
+        this.treeSample = treeCount > 1
+            ? this.buildTreeSample(this.originalTree, trees, treeCount, onProgress)
+            : null;
+    }
+
+    /**
+     * Restore the parsed tree, species index and posterior sample from a cache entry
+     * @param {Object} state - Written by saveCachedTree
+     * @returns {boolean} Whether the entry could be used
+     */
+    restoreCachedTree(state) {
+        try {
+            this.originalTree = decodeTree(state.tree);
+            const nodes = this.originalTree.nodeList;
+            const { variants, leaves } = state.leafIndex;
+            this.originalLeafIndex = new Map(variants.map((variant, k) => [variant, nodes[leaves[k]]]));
+            this.graftedTaxa = new Map(state.grafted);
+            this.treeSample = state.sample ? TreeSample.fromData(state.sample) : null;
+            return !!this.originalTree.root;
+        } catch (error) {
+            console.warn('Ignoring unreadable cached tree:', error);
+            this.originalTree = null;
+            this.originalLeafIndex = null;
+            return false;
+        }
+    }
+
+    /**
+     * Cache the parsed tree, species index, posterior sample and the tree
+     * pruned to the dataset with its distance extremes
+     * @param {boolean} includeDataset - Whether the active tree holds the whole dataset
+     * @returns {Promise<boolean>} Whether the entry was stored
+     */
+    saveCachedTree(includeDataset) {
+        if (!this.cache?.isAvailable || !this.originalTree) return Promise.resolve(false);
+
+        const indexByNode = new Map(this.originalTree.nodeList.map((node, index) => [node, index]));
+        const leafIndex = [...this.getOriginalLeafIndex()];
+        return this.cache.set(CACHE_SLOTS.tree, this.cacheKey, {
+            tree: encodeTree(this.originalTree),
+            // Flat arrays clone much faster than an array of pairs
+            leafIndex: {
+                variants: leafIndex.map(([variant]) => variant),
+                leaves: Int32Array.from(leafIndex, ([, node]) => indexByNode.get(node))
+            },
+            grafted: [...this.graftedTaxa],
+            sample: this.treeSample ? this.treeSample.toData() : null,
+            dataset: includeDataset && this.activeTree && this.rawDistanceExtremes
+                ? { tree: encodeTree(this.activeTree), extremes: this.rawDistanceExtremes }
+                : null
+        });
+    }
+
+    /**
+     * Remove the cached tree and distance data (rebuilt on the next load)
+     * @returns {Promise<boolean>} Whether the cache was cleared
+     */
+    clearCache() {
+        return this.cache ? this.cache.clear() : Promise.resolve(false);
+    }
+
+    /**
+     * Store a posterior sample compactly, pruning each tree to the dataset species
+     * @param {Tree} firstTree - Tree already parsed (kept as the original tree)
+     * @param {Iterator<Tree>} trees - The remaining trees
+     * @param {number} treeCount - Total number of trees, for progress
+     * @param {Function|null} onProgress
+     * @returns {TreeSample}
+     */
+    buildTreeSample(firstTree, trees, treeCount, onProgress) {
+        const datasetSet = this.buildAllowedSet(this.datasetSpecies);
+        const sample = new TreeSample();
+        const add = (tree) => {
+            // Every tree of a sample holds the same tips, so only graft when the first tree needed it
+            if (tree !== firstTree && this.graftedTaxa.size > 0) this.graftTree(tree);
+            const working = datasetSet ? tree.copy() : tree;
+            if (datasetSet) this.pruneTreeToAllowed(working, datasetSet);
+            sample.addTree(working);
+            onProgress?.({ stage: 'parse', loaded: sample.size, total: treeCount });
+        };
+
+        add(firstTree);
+        for (const tree of trees) {
+            add(tree);
         }
+        devLog(`Posterior sample ready: ${sample.size} trees, ${sample.labels.length} species`);
+        return sample;
+    }
+
+    /**
+     * Graft the dataset species that have no tip onto a tree
+     * @param {Tree} tree - Changed in place
+     * @param {Map<string, TreeNode>} leafIndex - Name variant index of the tree's leaves
+     *        (see buildLeafIndex); the grafted tips are added to it
+     * @returns {Map<string, { level: string, relatives: number }>} Grafted labels
+     */
+    graftTree(tree, leafIndex = null) {
+        if (!this.datasetTaxa) return new Map();
+
+        const index = leafIndex || this.buildLeafIndex(tree);
+        const grafted = graftMissingTaxa(tree, this.datasetTaxa, name => this.findInLeafIndex(index, name));
+        if (grafted.size > 0) {
+            this.addToLeafIndex(index, tree.leafList.filter(node => grafted.has(node.label)));
+        }
+        return grafted;
+    }
+
+    /**
+     * Taxonomic level a species was grafted at (its tree placement is estimated)
+     * @param {string} name - Species name
+     * @returns {string|null} 'genus', 'family' or 'order'; null for species in the tree
+     */
+    getGraftLevel(name) {
+        if (!name || this.graftedTaxa.size === 0) return null;
+        if (this.graftedTaxa.has(name)) return this.graftedTaxa.get(name).level;
+
+        const node = this.lookupOriginalSpecies(name);
+        return node && this.graftedTaxa.has(node.label) ? this.graftedTaxa.get(node.label).level : null;
+    }
+
+    /**
+     * Fetch the Newick text, reporting download progress when the response can be streamed
+     * @param {string} treePath
+     * @param {Function|null} onProgress
+     * @returns {Promise<string>}
+     */
+    async fetchTreeText(treePath, onProgress) {
+        const response = await fetch(treePath);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch tree file: ${response.status} ${response.statusText}`);
+        }
+        if (!onProgress || !response.body?.getReader) {
+            return response.text();
+        }
+
+        const total = Number(response.headers.get('content-length')) || 0;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        let loaded = 0;
+        onProgress({ stage: 'download', loaded, total });
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.length;
+            text += decoder.decode(value, { stream: true });
+            onProgress({ stage: 'download', loaded, total });
+        }
+        return text + decoder.decode();
     }
 
     /**
@@ -102,18 +353,24 @@ export class PhylogeneticDistanceCalculator {
 
     /**
      * Apply the pending allowed species filter to create the active tree
+     * @param {{ tree: Object, extremes: Object }|null} cachedActive - The already pruned
+     *        tree (encoded) and its raw distance extremes, restored from the cache
      */
-    applyAllowedSpecies() {
+    applyAllowedSpecies(cachedActive = null) {
         if (!this.originalTree) return;
 
-        const allowedSet = this.buildAllowedSet(this.pendingAllowedSpecies);
-        
-        const rootCopy = this.originalTree.root.copy();
-        const workingTree = new phylojs.Tree(rootCopy);
-        console.log(`Original tree leaves before pruning: ${workingTree.leafList.length}`);
+        let allowedSet = null;
+        let workingTree;
+        if (cachedActive) {
+            workingTree = decodeTree(cachedActive.tree);
+        } else {
+            allowedSet = this.buildAllowedSet(this.pendingAllowedSpecies);
+            workingTree = this.originalTree.copy();
+            devLog(`Original tree leaves before pruning: ${workingTree.leafList.length}`);
 
-        if (allowedSet && allowedSet.size > 0) {
-            this.pruneTreeToAllowed(workingTree, allowedSet);
+            if (allowedSet && allowedSet.size > 0) {
+                this.pruneTreeToAllowed(workingTree, allowedSet);
+            }
         }
 
         if (!workingTree.root || workingTree.leafList.length === 0) {
@@ -127,23 +384,17 @@ export class PhylogeneticDistanceCalculator {
         workingTree.reassignNodeIDs();
 
         this.activeTree = workingTree;
+        this.activeIndex = new LcaIndex(workingTree.root);
         this.allowedSpeciesSet = allowedSet;
         this.buildSpeciesIndex();
         this.refreshActiveTreeSnapshot();
         
         const leafCount = this.activeTree.leafList.length;
-        const shouldPrecompute = allowedSet && allowedSet.size > 0 && leafCount <= 400;
 
-        this.distanceCache.clear();
-        if (shouldPrecompute) {
-            this.computeDistanceStats();
-            console.log(`Distance stats -> max: ${this.maxPairwiseDistance.toFixed(4)}, min: ${this.minPairwiseDistance.toFixed(4)}`);
-        } else {
-            this.maxPairwiseDistance = 0;
-            this.minPairwiseDistance = 0;
-        }
+        this.computeDistanceStats(cachedActive?.extremes);
+        devLog(`Distance stats -> max: ${this.maxPairwiseDistance.toFixed(4)}, min: ${this.minPairwiseDistance.toFixed(4)}`);
 
-        console.log(`Phylogenetic tree ready. Indexed ${leafCount} species after pruning.`);
+        devLog(`Phylogenetic tree ready. Indexed ${leafCount} species after pruning.`);
 
         if (this.pendingTargetSpecies) {
             this.applyTargetSpecies();
@@ -157,6 +408,7 @@ export class PhylogeneticDistanceCalculator {
      */
     resetActiveTreeState(allowedSet) {
         this.activeTree = null;
+        this.activeIndex = null;
         this.allowedSpeciesSet = allowedSet;
         this.nodeIndex.clear();
         this.maxPairwiseDistance = 0;
@@ -172,6 +424,7 @@ export class PhylogeneticDistanceCalculator {
         this.targetMaxDistance = 0;
         this.targetMinPositiveDistance = 0;
         this.targetScaleFactor = 0;
+        this.sampleTargetDistances = null;
     }
 
     /**
@@ -192,35 +445,7 @@ export class PhylogeneticDistanceCalculator {
      * Prune tree to only include allowed species
      */
     pruneTreeToAllowed(tree, allowedSet) {
-        if (!tree.root) return;
-
-        const nodes = tree.root.applyPostOrder(node => node);
-        for (const node of nodes) {
-            if (!node) continue;
-
-            if (node.isLeaf()) {
-                if (!this.isSpeciesAllowed(node.label, allowedSet) && node.parent) {
-                    node.parent.removeChild(node);
-                }
-            } else {
-                node.children = node.children.filter(child => child && child.parent === node);
-                if (node.children.length === 0 && node.parent) {
-                    node.parent.removeChild(node);
-                }
-            }
-        }
-
-        // Promote single-child roots
-        while (tree.root && !tree.root.isLeaf() && tree.root.children.length === 1 && 
-               !this.isSpeciesAllowed(tree.root.label, allowedSet)) {
-            const child = tree.root.children[0];
-            child.parent = undefined;
-            tree.root = child;
-        }
-
-        if (tree.root && tree.root.isLeaf() && !this.isSpeciesAllowed(tree.root.label, allowedSet)) {
-            tree.root = null;
-        }
+        tree.prune(leaf => this.isSpeciesAllowed(leaf.label, allowedSet));
     }
 
     /**
@@ -265,44 +490,204 @@ export class PhylogeneticDistanceCalculator {
     }
 
     /**
-     * Compute pairwise distance statistics for all species
+     * Look up a leaf of the original (unpruned) tree by species name
      */
-    computeDistanceStats() {
-        if (!this.activeTree) {
-            this.maxPairwiseDistance = 0;
-            this.minPairwiseDistance = 0;
-            this.distanceCache.clear();
-            return;
+    lookupOriginalSpecies(name) {
+        if (!this.originalTree || !name) return null;
+        return this.findInLeafIndex(this.getOriginalLeafIndex(), name);
+    }
+
+    /**
+     * Name variant index of the original tree's leaves (built on first use)
+     * @returns {Map<string, TreeNode>}
+     */
+    getOriginalLeafIndex() {
+        if (!this.originalLeafIndex) {
+            this.originalLeafIndex = this.buildLeafIndex(this.originalTree);
         }
+        return this.originalLeafIndex;
+    }
 
-        const leaves = this.activeTree.leafList;
-        if (!leaves || leaves.length < 2) {
-            this.maxPairwiseDistance = 0;
-            this.minPairwiseDistance = 0;
-            this.distanceCache.clear();
-            return;
+    /**
+     * Index a tree's leaves by every name variant of their labels
+     * @param {Tree} tree
+     * @returns {Map<string, TreeNode>}
+     */
+    buildLeafIndex(tree) {
+        const index = new Map();
+        this.addToLeafIndex(index, tree.leafList);
+        return index;
+    }
+
+    addToLeafIndex(index, leaves) {
+        leaves.forEach(node => {
+            if (!node.label) return;
+            this.normalizer.getVariants(node.label).forEach(variant => {
+                if (!index.has(variant)) index.set(variant, node);
+            });
+        });
+    }
+
+    findInLeafIndex(index, name) {
+        for (const variant of this.normalizer.getVariants(name)) {
+            const match = index.get(variant);
+            if (match) return match;
         }
+        return null;
+    }
 
-        let maxDistance = 0;
-        let minPositiveDistance = Number.POSITIVE_INFINITY;
+    /**
+     * Get the leaf labels of the smallest clade containing all given species,
+     * taken from the original tree so the result does not depend on the round
+     * @param {string[]} speciesNames - At least two species names
+     * @returns {string[]} Leaf labels, or an empty array if a species is not in the tree
+     */
+    getCladeLeafLabels(speciesNames) {
+        if (!this.originalTree || !Array.isArray(speciesNames) || speciesNames.length < 2) return [];
+
+        const nodes = speciesNames.map(name => this.lookupOriginalSpecies(name));
+        if (nodes.some(node => !node)) return [];
 
-        this.distanceCache.clear();
+        const mrca = this.originalIndex.lca(nodes);
+        if (!mrca) return [];
 
-        for (let i = 0; i < leaves.length; i++) {
-            for (let j = i + 1; j < leaves.length; j++) {
-                const metrics = this.getDistanceForNodes(leaves[i], leaves[j]);
-                if (!metrics || !Number.isFinite(metrics.effective)) continue;
+        const labels = [];
+        const stack = [mrca];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.isLeaf()) {
+                if (node.label) labels.push(node.label);
+            } else {
+                stack.push(...node.children);
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Get the age of the most recent common ancestor of two species in
+     * millions of years. Ages come from the original time-calibrated tree,
+     * which is never rerooted, so the result does not depend on the target.
+     * With a posterior sample the age is the mean or median across the sample.
+     * The deepest tip is the present day, so a node's age is height - depth.
+     * @param {string} species1
+     * @param {string} species2
+     * @returns {number|null} Age in Ma, or null if a species is not in the tree
+     */
+    getDivergenceTime(species1, species2) {
+        const node1 = this.lookupOriginalSpecies(species1);
+        const node2 = this.lookupOriginalSpecies(species2);
+        if (!node1 || !node2) return null;
+
+        if (this.treeSample) {
+            const ages = this.treeSample.mrcaAges(node1.label, node2.label);
+            if (ages) return summarizeValues(ages, this.distanceSummary);
+        }
+
+        const mrca = this.originalIndex.lca([node1, node2]);
+        const depth = this.originalIndex.depthOf(mrca);
+        if (!Number.isFinite(depth)) return null;
+        return Math.max(0, this.originalIndex.height - depth);
+    }
+
+    /**
+     * Get the pairwise distance matrix of every species in the dataset (the
+     * species list passed to loadTree), built from the original tree when it
+     * loads and cached with it. Distances are raw branch-length path lengths.
+     * @returns {DistanceMatrix|null}
+     */
+    getDistanceMatrix() {
+        if (this.distanceMatrix) return this.distanceMatrix;
+        if (!this.originalIndex) return null;
+
+        const names = this.datasetSpecies
+            || this.originalTree.leafList.map(node => node.label).filter(Boolean);
+        const labels = [];
+        const nodes = [];
+        names.forEach(name => {
+            const node = this.lookupOriginalSpecies(name);
+            if (node) {
+                labels.push(name);
+                nodes.push(node);
+            }
+        });
+
+        this.distanceMatrix = new DistanceMatrix(this.originalIndex, nodes, labels);
+        devLog(`Distance matrix ready for ${labels.length} species`);
+        this.cache?.set(CACHE_SLOTS.matrix, this.cacheKey, this.distanceMatrix.toData());
+        return this.distanceMatrix;
+    }
+
+    /**
+     * Get the closest relatives of a species by raw path length
+     * @param {string} species - Species name
+     * @param {Object} options
+     * @param {number} options.limit - Maximum number of relatives
+     * @param {string[]} options.candidates - Restrict to these species (default: whole dataset)
+     * @returns {{ species: string, distance: number }[]}
+     */
+    getClosestRelatives(species, { limit = 10, candidates = null } = {}) {
+        const matrix = this.getDistanceMatrix();
+        const node = this.lookupOriginalSpecies(species);
+        if (!matrix || !node) return [];
+
+        const row = matrix.indexOf(species);
+        const nodeIndex = this.originalIndex.indexOf(node);
+        const results = [];
+        (candidates || matrix.labels).forEach(name => {
+            if (name === species) return;
+            const other = matrix.indexOf(name);
+            let distance;
+            if (row >= 0 && other >= 0) {
+                distance = matrix.get(row, other);
+            } else {
+                const otherNode = this.lookupOriginalSpecies(name);
+                if (!otherNode || otherNode === node) return;
+                distance = this.originalIndex.distanceByIndex(nodeIndex, this.originalIndex.indexOf(otherNode));
+            }
+            results.push({ species: name, distance });
+        });
 
-                const effective = metrics.effective;
-                if (effective > maxDistance) maxDistance = effective;
-                if (effective > 0 && effective < minPositiveDistance) {
-                    minPositiveDistance = effective;
+        return results
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+    }
+
+    /**
+     * Compute pairwise distance statistics for all species
+     * @param {{ maxRaw: number, minPositiveRaw: number }|null} knownExtremes - Skip the
+     *        all-pairs scan and use these raw extremes
+     */
+    computeDistanceStats(knownExtremes = null) {
+        const leaves = this.activeIndex ? this.activeIndex.getLeafIndices() : [];
+        if (leaves.length < 2) {
+            this.maxPairwiseDistance = 0;
+            this.minPairwiseDistance = 0;
+            this.rawDistanceExtremes = null;
+            return;
+        }
+
+        // The transform is monotonic, so only the raw extremes need transforming
+        let maxRaw = 0;
+        let minPositiveRaw = Number.POSITIVE_INFINITY;
+        if (knownExtremes) {
+            ({ maxRaw, minPositiveRaw } = knownExtremes);
+        } else {
+            for (let i = 0; i < leaves.length; i++) {
+                for (let j = i + 1; j < leaves.length; j++) {
+                    const raw = this.activeIndex.distanceByIndex(leaves[i], leaves[j]);
+                    if (raw > maxRaw) maxRaw = raw;
+                    if (raw > 0 && raw < minPositiveRaw) minPositiveRaw = raw;
                 }
             }
         }
+        this.rawDistanceExtremes = { maxRaw, minPositiveRaw };
+
+        const maxDistance = this.applyDistanceTransform(maxRaw);
+        const minPositiveDistance = Number.isFinite(minPositiveRaw) ? this.applyDistanceTransform(minPositiveRaw) : 0;
 
         this.maxPairwiseDistance = maxDistance;
-        this.minPairwiseDistance = Number.isFinite(minPositiveDistance) ? minPositiveDistance : 0;
+        this.minPairwiseDistance = minPositiveDistance;
         
         if (maxDistance > this.globalMaxPairwiseDistance) {
             this.globalMaxPairwiseDistance = maxDistance;
@@ -312,74 +697,85 @@ export class PhylogeneticDistanceCalculator {
     /**
      * Compute distance between two tree nodes
      */
-    computeDistanceBetweenNodes(node1, node2) {
-        if (!this.activeTree || !node1 || !node2) return null;
+    getDistanceForNodes(node1, node2) {
+        if (!this.activeIndex || !node1 || !node2) return null;
 
-        const mrca = this.activeTree.getMRCA([node1, node2]);
-        if (!mrca) return null;
+        const metrics = this.activeIndex.distance(node1, node2);
+        if (!metrics) return null;
 
-        const rawDistance = this.distanceToAncestor(node1, mrca) + this.distanceToAncestor(node2, mrca);
-        const edgeCount = this.edgeCountToAncestor(node1, mrca) + this.edgeCountToAncestor(node2, mrca);
-        const effectiveDistance = this.applyDistanceTransform(rawDistance);
+        const sampleRaw = this.getSampleDistance(node1, node2);
+        if (sampleRaw !== null) metrics.raw = sampleRaw;
 
-        return {
-            raw: rawDistance,
-            edges: edgeCount,
-            effective: effectiveDistance
-        };
+        const effective = this.applyDistanceTransform(metrics.raw);
+        if (Number.isFinite(effective) && effective > this.globalMaxPairwiseDistance) {
+            this.globalMaxPairwiseDistance = effective;
+        }
+
+        return { ...metrics, effective };
     }
 
     /**
-     * Get cached distance or compute it
+     * Summarized path length between two active-tree leaves across the
+     * posterior sample. Distances from the target are computed in one pass
+     * per round (see computeTargetDistanceStats).
+     * @returns {number|null} Null without a sample or if a leaf is missing from it
      */
-    getDistanceForNodes(node1, node2) {
-        const key = `${node1.id}|${node2.id}`;
-        if (this.distanceCache.has(key)) {
-            return this.distanceCache.get(key);
-        }
+    getSampleDistance(node1, node2) {
+        if (!this.treeSample || !node1.label || !node2.label) return null;
 
-        const metrics = this.computeDistanceBetweenNodes(node1, node2);
-        if (metrics && Number.isFinite(metrics.effective)) {
-            // Cache both directions
-            this.distanceCache.set(key, metrics);
-            this.distanceCache.set(`${node2.id}|${node1.id}`, metrics);
-            
-            if (metrics.effective > this.globalMaxPairwiseDistance) {
-                this.globalMaxPairwiseDistance = metrics.effective;
-            }
+        if (this.sampleTargetDistances && (node1 === this.currentTargetNode || node2 === this.currentTargetNode)) {
+            const other = node1 === this.currentTargetNode ? node2 : node1;
+            const cached = this.sampleTargetDistances.get(other.label);
+            if (cached !== undefined) return cached;
         }
 
-        return metrics;
+        const values = this.treeSample.distances(node1.label, node2.label);
+        return values ? summarizeValues(values, this.distanceSummary) : null;
     }
 
     /**
-     * Calculate branch length from node to ancestor
+     * Set how posterior-sample distances are summarized
+     * @param {string} mode - 'mean' or 'median'
      */
-    distanceToAncestor(node, ancestor) {
-        let distance = 0;
-        let cursor = node;
+    setDistanceSummary(mode) {
+        const m = String(mode || '').toLowerCase();
+        if (!DISTANCE_SUMMARIES.includes(m) || m === this.distanceSummary) return;
 
-        while (cursor && cursor !== ancestor) {
-            distance += cursor.branchLength ?? 0;
-            cursor = cursor.parent;
+        this.distanceSummary = m;
+        devLog(`Posterior distance summary set to: ${m}`);
+        if (this.treeSample && this.activeTree) {
+            this.computeTargetDistanceStats();
         }
-
-        return distance;
     }
 
     /**
-     * Count edges from node to ancestor
+     * How often each allowed species' rank (by distance to the target)
+     * differs across the posterior sample from its summarized rank
+     * @param {string[]} species - Species names
+     * @param {string} target - Target species name
+     * @returns {Map<string, { rank: number, rankMin: number, rankMax: number, changeRate: number }>|null}
+     *          Keyed by the given names; null without a sample
      */
-    edgeCountToAncestor(node, ancestor) {
-        let edges = 0;
-        let cursor = node;
+    getRankUncertainty(species, target) {
+        if (!this.treeSample) return null;
 
-        while (cursor && cursor !== ancestor) {
-            edges += 1;
-            cursor = cursor.parent;
-        }
+        const targetNode = this.lookupOriginalSpecies(target);
+        if (!targetNode) return null;
+
+        const labelByName = new Map();
+        species.forEach(name => {
+            const node = this.lookupOriginalSpecies(name);
+            if (node && node !== targetNode) labelByName.set(name, node.label);
+        });
 
-        return edges;
+        const byLabel = this.treeSample.rankUncertainty(
+            targetNode.label, [...new Set(labelByName.values())], this.distanceSummary
+        );
+        const result = new Map();
+        labelByName.forEach((label, name) => {
+            if (byLabel.has(label)) result.set(name, byLabel.get(label));
+        });
+        return result;
     }
 
     /**
@@ -437,9 +833,8 @@ export class PhylogeneticDistanceCalculator {
             if (m === 'log' && typeof this.transformOptions.strength !== 'number') {
                 this.transformOptions.strength = 0.6;
             }
-            console.log(`PhyloDistance transform mode set to: ${m}`);
+            devLog(`PhyloDistance transform mode set to: ${m}`);
             
-            this.distanceCache.clear();
             if (this.activeTree) {
                 this.computeDistanceStats();
                 this.computeTargetDistanceStats();
@@ -457,7 +852,6 @@ export class PhylogeneticDistanceCalculator {
         
         this.transformOptions.strength = Math.max(0, Math.min(1, v));
         
-        this.distanceCache.clear();
         if (this.activeTree) {
             this.computeDistanceStats();
             this.computeTargetDistanceStats();
@@ -499,14 +893,31 @@ export class PhylogeneticDistanceCalculator {
      */
     getActiveTreeSnapshot() {
         if (!this.latestTreeSnapshot) return null;
+        return this.copySnapshot(this.latestTreeSnapshot);
+    }
+
+    /**
+     * Get a snapshot of the tree pruned to the dataset species, rooted as in
+     * the tree file (independent of the current round)
+     */
+    getDatasetTreeSnapshot() {
+        if (!this.originalTree) return null;
+
+        if (!this.datasetTreeSnapshot) {
+            const datasetSet = this.buildAllowedSet(this.datasetSpecies);
+            const tree = this.originalTree.copy();
+            if (datasetSet) this.pruneTreeToAllowed(tree, datasetSet);
+            this.datasetTreeSnapshot = tree.root ? this.cloneNodeForSnapshot(tree.root, true) : null;
+        }
+        return this.datasetTreeSnapshot ? this.copySnapshot(this.datasetTreeSnapshot) : null;
+    }
 
-        const clone = node => ({
+    copySnapshot(node) {
+        return {
             label: node.label,
             branchLength: node.branchLength,
-            children: (node.children || []).map(child => clone(child))
-        });
-
-        return clone(this.latestTreeSnapshot);
+            children: (node.children || []).map(child => this.copySnapshot(child))
+        };
     }
 
     /**
@@ -590,19 +1001,17 @@ export class PhylogeneticDistanceCalculator {
             return;
         }
 
-        if (typeof this.activeTree.reroot === 'function') {
-            try {
-                this.activeTree.reroot(targetNode);
-            } catch (error) {
-                console.warn('Failed to reroot tree:', error);
-            }
+        try {
+            this.activeTree.reroot(targetNode);
+        } catch (error) {
+            console.warn('Failed to reroot tree:', error);
         }
 
         this.activeTree.clearCaches();
         this.activeTree.computeNodeHeights();
         this.activeTree.reassignNodeIDs();
+        this.activeIndex = new LcaIndex(this.activeTree.root);
         this.buildSpeciesIndex();
-        this.distanceCache.clear();
 
         const refreshedTarget = this.lookupSpecies(this.pendingTargetSpecies);
         if (!refreshedTarget) {
@@ -635,6 +1044,8 @@ export class PhylogeneticDistanceCalculator {
             return;
         }
 
+        this.sampleTargetDistances = this.treeSample ? this.summarizeTargetDistances(leaves) : null;
+
         let maxDistance = 0;
         let minPositiveDistance = Number.POSITIVE_INFINITY;
 
@@ -659,6 +1070,24 @@ export class PhylogeneticDistanceCalculator {
             ? Math.log(99) / denom 
             : 0;
             
-        console.log(`Target distance stats -> max: ${maxDistance.toFixed(4)}, min: ${this.targetMinPositiveDistance.toFixed(4)}`);
+        devLog(`Target distance stats -> max: ${maxDistance.toFixed(4)}, min: ${this.targetMinPositiveDistance.toFixed(4)}`);
+    }
+
+    /**
+     * Summarized sample distances from the target to every leaf, in one pass
+     * @param {TreeNode[]} leaves - Active tree leaves
+     * @returns {Map<string, number>} Leaf label -> summarized raw distance
+     */
+    summarizeTargetDistances(leaves) {
+        const labels = leaves.map(leaf => leaf.label).filter(Boolean);
+        const perTree = this.treeSample.distancesFrom(this.currentTargetNode.label, labels);
+        const summaries = new Map();
+        if (!perTree) return summaries;
+
+        labels.forEach((label, k) => {
+            const values = perTree.map(values => values[k]).filter(Number.isFinite);
+            if (values.length > 0) summaries.set(label, summarizeValues(values, this.distanceSummary));
+        });
+        return summaries;
     }
 }
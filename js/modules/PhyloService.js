@@ -0,0 +1,445 @@
+/**
+ * PhyloService.js
+ * Asynchronous front end for the phylogenetic distance calculator
+ *
+ * Tree parsing, pruning and rerooting run in a Web Worker (PhyloWorker.js)
+ * so they never block the UI. Every query is a message with a promise for
+ * its reply. When workers are unavailable, or the worker fails to load the
+ * tree, the same requests run on an in-page calculator instead. File paths
+ * are resolved against the page before they are sent, since a worker would
+ * resolve them against its own script.
+ *
+ * The metrics of the current round (target vs every allowed species) are
+ * cached on the main thread so ranking and scoring can read them
+ * synchronously once configureRound has resolved.
+ */
+
+import { PhylogeneticDistanceCalculator } from './PhyloCalculator.js';
+import { DataCache } from './DataCache.js';
+
+/**
+ * Run one request against a calculator. Shared by the worker and the
+ * in-page fallback so both answer identically.
+ * @param {PhylogeneticDistanceCalculator} calculator
+ * @param {string} type - Request type
+ * @param {Object} payload - Request arguments
+ * @param {Function} onProgress - Progress callback for long requests
+ * @returns {Promise<*>} Structured-cloneable result
+ */
+export async function handlePhyloRequest(calculator, type, payload = {}, onProgress = null) {
+    switch (type) {
+        case 'load':
+            await calculator.loadTree(payload.treePath, payload.speciesList, {
+                onProgress,
+                taxa: payload.taxa,
+                dataVersion: payload.dataVersion
+            });
+            return {
+                isLoaded: calculator.isLoaded,
+                error: calculator.loadError,
+                dataVersion: calculator.dataVersion,
+                loadedFromCache: calculator.loadedFromCache,
+                leafCount: calculator.activeTree ? calculator.activeTree.leafList.length : 0,
+                sampleSize: calculator.treeSample ? calculator.treeSample.size : 1,
+                grafted: Object.fromEntries([...calculator.graftedTaxa].map(([label, graft]) => [label, graft.level]))
+            };
+
+        case 'configureRound': {
+            const { allowed = [], target = null } = payload;
+            calculator.configureRound(allowed, target);
+            if (!calculator.isLoaded || !target) return { target, metrics: {} };
+
+            // Rank stability across the posterior sample (null for a single tree)
+            const uncertainty = calculator.getRankUncertainty(allowed, target);
+            const metrics = {};
+            allowed.forEach(label => {
+                const distance = calculator.getPhylogeneticDistance(label, target);
+                const ranks = uncertainty?.get(label);
+                metrics[label] = distance
+                    ? {
+                        raw: distance.raw,
+                        edges: distance.edges,
+                        effective: distance.effective,
+                        score: calculator.distanceToScore(distance.raw),
+                        divergenceMa: calculator.getDivergenceTime(label, target),
+                        ...(ranks && {
+                            rankChangeRate: ranks.changeRate,
+                            rankMin: ranks.rankMin,
+                            rankMax: ranks.rankMax
+                        })
+                    }
+                    : null;
+            });
+            return { target, metrics };
+        }
+
+        case 'distances':
+            return (payload.pairs || []).map(([a, b]) => calculator.getPhylogeneticDistance(a, b));
+
+        case 'divergenceTimes':
+            return (payload.pairs || []).map(([a, b]) => calculator.getDivergenceTime(a, b));
+
+        case 'cladeLeafLabels':
+            return calculator.getCladeLeafLabels(payload.species);
+
+        case 'closestRelatives':
+            return calculator.getClosestRelatives(payload.species, payload.options);
+
+        case 'snapshot':
+            return calculator.getActiveTreeSnapshot();
+
+        case 'datasetSnapshot':
+            return calculator.getDatasetTreeSnapshot();
+
+        case 'setTransformMode':
+            calculator.setTransformMode(payload.mode);
+            return calculator.transformMode;
+
+        case 'setDistanceSummary':
+            calculator.setDistanceSummary(payload.mode);
+            return calculator.distanceSummary;
+
+        case 'clearCache':
+            return calculator.clearCache();
+
+        default:
+            throw new Error(`Unknown phylogeny request: ${type}`);
+    }
+}
+
+/**
+ * Absolute URL of a path relative to the page
+ * @param {string} path
+ * @returns {string} The path unchanged outside a page (e.g. in Node)
+ */
+function resolvePageUrl(path) {
+    return typeof document !== 'undefined' ? new URL(path, document.baseURI).href : path;
+}
+
+/**
+ * PhyloService owns the calculator (in a worker when possible) and exposes
+ * an async API for it
+ */
+export class PhyloService {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.useWorker - Run the calculator in a Web Worker when supported
+     * @param {Object|null} options.loader - Data loader for the tree file (see DataLoader.js).
+     *        Loaders cannot be sent to a worker, so a custom loader runs the calculator in-page.
+     * @param {DataCache|null} options.cache - Cache for the in-page calculator (the worker
+     *        opens its own connection to the same IndexedDB store)
+     */
+    constructor({
+        loader = null,
+        useWorker = typeof Worker !== 'undefined' && !loader,
+        cache = new DataCache()
+    } = {}) {
+        this.loader = loader;
+        this.cache = cache;
+        this.dataVersion = null;
+        this.loadedFromCache = false;
+        this.isLoaded = false;
+        this.transformMode = null;
+        this.distanceSummary = null;
+        this.sampleSize = 1;
+        this.graftLevels = new Map();
+        this.round = null;
+        this.roundRequest = 0;
+        this.progressListeners = new Set();
+
+        this.worker = null;
+        this.local = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        if (useWorker) {
+            this.startWorker();
+        }
+    }
+
+    // ==================== Transport ====================
+
+    /**
+     * Start the worker, falling back to the in-page calculator if it cannot be created
+     */
+    startWorker() {
+        try {
+            this.worker = new Worker(new URL('./PhyloWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Phylogeny worker unavailable; running on the main thread:', error);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        this.worker.addEventListener('error', (event) => {
+            console.warn('Phylogeny worker failed; running on the main thread:', event.message || event);
+            event.preventDefault?.();
+            this.stopWorker(new Error('Phylogeny worker failed'));
+        });
+    }
+
+    /**
+     * Stop the worker and reject its outstanding requests
+     * @param {Error} reason
+     */
+    stopWorker(reason) {
+        this.worker?.terminate();
+        this.worker = null;
+        this.pending.forEach(({ reject }) => reject(reason));
+        this.pending.clear();
+    }
+
+    handleWorkerMessage(message) {
+        if (!message) return;
+
+        if (message.type === 'progress') {
+            this.emitProgress(message.progress);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Send a request to the worker, or run it on the in-page calculator
+     * @param {string} type
+     * @param {Object} payload
+     * @returns {Promise<*>}
+     */
+    request(type, payload = {}) {
+        if (!this.worker) {
+            return handlePhyloRequest(this.getLocalCalculator(), type, payload, (progress) => this.emitProgress(progress));
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Get the in-page calculator used when no worker is running
+     * @returns {PhylogeneticDistanceCalculator}
+     */
+    getLocalCalculator() {
+        if (!this.local) {
+            this.local = new PhylogeneticDistanceCalculator({ loader: this.loader, cache: this.cache });
+            if (this.transformMode) this.local.setTransformMode(this.transformMode);
+            if (this.distanceSummary) this.local.setDistanceSummary(this.distanceSummary);
+        }
+        return this.local;
+    }
+
+    // ==================== Progress ====================
+
+    /**
+     * Listen for load progress ({ stage, loaded, total })
+     * @param {Function} listener
+     * @returns {Function} Unsubscribe function
+     */
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+
+    emitProgress(progress) {
+        this.progressListeners.forEach(listener => {
+            try {
+                listener(progress);
+            } catch (error) {
+                console.warn('Progress listener failed:', error);
+            }
+        });
+    }
+
+    // ==================== Tree API ====================
+
+    /**
+     * Load the tree, pruned to the dataset species
+     * @param {string} treePath - Path to the Newick file
+     * @param {string[]} speciesList - Species in the dataset
+     * @param {Object} options
+     * @param {Object[]} options.taxa - Dataset species as { label, genus, family, order };
+     *        species missing from the tree are grafted next to their relatives
+     * @param {string} options.dataVersion - Content hash of the species data files
+     *        (part of the cache key)
+     * @returns {Promise<boolean>} Whether the tree loaded
+     */
+    async load(treePath, speciesList = null, { taxa = null, dataVersion = null } = {}) {
+        const payload = { treePath: resolvePageUrl(treePath), speciesList, taxa, dataVersion };
+
+        let workerError = null;
+        if (this.worker) {
+            try {
+                const result = await this.request('load', payload);
+                if (result.isLoaded) {
+                    this.isLoaded = true;
+                    this.applyLoadResult(result);
+                    return true;
+                }
+                workerError = result.error || 'tree not loaded';
+            } catch (error) {
+                workerError = error.message;
+            }
+            // Synchronous fallback: retry on the main thread
+            this.stopWorker(new Error('Phylogeny worker stopped'));
+        }
+
+        const result = await this.request('load', payload);
+        this.isLoaded = result.isLoaded;
+        this.applyLoadResult(result);
+        if (workerError && this.isLoaded) {
+            // The worker and the page read the same URL, so this is a bug, not a missing file
+            console.error(`Phylogeny worker failed to load ${payload.treePath} (${workerError}), `
+                + 'but the page loaded it; the tree is now handled on the main thread');
+        } else if (workerError) {
+            console.warn('Phylogeny worker could not load the tree:', workerError);
+        }
+        return this.isLoaded;
+    }
+
+    applyLoadResult(result) {
+        this.dataVersion = result.dataVersion;
+        this.loadedFromCache = result.loadedFromCache;
+        this.sampleSize = result.sampleSize;
+        this.graftLevels = new Map(Object.entries(result.grafted || {}));
+    }
+
+    /**
+     * Taxonomic level a species was grafted onto the tree at
+     * @param {string} species - Tree label
+     * @returns {string|null} 'genus', 'family' or 'order' when the species is missing
+     *          from the tree and its placement is estimated; null otherwise
+     */
+    getGraftLevel(species) {
+        return this.graftLevels.get(species) || null;
+    }
+
+    /**
+     * Configure a round and cache the target's metrics against every allowed species
+     * @param {string[]} allowed - Tree labels of the species in play
+     * @param {string} target - Tree label of the target
+     * @returns {Promise<boolean>} Whether the round metrics are now available
+     */
+    async configureRound(allowed, target) {
+        const requestNumber = ++this.roundRequest;
+        this.round = null;
+
+        const result = await this.request('configureRound', { allowed, target });
+        // A newer round may have been configured while this one was in flight
+        if (requestNumber !== this.roundRequest) return false;
+
+        this.round = {
+            target: result.target,
+            metrics: new Map(Object.entries(result.metrics || {}))
+        };
+        return this.round.metrics.size > 0;
+    }
+
+    /**
+     * Cached metrics of a species against the current round's target
+     * @param {string} species - Tree label
+     * @param {string} target - Tree label of the target
+     * @returns {{ raw: number, edges: number, effective: number, score: number,
+     *             divergenceMa: number|null, rankChangeRate?: number,
+     *             rankMin?: number, rankMax?: number }|null} The rank fields are
+     *          present only when a posterior sample is loaded
+     */
+    getRoundMetrics(species, target) {
+        if (!this.round || this.round.target !== target) return null;
+        return this.round.metrics.get(species) || null;
+    }
+
+    /**
+     * Distances between pairs of species in the active (round) tree
+     * @param {string[][]} pairs - [species1, species2] pairs
+     * @returns {Promise<({ raw: number, edges: number, effective: number }|null)[]>}
+     */
+    getDistances(pairs) {
+        return this.request('distances', { pairs });
+    }
+
+    /**
+     * Shared-ancestor ages (Ma) for pairs of species
+     * @param {string[][]} pairs
+     * @returns {Promise<(number|null)[]>}
+     */
+    getDivergenceTimes(pairs) {
+        return this.request('divergenceTimes', { pairs });
+    }
+
+    /**
+     * Leaf labels of the smallest clade of the full tree containing the species
+     * @param {string[]} species
+     * @returns {Promise<string[]>}
+     */
+    getCladeLeafLabels(species) {
+        return this.request('cladeLeafLabels', { species });
+    }
+
+    /**
+     * Closest relatives of a species in the dataset
+     * @param {string} species
+     * @param {Object} options - { limit, candidates }
+     * @returns {Promise<{ species: string, distance: number }[]>}
+     */
+    getClosestRelatives(species, options = {}) {
+        return this.request('closestRelatives', { species, options });
+    }
+
+    /**
+     * Snapshot of the active (pruned, rerooted) tree
+     * @returns {Promise<Object|null>}
+     */
+    getSnapshot() {
+        return this.request('snapshot');
+    }
+
+    /**
+     * Snapshot of the whole tree pruned to the dataset species
+     * @returns {Promise<Object|null>}
+     */
+    getDatasetSnapshot() {
+        return this.request('datasetSnapshot');
+    }
+
+    /**
+     * Set the distance transform mode ('linear' or 'log'). Requests are
+     * handled in order, so rounds configured afterwards use the new mode.
+     * @param {string} mode
+     * @returns {Promise<string>}
+     */
+    setTransformMode(mode) {
+        this.transformMode = mode;
+        return this.request('setTransformMode', { mode });
+    }
+
+    /**
+     * Set how distances are summarized across a posterior tree sample
+     * ('mean' or 'median'); ignored for a single tree
+     * @param {string} mode
+     * @returns {Promise<string>}
+     */
+    setDistanceSummary(mode) {
+        this.distanceSummary = mode;
+        return this.request('setDistanceSummary', { mode });
+    }
+
+    /**
+     * Remove the cached tree and distance data; the next visit rebuilds them
+     * @returns {Promise<boolean>} Whether the cache was cleared
+     */
+    clearCache() {
+        return this.request('clearCache');
+    }
+}
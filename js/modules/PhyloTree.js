@@ -0,0 +1,619 @@
+/**
+ * PhyloTree.js
+ * Minimal phylogenetic tree library: Newick/NEXUS parsing, copying,
+ * pruning, rerooting and MRCA lookup
+ *
+ * Plain ES module with no DOM or library dependencies, so the same code runs
+ * in the page, in the phylogeny worker and in Node scripts.
+ */
+
+// ==================== Nodes ====================
+
+export class TreeNode {
+    /**
+     * @param {Object} options
+     * @param {string} options.label - Node label (taxon name for leaves)
+     * @param {number|null} options.branchLength - Length of the branch to the parent
+     */
+    constructor({ label = '', branchLength = null } = {}) {
+        this.label = label;
+        this.branchLength = branchLength;
+        this.children = [];
+        this.parent = null;
+        this.id = -1;
+        this.height = null;
+    }
+
+    /**
+     * Append a child node
+     * @param {TreeNode} child
+     * @returns {TreeNode} The child
+     */
+    addChild(child) {
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Remove a child node
+     * @param {TreeNode} child
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return;
+        this.children.splice(index, 1);
+        child.parent = null;
+    }
+
+    isLeaf() {
+        return this.children.length === 0;
+    }
+
+    isRoot() {
+        return !this.parent;
+    }
+
+    /**
+     * Deep copy of the subtree rooted at this node (the copy has no parent)
+     * @returns {TreeNode}
+     */
+    copy() {
+        const rootCopy = new TreeNode({ label: this.label, branchLength: this.branchLength });
+        const stack = [[this, rootCopy]];
+        while (stack.length > 0) {
+            const [source, target] = stack.pop();
+            source.children.forEach(child => {
+                const childCopy = target.addChild(new TreeNode({ label: child.label, branchLength: child.branchLength }));
+                stack.push([child, childCopy]);
+            });
+        }
+        return rootCopy;
+    }
+
+    /**
+     * Visit the subtree parents-first
+     * @param {Function} fn - Called with each node
+     * @returns {Array} Results of fn, in visiting order
+     */
+    applyPreOrder(fn) {
+        const results = [];
+        const stack = [this];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            results.push(fn(node));
+            for (let i = node.children.length - 1; i >= 0; i--) {
+                stack.push(node.children[i]);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Visit the subtree children-first
+     * @param {Function} fn - Called with each node
+     * @returns {Array} Results of fn, in visiting order
+     */
+    applyPostOrder(fn) {
+        const order = [];
+        const stack = [this];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            order.push(node);
+            node.children.forEach(child => stack.push(child));
+        }
+        return order.reverse().map(node => fn(node));
+    }
+}
+
+// ==================== Trees ====================
+
+export class Tree {
+    /**
+     * @param {TreeNode|null} root
+     * @param {string|null} name - Tree name (from a NEXUS tree statement)
+     */
+    constructor(root = null, name = null) {
+        this.root = root;
+        this.name = name;
+        this.cachedLeafList = null;
+        this.cachedNodeList = null;
+    }
+
+    /**
+     * Leaves in left-to-right order (cached until clearCaches)
+     * @returns {TreeNode[]}
+     */
+    get leafList() {
+        if (!this.cachedLeafList) {
+            this.cachedLeafList = this.nodeList.filter(node => node.isLeaf());
+        }
+        return this.cachedLeafList;
+    }
+
+    /**
+     * All nodes in preorder (cached until clearCaches)
+     * @returns {TreeNode[]}
+     */
+    get nodeList() {
+        if (!this.cachedNodeList) {
+            this.cachedNodeList = this.root ? this.root.applyPreOrder(node => node) : [];
+        }
+        return this.cachedNodeList;
+    }
+
+    /**
+     * Drop cached node lists after changing the topology
+     */
+    clearCaches() {
+        this.cachedLeafList = null;
+        this.cachedNodeList = null;
+    }
+
+    /**
+     * Deep copy of the tree
+     * @returns {Tree}
+     */
+    copy() {
+        return new Tree(this.root ? this.root.copy() : null, this.name);
+    }
+
+    /**
+     * Number nodes in preorder
+     */
+    reassignNodeIDs() {
+        this.nodeList.forEach((node, index) => {
+            node.id = index;
+        });
+    }
+
+    /**
+     * Set each node's height (age): distance below the deepest tip
+     */
+    computeNodeHeights() {
+        const depths = new Map();
+        let maxDepth = 0;
+        this.nodeList.forEach(node => {
+            const depth = node.parent ? depths.get(node.parent) + (node.branchLength ?? 0) : 0;
+            depths.set(node, depth);
+            if (depth > maxDepth) maxDepth = depth;
+        });
+        this.nodeList.forEach(node => {
+            node.height = maxDepth - depths.get(node);
+        });
+    }
+
+    /**
+     * Find the most recent common ancestor of nodes
+     * @param {TreeNode[]} nodes
+     * @returns {TreeNode|null}
+     */
+    getMRCA(nodes) {
+        if (!nodes || nodes.length === 0 || nodes.some(node => !node)) return null;
+
+        let ancestors = null;
+        for (const node of nodes) {
+            const path = [];
+            for (let cursor = node; cursor; cursor = cursor.parent) path.push(cursor);
+            if (path[path.length - 1] !== this.root) return null;
+
+            if (!ancestors) {
+                ancestors = path;
+            } else {
+                const onPath = new Set(path);
+                ancestors = ancestors.filter(ancestor => onPath.has(ancestor));
+            }
+        }
+        return ancestors[0] || null;
+    }
+
+    /**
+     * Keep only the leaves accepted by a predicate. Internal nodes left with
+     * no children are removed and nodes left with one child are merged into
+     * it, so path lengths between the kept leaves are unchanged.
+     * @param {Function} keep - Called with each leaf; return true to keep it
+     * @returns {Tree} This tree
+     */
+    prune(keep) {
+        if (!this.root) return this;
+
+        const leaves = new Set(this.leafList);
+        const detach = (node) => {
+            if (node.parent) {
+                node.parent.removeChild(node);
+            } else {
+                this.root = null;
+            }
+        };
+
+        this.root.applyPostOrder(node => node).forEach(node => {
+            if (leaves.has(node)) {
+                if (!keep(node)) detach(node);
+            } else if (node.children.length === 0) {
+                detach(node);
+            } else if (node.children.length === 1 && node.parent) {
+                const child = node.children[0];
+                const parent = node.parent;
+                child.branchLength = (child.branchLength ?? 0) + (node.branchLength ?? 0);
+                parent.children[parent.children.indexOf(node)] = child;
+                child.parent = parent;
+                node.parent = null;
+                node.children = [];
+            }
+        });
+
+        // A root with one child is dropped in favour of the child
+        while (this.root && this.root.children.length === 1) {
+            const child = this.root.children[0];
+            child.parent = null;
+            this.root = child;
+        }
+
+        this.clearCaches();
+        return this;
+    }
+
+    /**
+     * Reroot the tree on the branch above a node: a new root is placed at
+     * the middle of that branch. Path lengths between leaves are unchanged.
+     * @param {TreeNode} node
+     * @returns {Tree} This tree
+     */
+    reroot(node) {
+        if (!node || !node.parent || node === this.root) return this;
+
+        const oldRoot = this.root;
+        const newRoot = new TreeNode();
+        const half = (node.branchLength ?? 0) / 2;
+
+        let current = node.parent;
+        current.removeChild(node);
+        newRoot.addChild(node);
+        node.branchLength = half;
+
+        // Walk up to the old root, reversing each edge on the way
+        let previous = newRoot;
+        let carriedLength = half;
+        while (current) {
+            const parent = current.parent;
+            const parentLength = current.branchLength;
+            if (parent) parent.removeChild(current);
+            previous.addChild(current);
+            current.branchLength = carriedLength;
+
+            carriedLength = parentLength;
+            previous = current;
+            current = parent;
+        }
+
+        // The old root is now an ordinary node; merge it away if it has one child
+        if (oldRoot.children.length === 1 && oldRoot.parent) {
+            const child = oldRoot.children[0];
+            const parent = oldRoot.parent;
+            child.branchLength = (child.branchLength ?? 0) + (oldRoot.branchLength ?? 0);
+            parent.children[parent.children.indexOf(oldRoot)] = child;
+            child.parent = parent;
+            oldRoot.children = [];
+            oldRoot.parent = null;
+        }
+
+        this.root = newRoot;
+        this.clearCaches();
+        return this;
+    }
+
+    /**
+     * Write the tree as a Newick string
+     * @returns {string}
+     */
+    toNewick() {
+        return this.root ? `${writeNewickNode(this.root)};` : ';';
+    }
+}
+
+// ==================== Newick ====================
+
+const LABEL_DELIMITERS = new Set(['(', ')', ',', ':', ';', '[']);
+
+function formatLabel(label) {
+    if (!label) return '';
+    return /[\s(),:;'[\]]/.test(label) ? `'${label.replace(/'/g, "''")}'` : label;
+}
+
+function writeNewickNode(root) {
+    // Iterative so very deep trees do not overflow the stack
+    const parts = [];
+    const stack = [{ node: root, state: 0 }];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const { node } = frame;
+
+        if (node.children.length > 0 && frame.state < node.children.length) {
+            parts.push(frame.state === 0 ? '(' : ',');
+            stack.push({ node: node.children[frame.state++], state: 0 });
+            continue;
+        }
+
+        if (node.children.length > 0) parts.push(')');
+        parts.push(formatLabel(node.label));
+        if (node.branchLength !== null && node.branchLength !== undefined && node !== root) {
+            parts.push(`:${node.branchLength}`);
+        }
+        stack.pop();
+    }
+    return parts.join('');
+}
+
+/**
+ * Parse a single Newick tree
+ * @param {string} text - Newick string (the trailing semicolon is optional)
+ * @param {Map<string, string>} translate - Optional label translation (NEXUS translate block)
+ * @returns {Tree}
+ */
+export function parseNewick(text, translate = null) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Empty Newick string');
+    }
+
+    const root = new TreeNode();
+    let current = root;
+    let i = 0;
+
+    const fail = (message) => {
+        throw new Error(`Malformed Newick at character ${i}: ${message}`);
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === ';') break;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(') {
+            current = current.addChild(new TreeNode());
+            i++;
+        } else if (char === ',') {
+            if (!current.parent) fail('unexpected ","');
+            current = current.parent.addChild(new TreeNode());
+            i++;
+        } else if (char === ')') {
+            if (!current.parent) fail('unbalanced ")"');
+            current = current.parent;
+            i++;
+        } else if (char === ':') {
+            const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/.exec(text.slice(i + 1, i + 64));
+            if (!match) fail('invalid branch length');
+            current.branchLength = parseFloat(match[1]);
+            i += 1 + match[0].length;
+        } else if (char === '[') {
+            // Comments and [&...] annotations are skipped
+            const end = text.indexOf(']', i);
+            if (end === -1) fail('unterminated comment');
+            i = end + 1;
+        } else if (char === "'" || char === '"') {
+            let label = '';
+            i++;
+            for (;;) {
+                if (i >= text.length) fail('unterminated quoted label');
+                if (text[i] === char) {
+                    // A doubled quote is an escaped quote
+                    if (text[i + 1] === char) {
+                        label += char;
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                label += text[i++];
+            }
+            current.label = label;
+        } else {
+            const start = i;
+            while (i < text.length && !LABEL_DELIMITERS.has(text[i]) && !/\s/.test(text[i])) i++;
+            current.label = text.slice(start, i);
+        }
+    }
+
+    if (current !== root) fail('unbalanced "("');
+
+    const tree = new Tree(root);
+    if (translate && translate.size > 0) {
+        tree.nodeList.forEach(node => {
+            if (translate.has(node.label)) node.label = translate.get(node.label);
+        });
+    }
+    return tree;
+}
+
+// ==================== NEXUS ====================
+
+/**
+ * Split text into statements at semicolons outside quotes and comments
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitStatements(text) {
+    const statements = [];
+    let start = 0;
+    let quote = null;
+    let commentDepth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (commentDepth > 0) {
+            if (char === '[') commentDepth++;
+            if (char === ']') commentDepth--;
+        } else if (char === '[') {
+            commentDepth = 1;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === ';') {
+            statements.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest) statements.push(rest);
+    return statements;
+}
+
+/**
+ * Parse a NEXUS translate statement body ("1 Homo_sapiens, 2 'Pan troglodytes', ...")
+ * @param {string} body
+ * @returns {Map<string, string>}
+ */
+function parseTranslate(body) {
+    const map = new Map();
+    const entryPattern = /\s*([^\s,]+)\s+('(?:[^']|'')*'|"[^"]*"|[^\s,]+)\s*(?:,|$)/gy;
+    let match;
+    while ((match = entryPattern.exec(body)) !== null && match[0].length > 0) {
+        let label = match[2];
+        if (label.startsWith("'")) label = label.slice(1, -1).replace(/''/g, "'");
+        if (label.startsWith('"')) label = label.slice(1, -1);
+        map.set(match[1], label);
+    }
+    return map;
+}
+
+/**
+ * Collect the tree statements of a NEXUS file without parsing them
+ * @param {string} text - NEXUS file contents
+ * @returns {{ name: string, source: string, translate: Map<string, string>|null }[]}
+ */
+function collectNexusTrees(text) {
+    if (!/^\s*#nexus/i.test(text)) {
+        throw new Error('Not a NEXUS file');
+    }
+
+    const entries = [];
+    let inTreesBlock = false;
+    let translate = null;
+
+    splitStatements(text.replace(/^\s*#nexus/i, '')).forEach(statement => {
+        // Drop leading comments, keeping [&R]/[&U] rooting comments inside tree strings
+        const clean = statement.replace(/^(\s*\[[^\]]*\])*\s*/, '');
+        const keyword = clean.split(/\s+/, 1)[0].toLowerCase();
+
+        if (keyword === 'begin') {
+            inTreesBlock = /^begin\s+trees$/i.test(clean);
+            translate = null;
+        } else if (keyword === 'end' || keyword === 'endblock') {
+            inTreesBlock = false;
+        } else if (inTreesBlock && keyword === 'translate') {
+            translate = parseTranslate(clean.slice('translate'.length));
+        } else if (inTreesBlock && (keyword === 'tree' || keyword === 'utree')) {
+            const match = /^u?tree\s+(?:\*\s*)?('(?:[^']|'')*'|[^\s=]+)\s*=\s*([\s\S]*)$/i.exec(clean);
+            if (!match) throw new Error(`Malformed NEXUS tree statement: ${clean.slice(0, 60)}`);
+            entries.push({ name: match[1].replace(/^'|'$/g, ''), source: match[2], translate });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Parse the trees block of a NEXUS file
+ * @param {string} text - NEXUS file contents
+ * @returns {Tree[]} Trees in file order
+ */
+export function parseNexus(text) {
+    return [...iterateTrees(text)];
+}
+
+// ==================== Serialization ====================
+
+/**
+ * Encode a tree as flat preorder arrays (structured-cloneable, e.g. for IndexedDB)
+ * @param {Tree} tree
+ * @returns {{ name: string|null, labels: string[], parents: Int32Array, branchLengths: Float64Array }}
+ *          Missing branch lengths are stored as NaN
+ */
+export function encodeTree(tree) {
+    const nodes = tree.nodeList;
+    const indexByNode = new Map(nodes.map((node, index) => [node, index]));
+    return {
+        name: tree.name,
+        labels: nodes.map(node => node.label),
+        parents: Int32Array.from(nodes, node => (node.parent ? indexByNode.get(node.parent) : -1)),
+        branchLengths: Float64Array.from(nodes, node => node.branchLength ?? NaN)
+    };
+}
+
+/**
+ * Rebuild a tree from encodeTree output
+ * @param {{ name: string|null, labels: string[], parents: Int32Array, branchLengths: Float64Array }} data
+ * @returns {Tree}
+ */
+export function decodeTree({ name = null, labels, parents, branchLengths }) {
+    const nodes = labels.map((label, index) => new TreeNode({
+        label,
+        branchLength: Number.isNaN(branchLengths[index]) ? null : branchLengths[index]
+    }));
+    // Parents precede their children in preorder, so children are re-added in their original order
+    nodes.forEach((node, index) => {
+        if (parents[index] >= 0) nodes[parents[index]].addChild(node);
+    });
+    return new Tree(nodes[0] || null, name);
+}
+
+// ==================== Entry Points ====================
+
+/**
+ * Count the trees in a Newick or NEXUS file without parsing them
+ * @param {string} text - File contents
+ * @returns {number}
+ */
+export function countTrees(text) {
+    return /^\s*#nexus/i.test(text)
+        ? collectNexusTrees(text).length
+        : splitStatements(text).filter(Boolean).length;
+}
+
+/**
+ * Parse the trees of a Newick or NEXUS file one at a time, so a large
+ * posterior sample never has to be held in memory as full trees
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {number} options.limit - Keep at most this many trees, evenly spaced through the file
+ * @yields {Tree}
+ */
+export function* iterateTrees(text, { limit = Infinity } = {}) {
+    const entries = /^\s*#nexus/i.test(text)
+        ? collectNexusTrees(text)
+        : splitStatements(text).filter(Boolean).map(source => ({ name: null, source, translate: null }));
+
+    const count = Math.min(entries.length, Math.max(1, limit));
+    const step = entries.length / count;
+    for (let k = 0; k < count; k++) {
+        const { name, source, translate } = entries[Math.floor(k * step)];
+        const tree = parseNewick(source, translate);
+        tree.name = name;
+        yield tree;
+    }
+}
+
+/**
+ * Parse every tree in a Newick or NEXUS file
+ * @param {string} text - File contents
+ * @param {Object} options - See iterateTrees
+ * @returns {Tree[]}
+ */
+export function readTrees(text, options = {}) {
+    return [...iterateTrees(text, options)];
+}
+
+/**
+ * Parse the first tree in a Newick or NEXUS file
+ * @param {string} text - File contents
+ * @returns {Tree}
+ */
+export function readTree(text) {
+    const { value: tree } = iterateTrees(text, { limit: 1 }).next();
+    if (!tree) throw new Error('No tree found');
+    return tree;
+}
@@ -0,0 +1,32 @@
+/**
+ * PhyloWorker.js
+ * Web Worker entry point running the phylogenetic calculator off the main thread
+ *
+ * Messages in: { id, type, payload } (see handlePhyloRequest)
+ * Messages out: { id, result } or { id, error }, plus { type: 'progress', progress }
+ */
+
+import { PhylogeneticDistanceCalculator } from './PhyloCalculator.js';
+import { handlePhyloRequest } from './PhyloService.js';
+import { DataCache } from './DataCache.js';
+
+const calculator = new PhylogeneticDistanceCalculator({ cache: new DataCache() });
+
+// Requests run one at a time in arrival order, so a round configured while
+// the tree is loading waits for the tree
+let queue = Promise.resolve();
+
+async function handleMessage({ id, type, payload } = {}) {
+    try {
+        const result = await handlePhyloRequest(calculator, type, payload, (progress) => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error?.message || String(error) });
+    }
+}
+
+self.addEventListener('message', (event) => {
+    queue = queue.then(() => handleMessage(event.data));
+});
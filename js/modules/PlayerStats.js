@@ -0,0 +1,206 @@
+/**
+ * PlayerStats.js
+ * Module for recording finished rounds and summarising player statistics
+ */
+
+import { LIMITS } from './GameSettings.js';
+
+const STORAGE_KEY = 'mammalMystery.stats';
+const FORMAT_VERSION = 1;
+const MAX_STORED_ROUNDS = 1000;
+
+// Text fields of a round result, each a string or null
+const TEXT_FIELDS = ['finishedAt', 'mode', 'dateKey', 'metric', 'rankedBy', 'targetName', 'targetOrder', 'targetFamily'];
+
+function isGuessCount(value) {
+    return Number.isInteger(value) && value >= LIMITS.maxGuesses.min && value <= LIMITS.maxGuesses.max;
+}
+
+/**
+ * Whether a stored or imported round can be summarised: getSummary sizes its
+ * histogram by the guess counts, so out-of-range numbers would break it
+ * @param {*} round
+ * @returns {boolean}
+ */
+function isValidRound(round) {
+    return Boolean(round) && typeof round === 'object'
+        && typeof round.won === 'boolean'
+        && isGuessCount(round.guessCount)
+        && isGuessCount(round.maxGuesses)
+        && round.guessCount <= round.maxGuesses
+        && TEXT_FIELDS.every(field => round[field] === undefined || round[field] === null || typeof round[field] === 'string');
+}
+
+/**
+ * PlayerStats keeps a log of finished rounds in localStorage and derives
+ * win rate, streaks, the guess distribution and the most-missed orders.
+ */
+export class PlayerStats {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.rounds = this.readRounds();
+    }
+
+    /**
+     * Record a finished round
+     * @param {Object} result - Round result from GameEngine.buildRoundResult
+     */
+    recordRound(result) {
+        if (!result) return;
+
+        this.rounds.push({
+            ...result,
+            finishedAt: result.finishedAt || new Date().toISOString()
+        });
+
+        if (this.rounds.length > MAX_STORED_ROUNDS) {
+            this.rounds = this.rounds.slice(-MAX_STORED_ROUNDS);
+        }
+
+        this.writeRounds();
+    }
+
+    /**
+     * Get all recorded rounds (oldest first)
+     * @returns {Object[]}
+     */
+    getRounds() {
+        return this.rounds;
+    }
+
+    /**
+     * Summarise the recorded rounds
+     * @returns {{
+     *   played: number, wins: number, winRate: number,
+     *   currentStreak: number, longestStreak: number,
+     *   distribution: { guesses: number, count: number }[], losses: number,
+     *   mostMissedOrders: { order: string, missed: number, played: number }[]
+     * }}
+     */
+    getSummary() {
+        const played = this.rounds.length;
+        const wins = this.rounds.filter(r => r.won).length;
+
+        let currentStreak = 0;
+        let longestStreak = 0;
+        this.rounds.forEach(round => {
+            currentStreak = round.won ? currentStreak + 1 : 0;
+            longestStreak = Math.max(longestStreak, currentStreak);
+        });
+
+        // Guess-count histogram for won rounds; lost rounds are counted separately
+        const maxGuesses = this.rounds.reduce((max, r) => Math.max(max, r.maxGuesses || 0, r.guessCount || 0), 0);
+        const counts = new Array(maxGuesses + 1).fill(0);
+        this.rounds.forEach(round => {
+            if (round.won && round.guessCount > 0) counts[round.guessCount]++;
+        });
+        const distribution = counts
+            .map((count, guesses) => ({ guesses, count }))
+            .slice(1);
+
+        // Orders whose targets the player misses most often
+        const byOrder = new Map();
+        this.rounds.forEach(round => {
+            const order = round.targetOrder || 'Unknown';
+            if (!byOrder.has(order)) byOrder.set(order, { order, missed: 0, played: 0 });
+            const entry = byOrder.get(order);
+            entry.played++;
+            if (!round.won) entry.missed++;
+        });
+        const mostMissedOrders = Array.from(byOrder.values())
+            .filter(entry => entry.missed > 0)
+            .sort((a, b) => (b.missed - a.missed) || (b.missed / b.played - a.missed / a.played))
+            .slice(0, 5);
+
+        return {
+            played,
+            wins,
+            winRate: played > 0 ? wins / played : 0,
+            currentStreak,
+            longestStreak,
+            distribution,
+            losses: played - wins,
+            mostMissedOrders
+        };
+    }
+
+    /**
+     * Export all statistics as a JSON string
+     * @returns {string}
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: 'mammal-mystery-stats',
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            rounds: this.rounds
+        }, null, 2);
+    }
+
+    /**
+     * Import statistics exported by exportJSON. Rounds already present
+     * (same finish time and seed) are skipped, so importing twice is harmless;
+     * rounds with missing or out-of-range fields are dropped.
+     * @param {string} json
+     * @returns {number} Number of rounds added
+     */
+    importJSON(json) {
+        const data = JSON.parse(json);
+        if (!data || data.format !== 'mammal-mystery-stats' || !Array.isArray(data.rounds)) {
+            throw new Error('Not a Mammal Mystery statistics file');
+        }
+        if (data.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported statistics version: ${data.version}`);
+        }
+
+        const keyFor = round => `${round.finishedAt}|${round.seed ?? ''}`;
+        const existing = new Set(this.rounds.map(keyFor));
+        const incoming = data.rounds.filter(round =>
+            isValidRound(round) && !existing.has(keyFor(round))
+        );
+
+        this.rounds = [...this.rounds, ...incoming]
+            .sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)))
+            .slice(-MAX_STORED_ROUNDS);
+        this.writeRounds();
+
+        return incoming.length;
+    }
+
+    /**
+     * Delete all recorded rounds
+     */
+    reset() {
+        this.rounds = [];
+        this.writeRounds();
+    }
+
+    /**
+     * Read stored rounds, tolerating missing or corrupt storage (invalid
+     * rounds are dropped)
+     * @returns {Object[]}
+     */
+    readRounds() {
+        if (!this.storage) return [];
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return Array.isArray(parsed?.rounds) ? parsed.rounds.filter(isValidRound) : [];
+        } catch (error) {
+            console.warn('Unable to read player statistics:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist rounds
+     */
+    writeRounds() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, rounds: this.rounds }));
+        } catch (error) {
+            console.warn('Unable to save player statistics:', error);
+        }
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * ShareSummary.js
+ * Module for building spoiler-free round summaries (text and URL fragment)
+ */
+
+import { getGuessComparison } from './GuessFeedback.js';
+
+const FRAGMENT_KEY = 'share';
+const FORMAT_VERSION = 1;
+
+// Date of a daily round, as written by DailyChallenge (YYYY-MM-DD)
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Emoji for each comparison class (same classes as the result modal)
+const COMPARISON_EMOJI = {
+    'perfect-match': '🎯',
+    green: '🟩',
+    red: '🟥',
+    neutral: '⬜'
+};
+
+// Single-letter codes used in the URL fragment
+const COMPARISON_CODES = {
+    'perfect-match': 'p',
+    green: 'g',
+    red: 'r',
+    neutral: 'n'
+};
+
+/**
+ * Build a spoiler-free summary of a finished round. Only comparison
+ * classes and ranks are included, never species names.
+ *
+ * @param {Object} round
+ * @param {boolean} round.won
+ * @param {Object} round.target - Target mammal (only its ID is used)
+ * @param {Object[]} round.guesses - Guesses in order
+ * @param {number} round.maxGuesses - Guess budget for the round
+ * @param {string} round.mode - 'random' or 'daily'
+ * @param {string|null} round.dateKey - Date of a daily round
+ * @returns {{ won: boolean, mode: string, dateKey: string|null, maxGuesses: number, rows: Object[] }}
+ */
+export function buildShareSummary(round) {
+    const guesses = Array.isArray(round?.guesses) ? round.guesses : [];
+    const targetId = round?.target?.id;
+
+    const rows = guesses.map((guess, index) => ({
+        comparison: getGuessComparison(guesses, index, targetId),
+        rank: Number.isFinite(guess?.rank) ? guess.rank : null,
+        tied: (guess?.tieSize ?? 1) > 1
+    }));
+
+    return {
+        won: Boolean(round?.won),
+        mode: round?.mode || 'random',
+        dateKey: round?.dateKey || null,
+        maxGuesses: round?.maxGuesses || guesses.length,
+        rows
+    };
+}
+
+/**
+ * Format a summary as chat-friendly text
+ * @param {Object} summary - Result of buildShareSummary
+ * @param {string} url - Optional link to append
+ * @returns {string}
+ */
+export function formatShareText(summary, url = '') {
+    const title = summary.mode === 'daily' && summary.dateKey
+        ? `Mammal Mystery — Daily ${summary.dateKey}`
+        : 'Mammal Mystery';
+    const score = `${summary.won ? summary.rows.length : 'X'}/${summary.maxGuesses}`;
+
+    const lines = summary.rows.map(row => {
+        const emoji = COMPARISON_EMOJI[row.comparison] || COMPARISON_EMOJI.neutral;
+        if (row.comparison === 'perfect-match') return `${emoji} Found!`;
+        const rank = row.rank !== null ? `#${row.rank}${row.tied ? ' (tied)' : ''}` : '—';
+        return `${emoji} ${rank}`;
+    });
+
+    return [`${title} ${score}`, ...lines, url].filter(Boolean).join('\n');
+}
+
+/**
+ * Encode a summary as a URL fragment ("#share=...")
+ * @param {Object} summary - Result of buildShareSummary
+ * @returns {string}
+ */
+export function encodeShareFragment(summary) {
+    const guesses = summary.rows
+        .map(row => `${COMPARISON_CODES[row.comparison] || 'n'}${row.rank ?? ''}${row.tied ? 't' : ''}`)
+        .join('-');
+
+    const parts = [
+        `v${FORMAT_VERSION}`,
+        summary.won ? 'w' : 'l',
+        String(summary.maxGuesses),
+        summary.mode === 'daily' && summary.dateKey ? `d${summary.dateKey}` : 'r',
+        guesses
+    ];
+
+    return `#${FRAGMENT_KEY}=${parts.map(encodeURIComponent).join('.')}`;
+}
+
+/**
+ * Decode a URL fragment produced by encodeShareFragment
+ * @param {string} hash - location.hash
+ * @returns {Object|null} Summary, or null if the fragment is not a share link
+ */
+export function decodeShareFragment(hash) {
+    if (!hash || typeof hash !== 'string') return null;
+
+    const prefix = `#${FRAGMENT_KEY}=`;
+    if (!hash.startsWith(prefix)) return null;
+
+    try {
+        const [version, outcome, maxGuesses, round, guesses = ''] = hash
+            .slice(prefix.length)
+            .split('.')
+            .map(decodeURIComponent);
+
+        if (version !== `v${FORMAT_VERSION}`) return null;
+
+        const comparisonByCode = Object.fromEntries(
+            Object.entries(COMPARISON_CODES).map(([comparison, code]) => [code, comparison])
+        );
+
+        const rows = guesses.split('-').filter(Boolean).map(token => {
+            const match = /^([pgrn])(\d*)(t?)$/.exec(token);
+            if (!match) throw new Error(`Invalid guess token: ${token}`);
+            return {
+                comparison: comparisonByCode[match[1]],
+                rank: match[2] ? parseInt(match[2], 10) : null,
+                tied: match[3] === 't'
+            };
+        });
+
+        const isDaily = round?.startsWith('d');
+        const dateKey = isDaily ? round.slice(1) : null;
+        if (isDaily && !DATE_KEY.test(dateKey)) throw new Error(`Invalid date: ${dateKey}`);
+        return {
+            won: outcome === 'w',
+            mode: isDaily ? 'daily' : 'random',
+            dateKey,
+            maxGuesses: parseInt(maxGuesses, 10) || rows.length,
+            rows
+        };
+    } catch (error) {
+        console.warn('Unable to decode shared result:', error);
+        return null;
+    }
+}
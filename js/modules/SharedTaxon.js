@@ -0,0 +1,139 @@
+/**
+ * SharedTaxon.js
+ * Lowest shared taxonomic rank and named clade of a guess and the target
+ */
+
+import { getGenus } from './MammalData.js';
+import { defaultLoader } from './DataLoader.js';
+
+/**
+ * Get the lowest taxonomic rank a guess shares with the target, using the
+ * same order -> family -> genus nesting as calculateTaxonomicScore
+ * @param {Object} mammal - Guessed mammal
+ * @param {Object} target - Target mammal
+ * @returns {{ level: 'species'|'genus'|'family'|'order'|'class', name: string|null }|null}
+ *          name is null at class level when an extinct non-mammal is involved
+ */
+export function getSharedRank(mammal, target) {
+    if (!mammal || !target) return null;
+    if (mammal.id === target.id) return { level: 'species', name: target.scientific_name };
+
+    if (mammal.order && mammal.order === target.order) {
+        if (mammal.family && mammal.family === target.family) {
+            const genus = getGenus(mammal);
+            if (genus && genus === getGenus(target)) {
+                return { level: 'genus', name: genus };
+            }
+            return { level: 'family', name: mammal.family };
+        }
+        return { level: 'order', name: mammal.order };
+    }
+
+    // Fossil mode includes cynodonts that are not mammals; the clade names those pairs
+    return { level: 'class', name: mammal.extinct || target.extinct ? null : 'Mammalia' };
+}
+
+/**
+ * Load the clade definitions
+ * @param {string} dataPath - Path to data/clades.json
+ * @param {Object} loader - Data loader (see DataLoader.js)
+ * @returns {Promise<{ name: string, species: string[] }[]>}
+ */
+export async function loadCladeDefinitions(dataPath = './data/clades.json', loader = defaultLoader) {
+    try {
+        const data = await loader.json(dataPath);
+        return (data.clades || []).filter(clade =>
+            clade && typeof clade.name === 'string' && Array.isArray(clade.species) && clade.species.length >= 2
+        );
+    } catch (error) {
+        console.warn('Unable to load clade definitions:', error);
+        return [];
+    }
+}
+
+/**
+ * CladeIndex finds the smallest named clade containing two mammals
+ */
+export class CladeIndex {
+    constructor() {
+        this.clades = [];
+    }
+
+    /**
+     * Resolve clade definitions against the tree
+     * @param {Object[]} definitions - From loadCladeDefinitions
+     * @param {PhyloService} phyloService - With the tree loaded
+     * @param {MammalLookup} mammalLookup
+     * @returns {Promise<void>}
+     */
+    async build(definitions, phyloService, mammalLookup) {
+        const resolved = await Promise.all(definitions.map(definition =>
+            phyloService.getCladeLeafLabels(definition.species).catch(() => [])
+        ));
+
+        this.clades = definitions.map((definition, index) => {
+            const labels = resolved[index];
+            if (labels.length === 0) {
+                console.warn(`Clade ${definition.name}: anchor species not found in the tree`);
+                return null;
+            }
+
+            const ids = new Set();
+            const orders = new Set();
+            labels.forEach(label => {
+                const mammal = mammalLookup.getByTreeLabel(label);
+                if (!mammal) return;
+                ids.add(mammal.id);
+                if (mammal.order) orders.add(mammal.order);
+            });
+
+            return { name: definition.name, ids, orders, size: labels.length };
+        })
+            .filter(Boolean)
+            .sort((a, b) => a.size - b.size);
+    }
+
+    /**
+     * Find the smallest named clade containing both mammals
+     * @param {Object} mammalA
+     * @param {Object} mammalB
+     * @returns {{ name: string, orders: Set<string> }|null}
+     */
+    findSharedClade(mammalA, mammalB) {
+        if (!mammalA || !mammalB) return null;
+        return this.clades.find(clade => clade.ids.has(mammalA.id) && clade.ids.has(mammalB.id)) || null;
+    }
+
+    /**
+     * Get the named clades containing a mammal, smallest first
+     * @param {Object} mammal
+     * @returns {{ name: string, ids: Set<number>, size: number }[]}
+     */
+    getCladesContaining(mammal) {
+        if (!mammal) return [];
+        return this.clades.filter(clade => clade.ids.has(mammal.id));
+    }
+
+    /**
+     * Describe what a guess shares with the target: the lowest shared rank
+     * plus, for order level and above, the smallest named clade below it
+     * @param {Object} mammal - Guessed mammal
+     * @param {Object} target - Target mammal
+     * @returns {{ level: string, name: string|null, clade: string|null }|null}
+     */
+    describe(mammal, target) {
+        const rank = getSharedRank(mammal, target);
+        if (!rank) return null;
+
+        let clade = null;
+        if (rank.level === 'order' || rank.level === 'class') {
+            const shared = this.findSharedClade(mammal, target);
+            // Within one order, only name clades that are narrower than the order itself
+            if (shared && (rank.level === 'class' || (shared.orders.size === 1 && shared.orders.has(rank.name)))) {
+                clade = shared.name;
+            }
+        }
+
+        return { ...rank, clade };
+    }
+}
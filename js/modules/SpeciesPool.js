@@ -0,0 +1,234 @@
+/**
+ * SpeciesPool.js
+ * Module for building restricted species pools for themed rounds
+ *
+ * A pool definition selects species by order, family, clade (the smallest
+ * clade of the full tree containing two or more named species) and explicit
+ * species lists. A species is in the pool if it matches any of them.
+ * Curated pools are JSON files in data/pools using the same format.
+ */
+
+import { defaultLoader } from './DataLoader.js';
+
+// Smallest pool a round can be played with
+export const MIN_POOL_SIZE = 5;
+
+/**
+ * Clean up a pool definition, dropping unknown fields and empty entries
+ * @param {Object} raw
+ * @returns {Object|null} Definition, or null for "all species"
+ */
+export function sanitizePoolDefinition(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const strings = (list) => Array.isArray(list)
+        ? [...new Set(list.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()))]
+        : [];
+
+    const definition = {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : null,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null,
+        orders: strings(raw.orders).map(order => order.toUpperCase()),
+        families: strings(raw.families).map(family => family.toUpperCase()),
+        clades: Array.isArray(raw.clades)
+            ? raw.clades.map(strings).filter(clade => clade.length >= 2)
+            : [],
+        species: strings(raw.species)
+    };
+
+    // A curated pool reference ({ id } from a URL) is resolved later
+    if (!definition.orders.length && !definition.families.length
+        && !definition.clades.length && !definition.species.length && !definition.id) {
+        return null;
+    }
+
+    return definition;
+}
+
+/**
+ * Describe a pool definition for display
+ * @param {Object|null} definition
+ * @returns {string}
+ */
+export function describePool(definition) {
+    if (!definition) return 'All species';
+    if (definition.name) return definition.name;
+
+    const parts = [
+        ...definition.orders.map(titleCase),
+        ...definition.families.map(titleCase),
+        ...definition.clades.map(clade => `clade of ${clade.join(' + ')}`),
+        definition.species.length ? `${definition.species.length} listed species` : null
+    ].filter(Boolean);
+
+    return parts.join(', ') || 'Custom pool';
+}
+
+function titleCase(text) {
+    return text.charAt(0) + text.slice(1).toLowerCase();
+}
+
+/**
+ * Load the curated pools listed in the pool index
+ * @param {string} indexPath - Path to data/pools/index.json
+ * @param {Object} loader - Data loader (see DataLoader.js)
+ * @returns {Promise<Object[]>} Sanitized pool definitions
+ */
+export async function loadCuratedPools(indexPath = './data/pools/index.json', loader = defaultLoader) {
+    try {
+        const index = await loader.json(indexPath);
+        // Pool files are listed relative to the index
+        const baseDir = indexPath.slice(0, indexPath.lastIndexOf('/') + 1);
+
+        const pools = await Promise.all((index.pools || []).map(async entry => {
+            try {
+                const definition = sanitizePoolDefinition({ ...(await loader.json(baseDir + entry.file)), id: entry.id });
+                return definition ? { ...definition, description: entry.description || '' } : null;
+            } catch (error) {
+                console.warn(`Unable to load curated pool ${entry.id}:`, error);
+                return null;
+            }
+        }));
+
+        return pools.filter(Boolean);
+    } catch (error) {
+        console.warn('Unable to load curated pools:', error);
+        return [];
+    }
+}
+
+/**
+ * SpeciesPoolBuilder resolves pool definitions to lists of mammals
+ *
+ * Clade filters need the tree, which lives behind the async PhyloService, so
+ * clades are resolved ahead of time with prepare() and build() reads them
+ * from a cache.
+ */
+export class SpeciesPoolBuilder {
+    /**
+     * @param {MammalLookup} mammalLookup
+     * @param {PhyloService} phyloService - Used for clade filters
+     */
+    constructor(mammalLookup, phyloService) {
+        this.mammalLookup = mammalLookup;
+        this.phyloService = phyloService;
+        this.curatedPools = [];
+        this.cladeLabels = new Map();
+    }
+
+    /**
+     * Set the curated pools available by ID
+     * @param {Object[]} pools
+     */
+    setCuratedPools(pools) {
+        this.curatedPools = Array.isArray(pools) ? pools : [];
+    }
+
+    /**
+     * Get a curated pool by ID
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getCuratedPool(id) {
+        return this.curatedPools.find(pool => pool.id === id) || null;
+    }
+
+    /**
+     * Resolve a definition to the full curated definition it refers to
+     * @param {Object|null} definition
+     * @returns {Object|null}
+     */
+    resolveDefinition(definition) {
+        const clean = sanitizePoolDefinition(definition);
+        if (!clean) return null;
+
+        const isReference = clean.id && !clean.orders.length && !clean.families.length
+            && !clean.clades.length && !clean.species.length;
+        if (!isReference) return clean;
+
+        const curated = this.getCuratedPool(clean.id);
+        if (!curated) {
+            console.warn('Unknown curated pool:', clean.id);
+            return null;
+        }
+        return curated;
+    }
+
+    /**
+     * Resolve the clade filters of pool definitions so build() can use them
+     * @param {(Object|null)[]} definitions
+     * @returns {Promise<void>}
+     */
+    async prepare(definitions) {
+        if (!this.phyloService?.isLoaded) return;
+
+        const anchors = definitions
+            .map(definition => this.resolveDefinition(definition))
+            .filter(Boolean)
+            .flatMap(definition => definition.clades)
+            .filter(clade => !this.cladeLabels.has(clade.join('|')));
+
+        await Promise.all(anchors.map(async clade => {
+            try {
+                const labels = await this.phyloService.getCladeLeafLabels(clade);
+                if (labels.length > 0) this.cladeLabels.set(clade.join('|'), labels);
+            } catch (error) {
+                console.warn(`Unable to resolve clade of ${clade.join(' + ')}:`, error);
+            }
+        }));
+    }
+
+    /**
+     * Build the list of mammals in a pool
+     * @param {Object|null} definition - Pool definition (null = all species)
+     * @param {Object} options
+     * @param {boolean} options.includeFossils - Include extinct taxa (fossil mode)
+     * @returns {{ definition: Object|null, mammals: Object[], missing: string[] }}
+     *          missing lists species and clade anchors that could not be matched
+     */
+    build(definition, { includeFossils = false } = {}) {
+        const all = this.mammalLookup.getAll({ includeFossils });
+        const resolved = this.resolveDefinition(definition);
+        if (!resolved) {
+            return { definition: null, mammals: all, missing: [] };
+        }
+
+        const orders = new Set(resolved.orders);
+        const families = new Set(resolved.families);
+        const selectedIds = new Set();
+        const missing = [];
+
+        all.forEach(mammal => {
+            if (orders.has(mammal.order) || families.has(mammal.family)) {
+                selectedIds.add(mammal.id);
+            }
+        });
+
+        resolved.species.forEach(name => {
+            const mammal = this.mammalLookup.getByTreeLabel(name);
+            if (mammal) {
+                selectedIds.add(mammal.id);
+            } else {
+                missing.push(name);
+            }
+        });
+
+        resolved.clades.forEach(anchors => {
+            const labels = this.cladeLabels.get(anchors.join('|')) || [];
+            if (labels.length === 0) {
+                missing.push(`clade of ${anchors.join(' + ')}`);
+                return;
+            }
+            labels.forEach(label => {
+                const mammal = this.mammalLookup.getByTreeLabel(label);
+                if (mammal) selectedIds.add(mammal.id);
+            });
+        });
+
+        return {
+            definition: resolved,
+            mammals: all.filter(mammal => selectedIds.has(mammal.id)),
+            missing
+        };
+    }
+}
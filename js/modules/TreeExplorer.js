@@ -0,0 +1,627 @@
+/**
+ * TreeExplorer.js
+ * Zoomable, pannable radial view of the whole mammal tree
+ *
+ * Tips are spread around a circle in tree order, at a radius given by their
+ * depth, with rings of family and order bands outside their labels. Clicking
+ * an internal node collapses its clade into a wedge (and back), the wheel
+ * zooms, dragging pans and the search box locates a species.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Geometry in SVG user units: tips sit on tipRadius, their labels run
+// outwards for labelSpace, then come the family and order rings
+const GEOMETRY = {
+    tipRadius: 600,
+    labelSpace: 130,
+    familyBand: 16,
+    orderBand: 22,
+    bandGap: 3
+};
+
+const ZOOM_LIMITS = { min: 1, max: 60 };
+// Zoom level a located species is shown at
+const LOCATE_SCALE = 16;
+// Clicks and drags: how far (in screen pixels) a click may land from a node,
+// and how far the pointer may move before a press becomes a drag
+const HIT_RADIUS_PX = 10;
+const DRAG_THRESHOLD_PX = 4;
+
+function titleCase(label) {
+    return String(label || '')
+        .toLowerCase()
+        .replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+}
+
+function polar(radius, angle) {
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+}
+
+function formatPoint([x, y]) {
+    return `${x.toFixed(2)},${y.toFixed(2)}`;
+}
+
+// Arc of a circle, clockwise from start to end (radians)
+function arcPath(radius, start, end) {
+    const large = end - start > Math.PI ? 1 : 0;
+    return `M${formatPoint(polar(radius, start))}A${radius},${radius} 0 ${large} 1 ${formatPoint(polar(radius, end))}`;
+}
+
+// Ring segment between two radii
+function bandPath(inner, outer, start, end) {
+    const large = end - start > Math.PI ? 1 : 0;
+    return `M${formatPoint(polar(outer, start))}`
+        + `A${outer},${outer} 0 ${large} 1 ${formatPoint(polar(outer, end))}`
+        + `L${formatPoint(polar(inner, end))}`
+        + `A${inner},${inner} 0 ${large} 0 ${formatPoint(polar(inner, start))}Z`;
+}
+
+// Rotation (degrees) that keeps text along a radius readable on both sides
+function radialRotation(angle) {
+    const degrees = angle * 180 / Math.PI;
+    const flipped = Math.cos(angle) < 0;
+    return { rotate: flipped ? degrees + 180 : degrees, anchor: flipped ? 'end' : 'start' };
+}
+
+// Rotation (degrees) for text following the circle, upright on both halves
+function tangentRotation(angle) {
+    const degrees = angle * 180 / Math.PI;
+    return Math.sin(angle) > 0 ? degrees - 90 : degrees + 90;
+}
+
+/**
+ * Radial tree explorer for the tree modal
+ */
+export class TreeExplorer {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {Function} options.getMammal - Returns the mammal with an ID
+     * @param {Function} options.search - (query, allowedIds) => [{ mammal }], best match first
+     * @param {Function} options.onTipClick - Called with the mammal ID of a clicked tip
+     */
+    constructor(container, { getMammal = () => null, search = () => [], onTipClick = null } = {}) {
+        this.container = container;
+        this.getMammal = getMammal;
+        this.search = search;
+        this.onTipClick = onTipClick;
+
+        this.root = null;
+        this.nodes = [];
+        this.tipsById = new Map();
+        this.maxDepth = 0;
+        this.located = null;
+        this.view = { scale: 1, x: 0, y: 0 };
+
+        this.mount();
+    }
+
+    // ==================== Tree ====================
+
+    /**
+     * Show a tree
+     * @param {Object} tree - Snapshot nodes { label, branchLength, children }; tips
+     *        also carry mammalId, order, family and graftLevel (see GameEngine.getMammalTree)
+     */
+    setTree(tree) {
+        this.nodes = [];
+        this.tipsById.clear();
+        this.located = null;
+        this.root = tree ? this.buildNode(tree, null, 0) : null;
+        this.maxDepth = Math.max(0, ...this.nodes.map(node => node.depth));
+
+        this.status.textContent = this.root
+            ? `${this.tipsById.size} species · scroll or use the buttons to zoom, drag to pan, `
+                + 'click a branching point to collapse or expand its clade'
+            : 'The tree is not available.';
+        this.render();
+        this.resetView();
+    }
+
+    buildNode(source, parent, depth) {
+        const node = {
+            index: this.nodes.length,
+            label: source.label || '',
+            depth,
+            parent,
+            children: [],
+            collapsed: false,
+            mammalId: source.mammalId ?? null,
+            graftLevel: source.graftLevel ?? null
+        };
+        this.nodes.push(node);
+
+        const children = source.children || [];
+        node.children = children.map(child => this.buildNode(child, node, depth + Math.max(0, child.branchLength || 0)));
+
+        if (node.children.length === 0) {
+            node.tipCount = 1;
+            node.order = source.order || null;
+            node.family = source.family || null;
+            if (node.mammalId !== null) this.tipsById.set(node.mammalId, node);
+        } else {
+            // A clade's order (or family) is only set when all of its tips share it
+            const shared = (key) => {
+                const value = node.children[0][key];
+                return value && node.children.every(child => child[key] === value) ? value : null;
+            };
+            node.tipCount = node.children.reduce((sum, child) => sum + child.tipCount, 0);
+            node.order = shared('order');
+            node.family = shared('family');
+        }
+        return node;
+    }
+
+    /**
+     * Collapse or expand a clade
+     * @param {Object} node
+     */
+    toggle(node) {
+        if (!node || node.children.length === 0) return;
+        node.collapsed = !node.collapsed;
+        if (node.collapsed && this.located && this.isInside(this.located, node)) {
+            this.located = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Expand every clade
+     */
+    expandAll() {
+        this.nodes.forEach(node => {
+            node.collapsed = false;
+        });
+        this.render();
+    }
+
+    /**
+     * Collapse each order into wedges (orders that are not clades give several)
+     */
+    collapseToOrders() {
+        this.nodes.forEach(node => {
+            node.collapsed = false;
+        });
+        const visit = (node) => {
+            if (node.order && node.children.length > 0) {
+                node.collapsed = true;
+                return;
+            }
+            node.children.forEach(visit);
+        };
+        if (this.root) visit(this.root);
+        this.located = null;
+        this.render();
+    }
+
+    /**
+     * Expand the clades around a species, highlight it and zoom in on it
+     * @param {*} mammalId
+     * @returns {boolean} Whether the species is in the tree
+     */
+    locate(mammalId) {
+        const tip = this.tipsById.get(mammalId);
+        if (!tip) return false;
+
+        for (let node = tip.parent; node; node = node.parent) {
+            node.collapsed = false;
+        }
+        this.located = tip;
+        this.render();
+
+        const scale = Math.max(this.view.scale, LOCATE_SCALE);
+        const [x, y] = polar(GEOMETRY.tipRadius, tip.angle);
+        this.view = { scale, x: -x * scale, y: -y * scale };
+        this.applyView();
+        return true;
+    }
+
+    isInside(node, clade) {
+        for (let current = node; current; current = current.parent) {
+            if (current === clade) return true;
+        }
+        return false;
+    }
+
+    // ==================== Layout and drawing ====================
+
+    /**
+     * Give every visible node an angle and radius. Tips and collapsed clades
+     * each take one slot around the circle.
+     * @returns {{ slots: Object[], step: number }}
+     */
+    layout() {
+        const slots = [];
+        const visible = [];
+        const place = (node) => {
+            visible.push(node);
+            if (node.children.length === 0 || node.collapsed) {
+                slots.push(node);
+                return;
+            }
+            node.children.forEach(place);
+        };
+        place(this.root);
+
+        const step = (2 * Math.PI) / Math.max(1, slots.length);
+        slots.forEach((node, slot) => {
+            node.angle = (slot + 0.5) * step;
+        });
+
+        // Without branch lengths, nodes are spaced by the number of splits instead
+        const levels = new Map();
+        const countLevels = (node) => {
+            const below = node.collapsed ? 0 : Math.max(-1, ...node.children.map(countLevels)) + 1;
+            levels.set(node, below);
+            return below;
+        };
+        if (this.maxDepth === 0) countLevels(this.root);
+        const maxLevels = levels.get(this.root) || 1;
+
+        for (let k = visible.length - 1; k >= 0; k--) {
+            const node = visible[k];
+            if (!node.collapsed && node.children.length > 0) {
+                node.angle = (node.children[0].angle + node.children[node.children.length - 1].angle) / 2;
+            }
+            node.radius = this.maxDepth > 0
+                ? (node.depth / this.maxDepth) * GEOMETRY.tipRadius
+                : (1 - levels.get(node) / maxLevels) * GEOMETRY.tipRadius;
+        }
+
+        this.visibleNodes = visible;
+        return { slots, step };
+    }
+
+    render() {
+        this.viewport.innerHTML = '';
+        if (!this.root) return;
+
+        const { slots, step } = this.layout();
+        const { tipRadius } = GEOMETRY;
+
+        // All branches as one path: a radial segment to each node, and an arc
+        // at each visible internal node spanning its children
+        const segments = [];
+        this.visibleNodes.forEach(node => {
+            if (node.parent) {
+                segments.push(`M${formatPoint(polar(node.parent.radius, node.angle))}`
+                    + `L${formatPoint(polar(node.radius, node.angle))}`);
+            }
+            if (!node.collapsed && node.children.length > 1) {
+                const first = node.children[0].angle;
+                const last = node.children[node.children.length - 1].angle;
+                segments.push(arcPath(node.radius, first, last));
+            }
+        });
+        this.viewport.appendChild(this.createPath(segments.join(''), 'tree-explorer-branches'));
+
+        if (this.located) {
+            const path = [];
+            for (let node = this.located; node.parent; node = node.parent) {
+                const parent = node.parent;
+                path.push(`M${formatPoint(polar(node.radius, node.angle))}`
+                    + `L${formatPoint(polar(parent.radius, node.angle))}`);
+                const [start, end] = [node.angle, parent.angle].sort((a, b) => a - b);
+                if (end > start) path.push(arcPath(parent.radius, start, end));
+            }
+            this.viewport.appendChild(this.createPath(path.join(''), 'tree-explorer-located-path'));
+        }
+
+        const fontSize = Math.max(0.8, Math.min(10, tipRadius * step * 0.85));
+        const labels = document.createElementNS(SVG_NS, 'g');
+        labels.setAttribute('class', 'tree-explorer-labels');
+        labels.setAttribute('font-size', fontSize.toFixed(2));
+        slots.forEach(node => {
+            if (node.collapsed) {
+                const half = step * 0.45;
+                const [x, y] = polar(node.radius, node.angle);
+                const wedge = this.createPath(
+                    `M${x.toFixed(2)},${y.toFixed(2)}`
+                        + `L${formatPoint(polar(tipRadius, node.angle - half))}`
+                        + `L${formatPoint(polar(tipRadius, node.angle + half))}Z`,
+                    'tree-explorer-wedge'
+                );
+                wedge.dataset.node = node.index;
+                this.viewport.appendChild(wedge);
+            }
+            labels.appendChild(this.createTipLabel(node));
+        });
+        this.viewport.appendChild(labels);
+
+        this.viewport.appendChild(this.createBands(slots, step));
+    }
+
+    createPath(d, className) {
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('class', className);
+        return path;
+    }
+
+    createTipLabel(node) {
+        const { rotate, anchor } = radialRotation(node.angle);
+        const [x, y] = polar(GEOMETRY.tipRadius + 3, node.angle);
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.setAttribute('transform', `translate(${x.toFixed(2)},${y.toFixed(2)}) rotate(${rotate.toFixed(2)})`);
+        text.setAttribute('text-anchor', anchor);
+        text.setAttribute('dominant-baseline', 'middle');
+
+        if (node.collapsed) {
+            const name = node.family || node.order;
+            text.setAttribute('class', 'tree-explorer-label clade');
+            text.textContent = `${name ? `${titleCase(name)} · ` : ''}${node.tipCount} species`;
+            text.dataset.node = node.index;
+            return text;
+        }
+
+        const mammal = node.mammalId !== null ? this.getMammal(node.mammalId) : null;
+        text.setAttribute('class', 'tree-explorer-label');
+        if (node === this.located) text.classList.add('located');
+        if (node.graftLevel) text.classList.add('estimated');
+        text.textContent = mammal?.common_name || mammal?.scientific_name || node.label.replace(/_/g, ' ');
+        text.dataset.node = node.index;
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = [
+            mammal?.scientific_name || node.label,
+            node.graftLevel ? `placed by ${node.graftLevel} (not in the tree file)` : null
+        ].filter(Boolean).join(' · ');
+        text.appendChild(title);
+        return text;
+    }
+
+    /**
+     * Family and order rings: one band per run of neighbouring slots in the
+     * same taxon, labelled where the band is long enough for its name
+     */
+    createBands(slots, step) {
+        const { tipRadius, labelSpace, familyBand, orderBand, bandGap } = GEOMETRY;
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', 'tree-explorer-bands');
+
+        const familyInner = tipRadius + labelSpace;
+        const rings = [
+            { key: 'family', inner: familyInner, outer: familyInner + familyBand, fontSize: 7 },
+            { key: 'order', inner: familyInner + familyBand + bandGap, outer: familyInner + familyBand + bandGap + orderBand, fontSize: 10 }
+        ];
+
+        rings.forEach(({ key, inner, outer, fontSize }) => {
+            let runs = 0;
+            let start = 0;
+            for (let k = 1; k <= slots.length; k++) {
+                const name = slots[start][key];
+                if (k < slots.length && slots[k][key] === name) continue;
+
+                if (name) {
+                    const from = start * step;
+                    const to = k * step;
+                    const band = this.createPath(bandPath(inner, outer, from, to), `tree-explorer-band ${key} band-${runs % 2}`);
+                    const title = document.createElementNS(SVG_NS, 'title');
+                    title.textContent = `${titleCase(key)} ${titleCase(name)}`;
+                    band.appendChild(title);
+                    group.appendChild(band);
+                    runs++;
+
+                    const label = titleCase(name);
+                    const middle = (inner + outer) / 2;
+                    if (middle * (to - from) > label.length * fontSize * 0.62) {
+                        const angle = (from + to) / 2;
+                        const [x, y] = polar(middle, angle);
+                        const text = document.createElementNS(SVG_NS, 'text');
+                        text.setAttribute('class', `tree-explorer-band-label ${key}`);
+                        text.setAttribute('font-size', fontSize);
+                        text.setAttribute('text-anchor', 'middle');
+                        text.setAttribute('dominant-baseline', 'middle');
+                        text.setAttribute('transform', `translate(${x.toFixed(2)},${y.toFixed(2)}) rotate(${tangentRotation(angle).toFixed(2)})`);
+                        text.textContent = label;
+                        group.appendChild(text);
+                    }
+                }
+                start = k;
+            }
+        });
+        return group;
+    }
+
+    // ==================== View and input ====================
+
+    mount() {
+        const { tipRadius, labelSpace, familyBand, orderBand, bandGap } = GEOMETRY;
+        const extent = tipRadius + labelSpace + familyBand + bandGap + orderBand + 10;
+
+        this.container.innerHTML = `
+            <div class="tree-explorer-toolbar">
+                <div class="tree-explorer-search">
+                    <input type="search" placeholder="Find a species..." aria-label="Find a species in the tree" autocomplete="off">
+                    <div class="tree-explorer-results"></div>
+                </div>
+                <div class="tree-explorer-buttons">
+                    <button type="button" class="btn btn-secondary" data-action="zoom-in" aria-label="Zoom in">+</button>
+                    <button type="button" class="btn btn-secondary" data-action="zoom-out" aria-label="Zoom out">&minus;</button>
+                    <button type="button" class="btn btn-secondary" data-action="reset">Reset view</button>
+                    <button type="button" class="btn btn-secondary" data-action="orders">Orders only</button>
+                    <button type="button" class="btn btn-secondary" data-action="expand">Expand all</button>
+                </div>
+            </div>
+            <p class="tree-explorer-status">Loading the tree...</p>
+        `;
+        this.status = this.container.querySelector('.tree-explorer-status');
+        this.searchInput = this.container.querySelector('.tree-explorer-search input');
+        this.results = this.container.querySelector('.tree-explorer-results');
+
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'tree-explorer-svg');
+        this.svg.setAttribute('viewBox', `${-extent} ${-extent} ${extent * 2} ${extent * 2}`);
+        this.svg.setAttribute('role', 'img');
+        this.svg.setAttribute('aria-label', 'Radial phylogenetic tree of the mammals in the game');
+        this.viewport = document.createElementNS(SVG_NS, 'g');
+        this.svg.appendChild(this.viewport);
+        this.container.appendChild(this.svg);
+
+        const actions = {
+            'zoom-in': () => this.zoomAt(0, 0, 1.6),
+            'zoom-out': () => this.zoomAt(0, 0, 1 / 1.6),
+            reset: () => this.resetView(),
+            orders: () => this.collapseToOrders(),
+            expand: () => this.expandAll()
+        };
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+
+        this.searchInput.addEventListener('input', () => this.showSearchResults());
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.results.querySelector('button')?.click();
+        });
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [x, y] = this.toViewBoxPoint(e);
+            this.zoomAt(x, y, Math.exp(-e.deltaY * 0.0015));
+        }, { passive: false });
+        this.bindDrag();
+    }
+
+    showSearchResults() {
+        this.results.innerHTML = '';
+        const query = this.searchInput.value.trim();
+        if (!query || this.tipsById.size === 0) return;
+
+        const matches = this.search(query, new Set(this.tipsById.keys())).slice(0, 6);
+        if (matches.length === 0) {
+            this.results.innerHTML = '<p class="tree-explorer-no-match">No species in the tree match that name.</p>';
+            return;
+        }
+        matches.forEach(({ mammal }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'tree-explorer-result';
+            button.textContent = mammal.common_name
+                ? `${mammal.common_name} (${mammal.scientific_name})`
+                : mammal.scientific_name;
+            button.addEventListener('click', () => {
+                this.results.innerHTML = '';
+                this.searchInput.value = mammal.common_name || mammal.scientific_name;
+                this.locate(mammal.id);
+            });
+            this.results.appendChild(button);
+        });
+    }
+
+    bindDrag() {
+        let press = null;
+
+        this.svg.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            press = {
+                target: e.target,
+                clientX: e.clientX,
+                clientY: e.clientY,
+                point: this.toViewBoxPoint(e),
+                view: { ...this.view },
+                dragging: false
+            };
+            this.svg.setPointerCapture(e.pointerId);
+        });
+
+        this.svg.addEventListener('pointermove', (e) => {
+            if (!press) return;
+            if (!press.dragging && Math.hypot(e.clientX - press.clientX, e.clientY - press.clientY) < DRAG_THRESHOLD_PX) {
+                return;
+            }
+            press.dragging = true;
+            this.svg.classList.add('dragging');
+            const [x, y] = this.toViewBoxPoint(e);
+            this.view.x = press.view.x + (x - press.point[0]);
+            this.view.y = press.view.y + (y - press.point[1]);
+            this.applyView();
+        });
+
+        const release = (e) => {
+            if (!press) return;
+            const { target, dragging } = press;
+            press = null;
+            this.svg.classList.remove('dragging');
+            if (this.svg.hasPointerCapture(e.pointerId)) this.svg.releasePointerCapture(e.pointerId);
+            // Pointer capture retargets the release, so the press target is used
+            if (!dragging && e.type === 'pointerup') this.handleClick(target, e);
+        };
+        this.svg.addEventListener('pointerup', release);
+        this.svg.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * A click on a tip opens it; a click on a branching point or wedge
+     * collapses or expands the clade
+     */
+    handleClick(target, e) {
+        const node = target?.dataset?.node !== undefined
+            ? this.nodes[Number(target.dataset.node)]
+            : this.findNodeAt(e);
+        if (!node) return;
+
+        if (node.children.length === 0) {
+            if (node.mammalId !== null && this.onTipClick) this.onTipClick(node.mammalId);
+        } else {
+            this.toggle(node);
+        }
+    }
+
+    /**
+     * Nearest visible node within reach of the pointer
+     */
+    findNodeAt(e) {
+        const ctm = this.svg.getScreenCTM();
+        if (!ctm || !this.visibleNodes) return null;
+        const [vx, vy] = this.toViewBoxPoint(e);
+        const x = (vx - this.view.x) / this.view.scale;
+        const y = (vy - this.view.y) / this.view.scale;
+        const reach = HIT_RADIUS_PX / (ctm.a * this.view.scale);
+
+        let nearest = null;
+        let nearestDistance = reach;
+        this.visibleNodes.forEach(node => {
+            const [nx, ny] = polar(node.radius, node.angle);
+            const distance = Math.hypot(nx - x, ny - y);
+            if (distance <= nearestDistance) {
+                nearest = node;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    toViewBoxPoint(e) {
+        const ctm = this.svg.getScreenCTM();
+        if (!ctm) return [0, 0];
+        const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+        return [point.x, point.y];
+    }
+
+    /**
+     * Zoom by a factor, keeping a point of the view box in place
+     */
+    zoomAt(x, y, factor) {
+        const scale = Math.max(ZOOM_LIMITS.min, Math.min(ZOOM_LIMITS.max, this.view.scale * factor));
+        const ratio = scale / this.view.scale;
+        this.view = {
+            scale,
+            x: x - ratio * (x - this.view.x),
+            y: y - ratio * (y - this.view.y)
+        };
+        this.applyView();
+    }
+
+    resetView() {
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.applyView();
+    }
+
+    applyView() {
+        const { scale, x, y } = this.view;
+        this.viewport.setAttribute('transform', `translate(${x.toFixed(2)},${y.toFixed(2)}) scale(${scale.toFixed(4)})`);
+    }
+}
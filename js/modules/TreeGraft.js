@@ -0,0 +1,117 @@
+/**
+ * TreeGraft.js
+ * Attach dataset species that have no tip in the tree, using taxonomy
+ *
+ * A missing species is placed at the most recent common ancestor of its
+ * congeners, or of its confamilials (then its order) when the genus is not
+ * in the tree. The new tip is given a branch reaching the present day, so
+ * distances to it are on the same scale as every other tip. A single
+ * relative has its branch split halfway and the species attached as its
+ * sister.
+ */
+
+import { TreeNode } from './PhyloTree.js';
+
+// Taxonomic levels tried in order when looking for relatives
+export const GRAFT_LEVELS = ['genus', 'family', 'order'];
+
+// Binomial tip labels (Genus_species); their genus is read from the label
+const BINOMIAL_LABEL = /^([A-Z][a-z]+)[_ ][a-z]/;
+
+function normalizeTaxon(name) {
+    return name ? String(name).trim().toLowerCase() : null;
+}
+
+/**
+ * Graft missing species onto a tree (the tree is changed in place)
+ * @param {Tree} tree
+ * @param {{ label: string, genus: string, family: string, order: string }[]} taxa -
+ *        Dataset species with their taxonomy
+ * @param {Function} findLeaf - Returns the leaf of the tree matching a label, or null
+ * @returns {Map<string, { level: string, relatives: number }>} Grafted labels, with the
+ *          level they were placed at and how many relatives anchored them
+ */
+export function graftMissingTaxa(tree, taxa, findLeaf) {
+    const grafted = new Map();
+    if (!tree?.root || !Array.isArray(taxa) || taxa.length === 0) return grafted;
+
+    // Index the tips already in the tree by genus, family and order
+    const relatives = Object.fromEntries(GRAFT_LEVELS.map(level => [level, new Map()]));
+    const addRelative = (level, name, leaf) => {
+        const key = normalizeTaxon(name);
+        if (!key || !leaf) return;
+        if (!relatives[level].has(key)) relatives[level].set(key, new Set());
+        relatives[level].get(key).add(leaf);
+    };
+
+    tree.leafList.forEach(leaf => {
+        const match = BINOMIAL_LABEL.exec(leaf.label || '');
+        if (match) addRelative('genus', match[1], leaf);
+    });
+
+    const missing = [];
+    const seen = new Set();
+    taxa.forEach(taxon => {
+        if (!taxon?.label || seen.has(taxon.label)) return;
+        seen.add(taxon.label);
+
+        const leaf = findLeaf(taxon.label);
+        if (leaf) {
+            GRAFT_LEVELS.forEach(level => addRelative(level, taxon[level], leaf));
+        } else {
+            missing.push(taxon);
+        }
+    });
+    if (missing.length === 0) return grafted;
+
+    const depths = new Map();
+    tree.nodeList.forEach(node => {
+        depths.set(node, node.parent ? depths.get(node.parent) + (node.branchLength ?? 0) : 0);
+    });
+    const presentDepth = (node) => Math.max(...node.applyPreOrder(child => depths.get(child)));
+
+    // Place every species before changing the tree, so anchors are built
+    // from original tips only (never from other estimated placements)
+    const placements = new Map();
+    missing.forEach(taxon => {
+        for (const level of GRAFT_LEVELS) {
+            const leaves = relatives[level].get(normalizeTaxon(taxon[level]));
+            if (!leaves || leaves.size === 0) continue;
+
+            const anchor = leaves.size === 1 ? [...leaves][0] : tree.getMRCA([...leaves]);
+            if (!anchor || (anchor === tree.root && anchor.isLeaf())) continue;
+
+            if (!placements.has(anchor)) placements.set(anchor, []);
+            placements.get(anchor).push({ taxon, level, relatives: leaves.size });
+            return;
+        }
+        console.warn(`No relatives in the tree to graft ${taxon.label} onto`);
+    });
+
+    placements.forEach((grafts, anchor) => {
+        let attachTo = anchor;
+        let tipLength = presentDepth(anchor) - depths.get(anchor);
+
+        if (anchor.isLeaf()) {
+            // Split the relative's branch halfway and attach the species as its sister
+            const half = (anchor.branchLength ?? 0) / 2;
+            const parent = anchor.parent;
+            const split = new TreeNode({ branchLength: half });
+            parent.children[parent.children.indexOf(anchor)] = split;
+            split.parent = parent;
+            anchor.parent = null;
+            split.addChild(anchor);
+            anchor.branchLength = half;
+            attachTo = split;
+            tipLength = half;
+        }
+
+        grafts.forEach(({ taxon, level, relatives: count }) => {
+            attachTo.addChild(new TreeNode({ label: taxon.label, branchLength: Math.max(0, tipLength) }));
+            grafted.set(taxon.label, { level, relatives: count });
+        });
+    });
+
+    tree.clearCaches();
+    return grafted;
+}
@@ -0,0 +1,256 @@
+/**
+ * TreeSample.js
+ * Pairwise distances and rank uncertainty across a posterior sample of trees
+ *
+ * Each tree is stored compactly as parent indices and root-to-node depths,
+ * so hundreds of trees fit in a few megabytes. A distance query walks from
+ * one leaf to the root and from the other up to the first shared ancestor.
+ */
+
+export const DISTANCE_SUMMARIES = ['mean', 'median'];
+
+/**
+ * Summarize a list of values
+ * @param {ArrayLike<number>} values
+ * @param {string} mode - 'mean' or 'median'
+ * @returns {number}
+ */
+export function summarizeValues(values, mode = 'median') {
+    if (!values || values.length === 0) return NaN;
+
+    if (mode === 'mean') {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return sum / values.length;
+    }
+
+    const sorted = Float64Array.from(values).sort();
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rank values with ties sharing a rank (1 = smallest)
+ * @param {ArrayLike<number>} values
+ * @returns {Int32Array}
+ */
+function competitionRanks(values) {
+    const order = Array.from({ length: values.length }, (_, index) => index)
+        .sort((a, b) => values[a] - values[b]);
+    const ranks = new Int32Array(values.length);
+    for (let k = 0; k < order.length; k++) {
+        const previous = order[k - 1];
+        ranks[order[k]] = k > 0 && Math.abs(values[order[k]] - values[previous]) <= 1e-9
+            ? ranks[previous]
+            : k + 1;
+    }
+    return ranks;
+}
+
+export class TreeSample {
+    constructor() {
+        this.trees = [];
+        this.rowByLabel = new Map();
+        this.labels = [];
+    }
+
+    /**
+     * Number of trees in the sample
+     * @returns {number}
+     */
+    get size() {
+        return this.trees.length;
+    }
+
+    /**
+     * Add a tree. Leaf labels are matched across trees, so every tree
+     * should contain the same taxa.
+     * @param {Tree} tree - Parsed tree (can be discarded afterwards)
+     */
+    addTree(tree) {
+        const nodes = tree.nodeList;
+        const indexByNode = new Map(nodes.map((node, index) => [node, index]));
+        const parents = new Int32Array(nodes.length);
+        const depths = new Float64Array(nodes.length);
+        let height = 0;
+
+        // nodeList is in preorder, so parents come before their children
+        nodes.forEach((node, index) => {
+            const parent = node.parent ? indexByNode.get(node.parent) : -1;
+            parents[index] = parent;
+            depths[index] = parent >= 0 ? depths[parent] + (node.branchLength ?? 0) : 0;
+            if (node.isLeaf()) height = Math.max(height, depths[index]);
+        });
+
+        const leaves = [];
+        nodes.forEach((node, index) => {
+            if (!node.isLeaf() || !node.label) return;
+            if (!this.rowByLabel.has(node.label)) {
+                this.rowByLabel.set(node.label, this.labels.length);
+                this.labels.push(node.label);
+            }
+            leaves.push([this.rowByLabel.get(node.label), index]);
+        });
+
+        const leafNodes = new Int32Array(this.labels.length).fill(-1);
+        leaves.forEach(([row, index]) => {
+            leafNodes[row] = index;
+        });
+
+        // Labels first seen in this tree are missing from the earlier ones
+        this.trees.forEach(existing => {
+            if (existing.leafNodes.length < this.labels.length) {
+                const grown = new Int32Array(this.labels.length).fill(-1);
+                grown.set(existing.leafNodes);
+                existing.leafNodes = grown;
+            }
+        });
+
+        this.trees.push({ parents, depths, height, leafNodes, marks: new Uint8Array(nodes.length) });
+    }
+
+    /**
+     * Plain structured-cloneable copy of the sample (e.g. for IndexedDB)
+     * @returns {{ labels: string[], trees: Object[] }}
+     */
+    toData() {
+        return {
+            labels: this.labels,
+            trees: this.trees.map(({ parents, depths, height, leafNodes }) => ({ parents, depths, height, leafNodes }))
+        };
+    }
+
+    /**
+     * Rebuild a sample from toData output
+     * @param {{ labels: string[], trees: Object[] }} data
+     * @returns {TreeSample}
+     */
+    static fromData(data) {
+        const sample = new TreeSample();
+        sample.labels = [...data.labels];
+        sample.labels.forEach((label, row) => sample.rowByLabel.set(label, row));
+        sample.trees = data.trees.map(tree => ({ ...tree, marks: new Uint8Array(tree.parents.length) }));
+        return sample;
+    }
+
+    /**
+     * Whether a leaf label is in the sample
+     * @param {string} label
+     * @returns {boolean}
+     */
+    has(label) {
+        return this.rowByLabel.has(label);
+    }
+
+    /**
+     * Path length from one leaf to several others, for each tree
+     * @param {string} label - Leaf label
+     * @param {string[]} others - Leaf labels
+     * @returns {Float64Array[]|null} One array per tree, parallel to others (NaN if missing)
+     */
+    distancesFrom(label, others) {
+        const row = this.rowByLabel.get(label);
+        if (row === undefined) return null;
+        const otherRows = others.map(other => this.rowByLabel.get(other) ?? -1);
+
+        return this.trees.map(tree => {
+            const result = new Float64Array(others.length).fill(NaN);
+            const start = tree.leafNodes[row];
+            if (start < 0) return result;
+
+            // Mark the path from the leaf to the root
+            const { parents, depths, marks, leafNodes } = tree;
+            marks.fill(0);
+            for (let node = start; node >= 0; node = parents[node]) marks[node] = 1;
+
+            otherRows.forEach((otherRow, k) => {
+                let node = otherRow >= 0 ? leafNodes[otherRow] : -1;
+                if (node < 0) return;
+                const leafDepth = depths[node];
+                while (!marks[node]) node = parents[node];
+                result[k] = depths[start] + leafDepth - 2 * depths[node];
+            });
+            return result;
+        });
+    }
+
+    /**
+     * Path lengths between two leaves across the sample
+     * @param {string} labelA
+     * @param {string} labelB
+     * @returns {Float64Array|null}
+     */
+    distances(labelA, labelB) {
+        const perTree = this.distancesFrom(labelA, [labelB]);
+        if (!perTree) return null;
+        const values = Float64Array.from(perTree.map(values => values[0])).filter(Number.isFinite);
+        return values.length > 0 ? values : null;
+    }
+
+    /**
+     * Age of the most recent common ancestor of two leaves across the sample
+     * (each tree's deepest tip is the present day)
+     * @param {string} labelA
+     * @param {string} labelB
+     * @returns {Float64Array|null}
+     */
+    mrcaAges(labelA, labelB) {
+        const perTree = this.distancesFrom(labelA, [labelB]);
+        if (!perTree) return null;
+
+        const rowA = this.rowByLabel.get(labelA);
+        const rowB = this.rowByLabel.get(labelB);
+        const ages = [];
+        perTree.forEach((values, t) => {
+            if (!Number.isFinite(values[0])) return;
+            const tree = this.trees[t];
+            // distance = depth(a) + depth(b) - 2 * depth(mrca)
+            const depthA = tree.depths[tree.leafNodes[rowA]];
+            const depthB = tree.depths[tree.leafNodes[rowB]];
+            const mrcaDepth = (depthA + depthB - values[0]) / 2;
+            ages.push(Math.max(0, tree.height - mrcaDepth));
+        });
+        return ages.length > 0 ? Float64Array.from(ages) : null;
+    }
+
+    /**
+     * How stable each candidate's rank (by distance to the target) is across the sample
+     * @param {string} target - Target leaf label
+     * @param {string[]} candidates - Leaf labels (the target is skipped)
+     * @param {string} mode - Summary used for the consensus ranking
+     * @returns {Map<string, { rank: number, rankMin: number, rankMax: number, changeRate: number }>}
+     */
+    rankUncertainty(target, candidates, mode = 'median') {
+        const others = candidates.filter(label => label !== target && this.has(label));
+        const perTree = this.distancesFrom(target, others);
+        const stats = new Map();
+        if (!perTree || others.length === 0) return stats;
+
+        const summary = others.map((_, k) => summarizeValues(
+            perTree.map(values => values[k]).filter(Number.isFinite), mode
+        ));
+        const consensus = competitionRanks(summary);
+        const rankMin = Int32Array.from(consensus);
+        const rankMax = Int32Array.from(consensus);
+        const changes = new Int32Array(others.length);
+
+        perTree.forEach(values => {
+            const ranks = competitionRanks(values.map(value => (Number.isFinite(value) ? value : Infinity)));
+            for (let k = 0; k < others.length; k++) {
+                if (ranks[k] !== consensus[k]) changes[k]++;
+                if (ranks[k] < rankMin[k]) rankMin[k] = ranks[k];
+                if (ranks[k] > rankMax[k]) rankMax[k] = ranks[k];
+            }
+        });
+
+        others.forEach((label, k) => {
+            stats.set(label, {
+                rank: consensus[k],
+                rankMin: rankMin[k],
+                rankMax: rankMax[k],
+                changeRate: changes[k] / perTree.length
+            });
+        });
+        return stats;
+    }
+}
@@ -3,7 +3,14 @@
  * Module for UI rendering and DOM manipulation
  */
 
-import { getPrimaryImageUrl } from './MammalData.js';
+import { PLACEHOLDER_IMAGE } from './OfflineSupport.js';
+import { ImageCarousel, ImageMemory } from './ImageCarousel.js';
+import {
+    getGuessComparison,
+    formatDivergenceTime,
+    describeRankUncertainty,
+    describePlacementEstimate
+} from './GuessFeedback.js';
 
 /**
  * UIRenderer class handles all DOM manipulation and UI updates
@@ -11,6 +18,15 @@ import { getPrimaryImageUrl } from './MammalData.js';
 export class UIRenderer {
     constructor() {
         this.previewTimeout = null;
+
+        // Which species images work, and credits for individual images
+        this.imageMemory = new ImageMemory();
+        this.imageAttributions = {};
+
+        // Typed-guess autocomplete state
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.guessEntryCallbacks = null;
     }
 
     // ==================== Screen Management ====================
@@ -66,16 +82,14 @@ export class UIRenderer {
         if (!modal || !title || !body) return;
         
         title.textContent = mammal.common_name;
+        title.insertAdjacentHTML('beforeend', this.extinctMarkerHtml(mammal));
         
         body.innerHTML = `
             <div class="mammal-info-content">
                 <div class="mammal-info-image">
-                    <img src="${getPrimaryImageUrl(mammal) || 'placeholder.jpg'}" 
-                         alt="${mammal.common_name}"
-                         onerror="this.onerror=null; this.src='placeholder.jpg';">
-                    ${mammal.image_source ? `<div class="image-credit">Image: ${mammal.image_source}</div>` : ''}
+                    <div class="image-carousel" id="mammal-info-carousel"></div>
                 </div>
-                <div class="mammal-info-details">
+                <div class="mammal-info-details" data-mammal-id="${mammal.id}">
                     <div class="info-row">
                         <strong>Scientific Name:</strong> <em>${mammal.scientific_name}</em>
                     </div>
@@ -85,6 +99,12 @@ export class UIRenderer {
                     <div class="info-row">
                         <strong>Order:</strong> ${this.formatTaxonLabel(mammal.order)}
                     </div>
+                    ${mammal.extinct ? `
+                    <div class="info-row">
+                        <strong>Status:</strong> Extinct${Number.isFinite(mammal.age_ma) ? `, about ${mammal.age_ma} million years ago` : ''}
+                    </div>
+                    ${mammal.description ? `<p class="info-description">${mammal.description}</p>` : ''}
+                    ` : ''}
                     <div class="external-links">
                         ${mammal.gbif_id ? `<a href="https://www.gbif.org/species/${mammal.gbif_id}" target="_blank" class="external-link">View on GBIF</a>` : ''}
                         ${mammal.inaturalist_id ? `<a href="https://www.inaturalist.org/taxa/${mammal.inaturalist_id}" target="_blank" class="external-link">View on iNaturalist</a>` : ''}
@@ -92,23 +112,95 @@ export class UIRenderer {
                 </div>
             </div>
         `;
+
+        new ImageCarousel(document.getElementById('mammal-info-carousel'), {
+            urls: this.imageMemory.getUrls(mammal),
+            alt: mammal.common_name,
+            attributions: this.imageAttributions,
+            onLoad: (url) => this.imageMemory.markWorking(mammal, url),
+            onError: (url) => this.imageMemory.markDead(url)
+        });
         
         modal.style.display = 'flex';
     }
 
+    /**
+     * List the closest relatives of the mammal in the info modal, unless the
+     * modal has moved on to another mammal
+     * @param {Object} mammal
+     * @param {{ mammal: Object, divergenceMa: number|null }[]} relatives - Closest first
+     * @param {Function} onSelect - Called with a relative's mammal when it is clicked
+     */
+    showClosestRelatives(mammal, relatives, onSelect) {
+        const details = document.querySelector('#mammal-info-body .mammal-info-details');
+        if (!details || details.dataset.mammalId !== String(mammal.id) || relatives.length === 0) return;
+
+        const row = document.createElement('div');
+        row.className = 'info-row info-relatives';
+        row.innerHTML = '<strong>Closest relatives:</strong>';
+        const list = document.createElement('ul');
+        relatives.forEach(({ mammal: relative, divergenceMa }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'info-relative';
+            link.textContent = relative.common_name || relative.scientific_name;
+            link.addEventListener('click', () => onSelect(relative));
+            item.appendChild(link);
+            const age = formatDivergenceTime(divergenceMa);
+            if (age) item.append(` · split ${age}`);
+            list.appendChild(item);
+        });
+        row.appendChild(list);
+        details.insertBefore(row, details.querySelector('.external-links'));
+    }
+
+    /**
+     * Set the credits for individual images shown under the carousel
+     * @param {Object} attributions - Entries by image URL (see loadImageAttributions)
+     */
+    setImageAttributions(attributions) {
+        this.imageAttributions = attributions || {};
+    }
+
+    /**
+     * Show the notice that today's daily challenge was already attempted
+     * @param {string} dateKey - Date of the daily challenge (YYYY-MM-DD)
+     * @param {Object|null} entry - Stored attempt { status, guessCount }
+     */
+    showDailyLockedModal(dateKey, entry) {
+        const body = document.getElementById('daily-locked-body');
+        if (!body) return;
+
+        let outcome = 'You started this round but did not finish it.';
+        if (entry?.status === 'won') {
+            outcome = `You found it in ${entry.guessCount} ${entry.guessCount === 1 ? 'guess' : 'guesses'}.`;
+        } else if (entry?.status === 'lost') {
+            outcome = 'The mystery mammal got away this time.';
+        }
+
+        body.innerHTML = `
+            <p>You have already played the Daily Mystery for <strong>${dateKey}</strong>.</p>
+            <p>${outcome}</p>
+            <p>A new Daily Mystery is available tomorrow. Until then, try a regular game!</p>
+        `;
+
+        this.showModal('daily-locked-modal');
+    }
+
     // ==================== Image Preview ====================
 
     /**
      * Show image preview on hover
      * @param {Object} mammal - Mammal data
+     * @param {string|null} imageUrl - Image to show (defaults to the species' best image)
      */
-    showPreview(mammal) {
+    showPreview(mammal, imageUrl = this.imageMemory.getUrl(mammal)) {
         const imageContainer = document.getElementById('imagecontainer');
         if (!imageContainer) return;
         
         imageContainer.classList.add('loading');
-        const imageUrl = getPrimaryImageUrl(mammal);
-        const fallbackDataUrl = "url('placeholder.jpg')";
+        const fallbackDataUrl = `url('${PLACEHOLDER_IMAGE}')`;
         
         if (!imageUrl) {
             imageContainer.style.backgroundImage = fallbackDataUrl;
@@ -121,11 +213,13 @@ export class UIRenderer {
         img.onload = () => {
             imageContainer.style.backgroundImage = `url('${imageUrl}')`;
             imageContainer.classList.remove('loading');
+            this.imageMemory.markWorking(mammal, imageUrl);
         };
         
         img.onerror = () => {
             imageContainer.style.backgroundImage = fallbackDataUrl;
             imageContainer.classList.remove('loading');
+            this.imageMemory.markDead(imageUrl);
         };
         
         img.src = imageUrl;
@@ -146,12 +240,13 @@ export class UIRenderer {
      * Preload images for better performance
      * @param {Object[]} mammals - Array of mammals
      * @param {number} count - Number of images to preload
+     * @param {Function} getImageUrl - Image of a mammal to preload (defaults to its best image)
      */
-    preloadImages(mammals, count = 20) {
+    preloadImages(mammals, count = 20, getImageUrl = (mammal) => this.imageMemory.getUrl(mammal)) {
         const imagesToPreload = mammals.slice(0, count);
         
         imagesToPreload.forEach(mammal => {
-            const imageUrl = getPrimaryImageUrl(mammal);
+            const imageUrl = getImageUrl(mammal);
             if (imageUrl) {
                 const img = new Image();
                 img.src = imageUrl;
@@ -181,24 +276,40 @@ export class UIRenderer {
     }
 
     /**
-     * Clear all guess displays
+     * Build the guess board: one slot per guess, split across the left and
+     * right columns (left column gets the extra slot for odd budgets)
      * @param {number} maxGuesses 
      */
-    clearGuessDisplays(maxGuesses) {
-        for (let i = 1; i <= maxGuesses; i++) {
-            const guessElement = document.getElementById(`try${i}`);
-            const distanceElement = document.getElementById(`distance${i}`);
+    buildGuessBoard(maxGuesses) {
+        const left = document.getElementById('guess-column-left');
+        const right = document.getElementById('guess-column-right');
+        if (!left || !right) return;
 
-            if (guessElement) {
-                guessElement.innerHTML = '';
-            }
+        left.innerHTML = '';
+        right.innerHTML = '';
 
-            if (distanceElement) {
-                distanceElement.textContent = '';
-                distanceElement.style.visibility = 'hidden';
-                distanceElement.classList.remove('green', 'yellow', 'red');
-            }
+        const leftCount = Math.ceil(maxGuesses / 2);
+        const dense = leftCount > 5;
+        left.classList.toggle('dense', dense);
+        right.classList.toggle('dense', dense);
+
+        for (let i = 1; i <= maxGuesses; i++) {
+            const container = document.createElement('div');
+            container.className = 'guess-container';
+            container.innerHTML = `
+                <div class="guess" id="try${i}"></div>
+                <div class="distance" id="distance${i}"></div>
+            `;
+            (i <= leftCount ? left : right).appendChild(container);
         }
+    }
+
+    /**
+     * Clear all guess displays
+     * @param {number} maxGuesses 
+     */
+    clearGuessDisplays(maxGuesses) {
+        this.buildGuessBoard(maxGuesses);
 
         const guessesGrid = document.getElementById('guesses-grid');
         if (guessesGrid) {
@@ -213,7 +324,8 @@ export class UIRenderer {
      * @param {number|null} rank 
      * @param {number} totalRanks
         * @param {number} tieSize
-      * @param {{ isCorrect?: boolean, comparison?: 'green'|'red'|'neutral' }} feedback
+      * @param {{ isCorrect?: boolean, comparison?: 'green'|'red'|'neutral', detail?: 'full'|'rank'|'direction',
+      *          divergenceMa?: number|null }} feedback
      * @param {Function} onHover 
      * @param {Function} onClick 
      */
@@ -221,14 +333,20 @@ export class UIRenderer {
         const guessElement = document.getElementById(`try${guessNumber}`);
         const distanceElement = document.getElementById(`distance${guessNumber}`);
           const isCorrect = !!feedback?.isCorrect;
-          const comparison = feedback?.comparison || 'neutral';
+          const detail = feedback?.detail || 'full';
+          // 'rank' feedback hides the closer/farther colour
+          const comparison = (detail === 'rank' && !isCorrect) ? 'neutral' : (feedback?.comparison || 'neutral');
         
         if (guessElement) {
             guessElement.innerHTML = '';
             
             const mammalCard = document.createElement('div');
             mammalCard.className = 'guessed-mammal-card';
-            mammalCard.textContent = mammal.common_name;
+            const name = document.createElement('span');
+            name.className = 'guess-name';
+            name.textContent = mammal.common_name;
+            name.insertAdjacentHTML('beforeend', this.extinctMarkerHtml(mammal));
+            mammalCard.appendChild(name);
             mammalCard.style.cursor = 'pointer';
             mammalCard.title = `Click to view ${mammal.common_name} details`;
             
@@ -247,12 +365,36 @@ export class UIRenderer {
         if (distanceElement) {
             if (isCorrect) {
                 distanceElement.textContent = 'Perfect!';
+            } else if (detail === 'direction') {
+                // 'direction' feedback hides the rank
+                const labels = { green: 'Closer', red: 'Farther', neutral: '—' };
+                distanceElement.textContent = labels[comparison] || '—';
             } else if (rank !== null && rank !== undefined) {
                 const tie = (typeof tieSize === 'number' && tieSize > 1) ? ` (tied)` : '';
                 distanceElement.textContent = `#${rank}${tie}`;
             } else {
                 distanceElement.textContent = 'No data';
             }
+
+            // Shared-ancestor age is part of the full feedback only
+            const age = detail === 'full' && !isCorrect ? formatDivergenceTime(feedback?.divergenceMa) : '';
+            distanceElement.title = age ? `Shared ancestor about ${age.replace('Mya', 'million years ago')}` : '';
+            if (age) {
+                const ageElement = document.createElement('span');
+                ageElement.className = 'distance-age';
+                ageElement.textContent = age;
+                distanceElement.appendChild(ageElement);
+            }
+
+            // Ranks that rely on a grafted (estimated) tree placement are flagged
+            const estimate = isCorrect ? '' : describePlacementEstimate(feedback?.placementEstimate);
+            if (estimate) {
+                const estimateElement = document.createElement('span');
+                estimateElement.className = 'distance-estimated';
+                estimateElement.textContent = 'placement estimated';
+                estimateElement.title = estimate;
+                distanceElement.appendChild(estimateElement);
+            }
             distanceElement.style.visibility = 'visible';
             
             distanceElement.classList.remove('green', 'yellow', 'red', 'neutral');
@@ -262,6 +404,35 @@ export class UIRenderer {
         }
     }
 
+    /**
+     * Show the lowest rank (and named clade) a guess shares with the target
+     * @param {number} guessNumber
+     * @param {{ level: string, name: string|null, clade: string|null }} shared - From CladeIndex.describe
+     */
+    updateGuessTaxon(guessNumber, shared) {
+        const card = document.querySelector(`#try${guessNumber} .guessed-mammal-card`);
+        if (!card || !shared || shared.level === 'species') return;
+
+        const levelLabels = { genus: 'Genus', family: 'Family', order: 'Order' };
+        const parts = [];
+        if (levelLabels[shared.level]) {
+            const name = shared.level === 'genus' ? shared.name : this.formatTaxonLabel(shared.name);
+            parts.push(`${levelLabels[shared.level]} ${name}`);
+        }
+        if (shared.clade) {
+            parts.push(shared.clade);
+        } else if (shared.level === 'class' && shared.name) {
+            parts.push(shared.name);
+        }
+        if (parts.length === 0) return;
+
+        const tag = document.createElement('span');
+        tag.className = `guess-taxon taxon-${shared.level}`;
+        tag.textContent = parts.join(' · ');
+        tag.title = 'Lowest group shared with the mystery mammal';
+        card.appendChild(tag);
+    }
+
     getRankColorClass(rank, total) {
         if (rank === 1) return 'green';
         if (rank === null || rank === undefined) return 'yellow';
@@ -299,6 +470,10 @@ export class UIRenderer {
         sortedOptions.forEach(mammal => {
             const button = document.createElement('button');
             button.textContent = mammal.common_name;
+            if (mammal.extinct) {
+                button.classList.add('extinct-option');
+                button.insertAdjacentHTML('beforeend', this.extinctMarkerHtml(mammal));
+            }
             buttonMap.set(mammal.id, button);
             
             if (guessedIds.has(mammal.id)) {
@@ -322,6 +497,193 @@ export class UIRenderer {
         return buttonMap;
     }
 
+    // ==================== Typed Guess Entry ====================
+
+    /**
+     * Show either the option grid or the typed-guess input
+     * @param {'grid'|'text'} mode - Input mode
+     * @param {Object} options
+     * @param {boolean} options.locked - Disable switching (open-pool rounds are text only)
+     * @param {boolean} options.openPool - Current state of the open-pool checkbox
+     */
+    setInputMode(mode, { locked = false, openPool = false } = {}) {
+        const entry = document.getElementById('guess-entry');
+        const grid = document.getElementById('options-grid');
+        const toggle = document.getElementById('input-mode-toggle');
+        const openPoolToggle = document.getElementById('open-pool-toggle');
+        const isText = mode === 'text';
+
+        if (entry) entry.hidden = !isText;
+        if (grid) grid.hidden = isText;
+        if (toggle) {
+            toggle.textContent = isText ? 'Show option grid' : 'Type a guess';
+            toggle.disabled = locked;
+        }
+        if (openPoolToggle) openPoolToggle.checked = openPool;
+
+        this.clearGuessEntry();
+        if (isText) {
+            document.getElementById('guess-input')?.focus();
+        }
+    }
+
+    /**
+     * Enable or disable the option grid and the typed-guess input (disabled
+     * while the round is being ranked)
+     * @param {boolean} enabled
+     */
+    setGuessingEnabled(enabled) {
+        const area = document.getElementById('answer-area');
+        const entry = document.getElementById('guess-entry');
+        const input = document.getElementById('guess-input');
+
+        area?.classList.toggle('round-preparing', !enabled);
+        area?.setAttribute('aria-busy', enabled ? 'false' : 'true');
+        document.querySelectorAll('#options-grid button').forEach(button => {
+            button.disabled = !enabled;
+        });
+        if (input) {
+            input.disabled = !enabled;
+            if (enabled && entry && !entry.hidden) input.focus();
+        }
+    }
+
+    /**
+     * Bind keyboard and mouse handling for the typed-guess input
+     * @param {Object} callbacks - { onQuery(query) -> results, onSubmit(mammal), onHover(mammal), onToggleMode(), onToggleOpenPool(checked) }
+     */
+    bindGuessEntry(callbacks) {
+        this.guessEntryCallbacks = callbacks;
+        const input = document.getElementById('guess-input');
+        const list = document.getElementById('guess-suggestions');
+
+        document.getElementById('input-mode-toggle')?.addEventListener('click', () => callbacks.onToggleMode?.());
+        document.getElementById('open-pool-toggle')?.addEventListener('change', (e) => {
+            callbacks.onToggleOpenPool?.(e.target.checked);
+        });
+
+        if (!input || !list) return;
+
+        input.addEventListener('input', () => {
+            this.renderGuessSuggestions(callbacks.onQuery?.(input.value) || []);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.suggestions.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.suggestions.length;
+                this.setActiveSuggestion((this.activeSuggestion + step + count) % count);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const choice = this.suggestions[Math.max(0, this.activeSuggestion)];
+                if (choice) this.submitSuggestion(choice.mammal);
+            } else if (e.key === 'Escape') {
+                this.clearGuessEntry();
+            }
+        });
+
+        // "/" jumps to the input from anywhere on the game screen
+        document.addEventListener('keydown', (e) => {
+            const entry = document.getElementById('guess-entry');
+            if (e.key !== '/' || !entry || entry.hidden || document.activeElement === input) return;
+            if (!document.getElementById('game-screen')?.classList.contains('active')) return;
+            e.preventDefault();
+            input.focus();
+        });
+    }
+
+    /**
+     * Render autocomplete suggestions
+     * @param {Object[]} results - Results from NameSearchIndex.search
+     */
+    renderGuessSuggestions(results) {
+        const input = document.getElementById('guess-input');
+        const list = document.getElementById('guess-suggestions');
+        if (!list) return;
+
+        this.suggestions = results;
+        list.innerHTML = '';
+
+        results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'guess-suggestion';
+            item.id = `guess-suggestion-${index}`;
+            item.setAttribute('role', 'option');
+
+            const name = document.createElement('span');
+            name.textContent = result.mammal.common_name;
+            name.insertAdjacentHTML('beforeend', this.extinctMarkerHtml(result.mammal));
+            item.appendChild(name);
+
+            if (result.matchedName !== result.mammal.common_name) {
+                const alt = document.createElement('span');
+                alt.className = 'guess-suggestion-alt';
+                alt.textContent = result.matchedName;
+                item.appendChild(alt);
+            }
+
+            item.addEventListener('mouseenter', () => this.guessEntryCallbacks?.onHover?.(result.mammal));
+            item.addEventListener('mouseleave', () => this.hidePreview());
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.submitSuggestion(result.mammal);
+            });
+
+            list.appendChild(item);
+        });
+
+        if (input) input.setAttribute('aria-expanded', results.length > 0 ? 'true' : 'false');
+        this.setActiveSuggestion(results.length > 0 ? 0 : -1);
+    }
+
+    /**
+     * Highlight a suggestion
+     * @param {number} index
+     */
+    setActiveSuggestion(index) {
+        const input = document.getElementById('guess-input');
+        this.activeSuggestion = index;
+
+        document.querySelectorAll('#guess-suggestions .guess-suggestion').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (input) {
+            if (index >= 0) {
+                input.setAttribute('aria-activedescendant', `guess-suggestion-${index}`);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        const active = this.suggestions[index];
+        if (active) this.guessEntryCallbacks?.onHover?.(active.mammal);
+    }
+
+    /**
+     * Submit a suggestion as a guess and reset the input
+     * @param {Object} mammal
+     */
+    submitSuggestion(mammal) {
+        this.clearGuessEntry();
+        this.guessEntryCallbacks?.onSubmit?.(mammal);
+        document.getElementById('guess-input')?.focus();
+    }
+
+    /**
+     * Clear the typed-guess input and its suggestions
+     */
+    clearGuessEntry() {
+        const input = document.getElementById('guess-input');
+        if (input) input.value = '';
+        this.renderGuessSuggestions([]);
+    }
+
     /**
      * Remove an option button from the grid
      * @param {*} mammalId 
@@ -345,6 +707,9 @@ export class UIRenderer {
         const optionsGrid = document.getElementById('options-grid');
         if (!optionsGrid) return;
 
+        document.getElementById('answer-area')?.classList.add('post-result-mode');
+        this.clearGuessEntry();
+        optionsGrid.hidden = false;
         optionsGrid.classList.add('post-result-mode');
         optionsGrid.innerHTML = `
             <p class="post-result-note">Round complete! Choose what you would like to do next.</p>
@@ -379,6 +744,55 @@ export class UIRenderer {
         if (optionsGrid) {
             optionsGrid.classList.remove('post-result-mode');
         }
+        document.getElementById('answer-area')?.classList.remove('post-result-mode');
+    }
+
+    // ==================== Hints ====================
+
+    /**
+     * Show the revealed hints and update the hint button
+     * @param {Object[]} revealed - Revealed hints, in order
+     * @param {Object|null} next - Next hint (null when the ladder is exhausted)
+     * @param {Object} options
+     * @param {boolean} options.affordable - Whether the guess budget covers the next hint
+     */
+    renderHints(revealed, next, { affordable = true } = {}) {
+        const list = document.getElementById('hint-list');
+        if (list) {
+            list.innerHTML = '';
+            revealed.forEach(hint => {
+                const item = document.createElement('li');
+                item.className = `hint-item hint-${hint.category}`;
+                item.textContent = hint.text;
+                list.appendChild(item);
+            });
+            list.hidden = revealed.length === 0;
+        }
+
+        const button = document.getElementById('hint-button');
+        if (!button) return;
+        if (!next) {
+            button.textContent = 'No more hints';
+            button.disabled = true;
+            button.title = '';
+        } else {
+            const cost = `${next.cost} ${next.cost === 1 ? 'guess' : 'guesses'}`;
+            button.textContent = `Hint (costs ${cost})`;
+            button.disabled = !affordable;
+            button.title = affordable ? '' : 'Not enough guesses left for this hint';
+        }
+    }
+
+    /**
+     * Mark the last guess slots as spent on hints
+     * @param {number} maxGuesses - Guess slots on the board
+     * @param {number} spent - Slots spent on hints
+     */
+    markSpentSlots(maxGuesses, spent) {
+        for (let i = 1; i <= maxGuesses; i++) {
+            const slot = document.getElementById(`try${i}`)?.parentElement;
+            slot?.classList.toggle('hint-spent', i > maxGuesses - spent);
+        }
     }
 
     // ==================== Result Modal ====================
@@ -388,9 +802,10 @@ export class UIRenderer {
      * @param {boolean} won - Whether the player won
      * @param {Object} target - Target mammal
      * @param {Object[]} guesses - Array of guesses
+     * @param {Object} details - Extra round details ({ stats, targetImageUrl })
      * @param {Object} callbacks - Callback functions
      */
-    showResultModal(won, target, guesses, callbacks) {
+    showResultModal(won, target, guesses, details, callbacks) {
         const modal = document.getElementById('result-modal');
         const content = document.getElementById('result-content');
         const title = document.getElementById('result-modal-title');
@@ -409,35 +824,21 @@ export class UIRenderer {
             content.innerHTML = ``;
         }
         
-        const EPS = 1e-9;
-        const guessClassForIndex = (index) => {
-            const g = guesses?.[index];
-            if (!g) return 'neutral';
-            if (g.mammal?.id === target.id) return 'perfect-match';
-            if (index <= 0) return 'neutral';
-
-            const prev = guesses?.[index - 1];
-            const prevDistance = prev?.distance;
-            const currentDistance = g?.distance;
-
-            if (!Number.isFinite(prevDistance) || !Number.isFinite(currentDistance)) return 'neutral';
-            if (currentDistance < prevDistance - EPS) return 'green';
-            if (currentDistance > prevDistance + EPS) return 'red';
-            return 'neutral';
-        };
-
         const guessesHtml = (Array.isArray(guesses) ? guesses : []).map((guess, index) => {
-            const cls = guessClassForIndex(index);
+            const cls = getGuessComparison(guesses, index, target.id);
             const rankText = (guess.mammal?.id === target.id)
                 ? 'Perfect!'
                 : (guess.rank ? `#${guess.rank}${(guess.tieSize && guess.tieSize > 1) ? ' (tied)' : ''}` : '—');
+            const age = guess.mammal?.id === target.id ? '' : formatDivergenceTime(guess.divergenceMa);
+            const uncertain = describeRankUncertainty(guess.rankUncertainty);
+            const estimate = guess.mammal?.id === target.id ? '' : describePlacementEstimate(guess.placementEstimate);
 
             return `
                 <div class="result-guess ${cls}" 
                      data-guess-index="${index}" 
                      style="cursor: pointer;">
                     <span>${guess.mammal.common_name}</span>
-                    <span>${rankText}</span>
+                    <span>${rankText}${uncertain ? ` <span class="result-guess-uncertain" title="${uncertain}">±</span>` : ''}${estimate ? ` <span class="result-guess-estimated" title="${estimate}">~</span>` : ''}${age ? ` <span class="result-guess-age" title="Shared ancestor with the mystery mammal">· ${age}</span>` : ''}</span>
                 </div>
             `;
         }).join('');
@@ -445,13 +846,13 @@ export class UIRenderer {
         content.innerHTML += `
             <div class="result-target">
                 <div class="result-target-image info-link" role="button" tabindex="0" id="result-target-image">
-                    <img src="${getPrimaryImageUrl(target) || 'placeholder.jpg'}" 
+                    <img src="${details.targetImageUrl || this.imageMemory.getUrl(target) || PLACEHOLDER_IMAGE}" 
                         alt="${target.common_name}"
-                        onerror="this.onerror=null; this.src='placeholder.jpg';">
+                        onerror="this.onerror=null; this.src='${PLACEHOLDER_IMAGE}';">
                 </div>
                 <div class="result-target-info">
                     <h3 class="info-link" role="button" tabindex="0" id="result-target-name">
-                        ${target.common_name}
+                        ${target.common_name}${this.extinctMarkerHtml(target)}
                     </h3>
                     <p><em>${target.scientific_name}</em></p>
                     <p>Family: ${this.formatTaxonLabel(target.family)}</p>
@@ -468,11 +869,21 @@ export class UIRenderer {
             </div>
             ` : ''}
             
+            ${details?.stats ? `
+            <div class="result-stats">
+                <span>Played: ${details.stats.played}</span>
+                <span>Win rate: ${Math.round(details.stats.winRate * 100)}%</span>
+                <span>Streak: ${details.stats.currentStreak}</span>
+            </div>
+            ` : ''}
+            
             <div class="result-actions">
                 <button class="btn btn-primary" id="result-play-again">Play Again</button>
                 <button class="btn btn-secondary" id="result-view-graph">View Round Graph</button>
+                <button class="btn btn-secondary" id="result-share">Share</button>
                 <button class="btn btn-secondary" id="result-main-menu">Main Menu</button>
             </div>
+            <p class="share-status" id="result-share-status" aria-live="polite"></p>
         `;
         
         modal.style.display = 'flex';
@@ -492,6 +903,9 @@ export class UIRenderer {
         if (callbacks.onMainMenu) {
             document.getElementById('result-main-menu')?.addEventListener('click', callbacks.onMainMenu);
         }
+        if (callbacks.onShare) {
+            document.getElementById('result-share')?.addEventListener('click', callbacks.onShare);
+        }
         
         // Attach click handlers to guesses
         if (callbacks.onGuessClick) {
@@ -507,6 +921,100 @@ export class UIRenderer {
         }
     }
 
+    /**
+     * Show the outcome of the share action below the result actions
+     * @param {boolean} copied - Whether the summary reached the clipboard
+     * @param {string} url - Share link
+     */
+    showShareStatus(copied, url) {
+        const status = document.getElementById('result-share-status');
+        if (!status) return;
+
+        status.innerHTML = `
+            ${copied ? 'Result copied to clipboard!' : 'Copy this link to share your result:'}
+            <a href="${url}" class="share-link">${url}</a>
+        `;
+    }
+
+    /**
+     * Copy text to the clipboard, falling back to a hidden textarea
+     * @param {string} text
+     * @returns {Promise<boolean>} Whether the copy succeeded
+     */
+    async copyToClipboard(text) {
+        try {
+            if (navigator.clipboard?.writeText) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (error) {
+            console.warn('Clipboard API failed, using fallback:', error);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            copied = false;
+        }
+        textarea.remove();
+        return copied;
+    }
+
+    /**
+     * Show a result that was shared through a URL fragment
+     * @param {Object} summary - Decoded share summary
+     */
+    showSharedResultModal(summary) {
+        const body = document.getElementById('shared-result-body');
+        if (!body || !summary) return;
+
+        const heading = summary.mode === 'daily' && summary.dateKey
+            ? `Daily Mystery ${summary.dateKey}`
+            : 'Mammal Mystery';
+        const outcome = summary.won
+            ? `Solved in ${summary.rows.length} of ${summary.maxGuesses} guesses`
+            : `Not solved in ${summary.maxGuesses} guesses`;
+
+        // The summary comes from a link anyone can craft: text only, never markup
+        body.innerHTML = `
+            <div class="result-header">
+                <h4></h4>
+                <p></p>
+            </div>
+            <div class="result-summary">
+                <div class="result-guesses"></div>
+            </div>
+        `;
+        body.querySelector('.result-header h4').textContent = heading;
+        body.querySelector('.result-header p').textContent = outcome;
+
+        const guesses = body.querySelector('.result-guesses');
+        summary.rows.forEach((row, index) => {
+            const rankText = row.comparison === 'perfect-match'
+                ? 'Perfect!'
+                : (row.rank !== null ? `#${row.rank}${row.tied ? ' (tied)' : ''}` : '—');
+            const item = document.createElement('div');
+            item.className = `result-guess ${row.comparison}`;
+            const label = document.createElement('span');
+            label.textContent = `Guess ${index + 1}`;
+            const rank = document.createElement('span');
+            rank.textContent = rankText;
+            item.append(label, rank);
+            guesses.appendChild(item);
+        });
+
+        this.showModal('shared-result-modal');
+    }
+
     getRankClass(rank, totalRanks) {
         const color = this.getRankColorClass(rank, totalRanks);
         if (rank === 1) return 'perfect-match';
@@ -528,6 +1036,408 @@ export class UIRenderer {
         return 'distant-match';
     }
 
+    // ==================== Settings ====================
+
+    /**
+     * Render the settings panel
+     * @param {Object} settings - Effective settings from GameSettings.get
+     * @param {Object} presets - Preset definitions
+     * @param {Object} options - { hasOverrides, metrics, onPresetSelect(name), onChange(partial) }
+     */
+    renderSettingsPanel(settings, presets, options) {
+        const body = document.getElementById('settings-body');
+        if (!body) return;
+
+        const presetButtons = Object.entries(presets).map(([name, preset]) => `
+            <button type="button" class="btn btn-secondary settings-preset ${settings.preset === name ? 'selected' : ''}"
+                    data-preset="${name}">
+                <strong>${preset.label}</strong>
+                <span>${preset.maxGuesses} guesses · ${preset.optionsCount} options</span>
+            </button>
+        `).join('');
+
+        const select = (key, values) => values.map(([value, label]) =>
+            `<option value="${value}" ${settings[key] === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        // A custom blend from the URL or storage is listed alongside the registered metrics
+        const metrics = options.metrics || [];
+        const metricOptions = metrics.map(metric => [metric.id, metric.label]);
+        if (!metrics.some(metric => metric.id === settings.distanceMetric)) {
+            metricOptions.push([settings.distanceMetric, 'Custom blend']);
+        }
+
+        body.innerHTML = `
+            <div class="settings-presets">${presetButtons}</div>
+            <p class="settings-note">
+                Current: <strong>${settings.preset === 'custom' ? 'Custom' : presets[settings.preset].label}</strong>.
+                Changes apply from the next round. The Daily Mystery always uses the Normal preset.
+                ${options.hasOverrides ? '<br>Some settings are overridden by the page URL.' : ''}
+            </p>
+            <div class="settings-fields">
+                <label>Guesses
+                    <input type="number" min="1" max="30" data-setting="maxGuesses" value="${settings.maxGuesses}">
+                </label>
+                <label>Options per round
+                    <input type="number" min="5" max="300" data-setting="optionsCount" value="${settings.optionsCount}">
+                </label>
+                <label>Feedback
+                    <select data-setting="feedback">
+                        ${select('feedback', [['full', 'Rank, closer/farther and ancestor age'], ['rank', 'Rank only'], ['direction', 'Closer/farther only']])}
+                    </select>
+                </label>
+                <label>Distance scale
+                    <select data-setting="transformMode">
+                        ${select('transformMode', [['log', 'Log-dampened'], ['linear', 'Linear']])}
+                    </select>
+                </label>
+                <label>Rank guesses by
+                    <select data-setting="distanceMetric">
+                        ${select('distanceMetric', metricOptions)}
+                    </select>
+                </label>
+                <label>Input
+                    <select data-setting="inputMode">
+                        ${select('inputMode', [['grid', 'Option grid'], ['text', 'Type a guess']])}
+                    </select>
+                </label>
+                <label class="settings-checkbox">
+                    <input type="checkbox" data-setting="openPool" ${settings.openPool ? 'checked' : ''}>
+                    Open pool (guess from the whole species pool)
+                </label>
+                <label class="settings-checkbox">
+                    <input type="checkbox" data-setting="fossils" ${settings.fossils ? 'checked' : ''}>
+                    Fossil mode (extinct taxa from the tree can be options and targets)
+                </label>
+                <label class="settings-checkbox">
+                    <input type="checkbox" data-setting="randomImages" ${settings.randomImages ? 'checked' : ''}>
+                    Random images (show a different photo of each species every round)
+                </label>
+            </div>
+        `;
+
+        body.querySelectorAll('[data-preset]').forEach(button => {
+            button.addEventListener('click', () => options.onPresetSelect?.(button.dataset.preset));
+        });
+
+        body.querySelectorAll('[data-setting]').forEach(field => {
+            field.addEventListener('change', () => {
+                const value = field.type === 'checkbox' ? field.checked : field.value;
+                options.onChange?.({ [field.dataset.setting]: value });
+            });
+        });
+    }
+
+    /**
+     * Update the guess budget mentioned in the rules
+     * @param {number} maxGuesses
+     */
+    updateRulesGuessCount(maxGuesses) {
+        const element = document.getElementById('rules-max-guesses');
+        if (element) {
+            element.textContent = maxGuesses;
+        }
+    }
+
+    /**
+     * Render the species-pool builder
+     * @param {Object} state - { current, curatedPools, orders, families, speciesNames, minSize }
+     * @param {Object} callbacks - { onPreview(definition) -> { count, missing, label }, onApply(definition) -> { ok, message } };
+     *        both may return promises
+     */
+    renderPoolPanel(state, callbacks) {
+        const body = document.getElementById('pool-body');
+        if (!body) return;
+
+        const { current, curatedPools, orders, families, speciesNames } = state;
+        const custom = current && !current.id ? current : null;
+        const selected = !current ? '' : (current.id || 'custom');
+        const clade = custom?.clades?.[0] || ['', ''];
+        const label = (text) => text.charAt(0) + text.slice(1).toLowerCase();
+
+        body.innerHTML = `
+            <label class="pool-select">Species pool
+                <select id="pool-choice">
+                    <option value="" ${selected === '' ? 'selected' : ''}>All species</option>
+                    ${curatedPools.map(pool => `
+                        <option value="${pool.id}" ${selected === pool.id ? 'selected' : ''}>${pool.name || pool.id}</option>
+                    `).join('')}
+                    <option value="custom" ${selected === 'custom' ? 'selected' : ''}>Custom…</option>
+                </select>
+            </label>
+            <p class="settings-note" id="pool-description"></p>
+            <div class="pool-custom" id="pool-custom" ${selected === 'custom' ? '' : 'hidden'}>
+                <fieldset>
+                    <legend>Orders</legend>
+                    <div class="pool-orders">
+                        ${orders.map(order => `
+                            <label class="settings-checkbox">
+                                <input type="checkbox" name="pool-order" value="${order}" ${custom?.orders.includes(order) ? 'checked' : ''}>
+                                ${label(order)}
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <label>Families (Ctrl/Cmd-click to pick several)
+                    <select id="pool-families" multiple size="6">
+                        ${families.map(family => `
+                            <option value="${family}" ${custom?.families.includes(family) ? 'selected' : ''}>${label(family)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <fieldset>
+                    <legend>Clade: the smallest group containing both species</legend>
+                    <div class="pool-clade">
+                        <input type="text" id="pool-clade-a" list="pool-species-names" placeholder="e.g. Hylobates lar" value="${clade[0]}">
+                        <input type="text" id="pool-clade-b" list="pool-species-names" placeholder="e.g. Pan troglodytes" value="${clade[1]}">
+                    </div>
+                    <datalist id="pool-species-names">
+                        ${speciesNames.map(name => `<option value="${name}">`).join('')}
+                    </datalist>
+                </fieldset>
+            </div>
+            <div class="pool-actions">
+                <span id="pool-preview"></span>
+                <button type="button" class="btn btn-secondary" id="pool-apply">Use this pool</button>
+            </div>
+            <p class="settings-note" id="pool-status" aria-live="polite"></p>
+        `;
+
+        const choice = body.querySelector('#pool-choice');
+        const customSection = body.querySelector('#pool-custom');
+
+        const readDefinition = () => {
+            if (choice.value === '') return null;
+            if (choice.value !== 'custom') return { id: choice.value };
+
+            const cladeNames = [
+                body.querySelector('#pool-clade-a').value.trim(),
+                body.querySelector('#pool-clade-b').value.trim()
+            ];
+            return {
+                orders: Array.from(body.querySelectorAll('input[name="pool-order"]:checked')).map(input => input.value),
+                families: Array.from(body.querySelector('#pool-families').selectedOptions).map(option => option.value),
+                clades: cladeNames.every(Boolean) ? [cladeNames] : [],
+                species: []
+            };
+        };
+
+        let previewRequest = 0;
+        const refresh = async () => {
+            customSection.hidden = choice.value !== 'custom';
+
+            const curated = curatedPools.find(pool => pool.id === choice.value);
+            body.querySelector('#pool-description').textContent = curated?.description || '';
+
+            // Only the latest preview is shown when several are in flight
+            const request = ++previewRequest;
+            const preview = await callbacks.onPreview?.(readDefinition());
+            if (request !== previewRequest) return;
+            const previewElement = body.querySelector('#pool-preview');
+            if (!preview) {
+                previewElement.textContent = '';
+                return;
+            }
+            const missing = preview.missing.length > 0 ? ` (not found: ${preview.missing.join(', ')})` : '';
+            previewElement.textContent = `${preview.count} species${missing}`;
+            previewElement.classList.toggle('pool-too-small', choice.value !== '' && preview.count < state.minSize);
+        };
+
+        // The container persists across renders, so replace rather than add the listener
+        body.onchange = refresh;
+        body.querySelector('#pool-apply').addEventListener('click', async () => {
+            const result = await callbacks.onApply?.(readDefinition());
+            const status = document.getElementById('pool-status');
+            if (result && status) {
+                status.textContent = result.message;
+                status.classList.toggle('pool-too-small', !result.ok);
+            }
+        });
+
+        refresh();
+    }
+
+    /**
+     * Render the data version and the cache controls
+     * @param {{ version: string, fromCache: boolean }|null} info - Null while the tree is loading
+     * @param {Object} callbacks - { onClearCache() -> Promise<boolean> }
+     */
+    renderDataPanel(info, callbacks) {
+        const body = document.getElementById('data-body');
+        if (!body) return;
+
+        const version = info
+            ? `Data version <code>${info.version}</code>
+               (${info.fromCache ? 'restored from this browser\'s cache' : 'built on this visit'}).`
+            : 'The tree of life is still loading.';
+
+        body.innerHTML = `
+            <p class="settings-note">
+                ${version}
+                The parsed tree and distances are kept in this browser so later visits start faster.
+            </p>
+            <button type="button" class="btn btn-secondary" id="clear-data-cache">Clear cache</button>
+            <p class="settings-note" id="data-cache-status" aria-live="polite"></p>
+        `;
+
+        const button = body.querySelector('#clear-data-cache');
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            const cleared = await Promise.resolve(callbacks.onClearCache?.()).catch(() => false);
+            const status = body.querySelector('#data-cache-status');
+            if (status) {
+                status.textContent = cleared
+                    ? 'Cache cleared. The tree will be rebuilt on your next visit.'
+                    : 'The cache could not be cleared (this browser may not allow offline storage).';
+            }
+            button.disabled = false;
+        });
+    }
+
+    /**
+     * Show which species pool the current round uses
+     * @param {string|null} label - Pool description (null = all species)
+     */
+    setRoundPoolLabel(label) {
+        const element = document.getElementById('round-pool-label');
+        if (!element) return;
+        element.textContent = label ? `Pool: ${label}` : '';
+        element.hidden = !label;
+    }
+
+    // ==================== Tree Loading ====================
+
+    /**
+     * Show progress of the background tree load
+     * @param {{ stage: string, loaded: number, total: number }} progress
+     */
+    updateTreeProgress(progress) {
+        const container = document.getElementById('tree-progress');
+        if (!container || !progress) return;
+
+        const label = container.querySelector('.tree-progress-label');
+        const fill = container.querySelector('.tree-progress-fill');
+        const stages = {
+            download: 'Downloading the tree of life…',
+            parse: 'Reading the tree…',
+            index: 'Indexing species…'
+        };
+
+        if (!stages[progress.stage]) {
+            container.hidden = true;
+            return;
+        }
+
+        // A posterior sample is parsed tree by tree
+        const isSample = progress.stage === 'parse' && progress.total > 1;
+
+        container.hidden = false;
+        if (label) {
+            label.textContent = isSample
+                ? `Reading tree ${Math.min(progress.loaded + 1, progress.total)} of ${progress.total}…`
+                : stages[progress.stage];
+        }
+        if (fill) {
+            // Download fills most of the bar; parsing and indexing finish it
+            let fraction = progress.stage === 'download'
+                ? (progress.total > 0 ? Math.min(1, progress.loaded / progress.total) * 0.8 : 0.4)
+                : (progress.stage === 'parse' ? 0.85 : 0.95);
+            if (isSample) fraction = 0.8 + 0.15 * Math.min(1, progress.loaded / progress.total);
+            fill.style.width = `${Math.round(fraction * 100)}%`;
+        }
+    }
+
+    /**
+     * Show whether the game can be played without a connection
+     * @param {{ ready: boolean, online: boolean }} status - From registerServiceWorker
+     */
+    updateOfflineStatus({ ready, online }) {
+        const indicator = document.getElementById('offline-status');
+        if (!indicator) return;
+
+        indicator.hidden = !ready && online;
+        indicator.classList.toggle('offline', !online);
+        if (!online) {
+            indicator.textContent = ready ? 'Offline: playing from the cache' : 'Offline';
+        } else {
+            indicator.textContent = 'Offline ready';
+        }
+        indicator.title = ready
+            ? 'The game, species data and tree are stored on this device'
+            : 'Not everything the game needs is stored on this device yet';
+    }
+
+    // ==================== Statistics ====================
+
+    /**
+     * Render the statistics screen
+     * @param {Object} summary - Result of PlayerStats.getSummary
+     */
+    renderStats(summary) {
+        const content = document.getElementById('stats-content');
+        if (!content || !summary) return;
+
+        if (summary.played === 0) {
+            content.innerHTML = '<p class="stats-empty">No finished rounds yet. Play a game to start tracking your statistics!</p>';
+            return;
+        }
+
+        const maxCount = Math.max(1, summary.losses, ...summary.distribution.map(d => d.count));
+        const barHtml = (label, count, cls = '') => `
+            <div class="stats-bar-row">
+                <span class="stats-bar-label">${label}</span>
+                <div class="stats-bar-track">
+                    <div class="stats-bar ${cls}" style="width: ${Math.max(4, (count / maxCount) * 100)}%">${count}</div>
+                </div>
+            </div>
+        `;
+
+        const histogramHtml = summary.distribution
+            .map(d => barHtml(d.guesses, d.count))
+            .join('') + barHtml('X', summary.losses, 'lost');
+
+        content.innerHTML = `
+            <div class="stats-tiles">
+                <div class="stats-tile"><span class="stats-value">${summary.played}</span><span class="stats-label">Played</span></div>
+                <div class="stats-tile"><span class="stats-value">${Math.round(summary.winRate * 100)}%</span><span class="stats-label">Win rate</span></div>
+                <div class="stats-tile"><span class="stats-value">${summary.currentStreak}</span><span class="stats-label">Current streak</span></div>
+                <div class="stats-tile"><span class="stats-value">${summary.longestStreak}</span><span class="stats-label">Longest streak</span></div>
+            </div>
+            <div class="stats-section">
+                <h3>Guess distribution</h3>
+                <div class="stats-histogram">${histogramHtml}</div>
+            </div>
+            <div class="stats-section">
+                <h3>Most missed orders</h3>
+                <ul class="stats-missed"></ul>
+            </div>
+        `;
+
+        // Orders come from stored (possibly imported) rounds: text only
+        const missed = content.querySelector('.stats-missed');
+        if (summary.mostMissedOrders.length === 0) {
+            missed.innerHTML = '<li>No missed targets yet.</li>';
+        }
+        summary.mostMissedOrders.forEach(entry => {
+            const item = document.createElement('li');
+            const order = document.createElement('strong');
+            order.textContent = this.formatTaxonLabel(entry.order);
+            item.append(order, `: missed ${entry.missed} of ${entry.played}`);
+            missed.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a status message on the statistics screen
+     * @param {string} message
+     */
+    showStatsMessage(message) {
+        const status = document.getElementById('stats-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
     // ==================== Gallery ====================
 
     /**
@@ -563,19 +1473,20 @@ export class UIRenderer {
             sortedMammals.forEach(mammal => {
                 const mammalCard = document.createElement('div');
                 mammalCard.className = 'gallery-mammal-card';
+                mammalCard.dataset.mammalId = mammal.id;
                 mammalCard.dataset.commonName = mammal.common_name.toLowerCase();
                 mammalCard.dataset.scientificName = mammal.scientific_name.toLowerCase();
                 mammalCard.dataset.order = mammal.order || '';
                 mammalCard.dataset.family = mammal.family || '';
                 
-                const cardImage = getPrimaryImageUrl(mammal) || 'placeholder.jpg';
+                const cardImage = this.imageMemory.getUrl(mammal) || PLACEHOLDER_IMAGE;
                 
                 mammalCard.innerHTML = `
                     <div class="gallery-mammal-image">
                         <img src="${cardImage}" 
                             alt="${mammal.common_name}"
                             loading="lazy"
-                            onerror="this.onerror=null; this.src='placeholder.jpg';">
+                            onerror="this.onerror=null; this.src='${PLACEHOLDER_IMAGE}';">
                     </div>
                     <div class="gallery-mammal-info">
                         <div class="gallery-mammal-name">${mammal.common_name}</div>
@@ -592,6 +1503,25 @@ export class UIRenderer {
         });
     }
 
+    /**
+     * Swap in the images of gallery cards whose details have loaded
+     * @param {Object[]} mammals
+     */
+    updateGalleryImages(mammals) {
+        const galleryContent = document.getElementById('gallery-content');
+        if (!galleryContent) return;
+
+        const cards = new Map();
+        galleryContent.querySelectorAll('.gallery-mammal-card').forEach(card => {
+            cards.set(card.dataset.mammalId, card);
+        });
+        mammals.forEach(mammal => {
+            const imageUrl = this.imageMemory.getUrl(mammal);
+            const img = imageUrl && cards.get(String(mammal.id))?.querySelector('img');
+            if (img && img.getAttribute('src') !== imageUrl) img.src = imageUrl;
+        });
+    }
+
     /**
      * Populate filter dropdowns
      * @param {string[]} orders - Unique orders
@@ -680,6 +1610,17 @@ export class UIRenderer {
         });
     }
 
+    /**
+     * Markup for the extinct marker (†) shown after the names of fossil taxa
+     * @param {Object} mammal
+     * @returns {string}
+     */
+    extinctMarkerHtml(mammal) {
+        if (!mammal?.extinct) return '';
+        const age = Number.isFinite(mammal.age_ma) ? `, about ${mammal.age_ma} million years ago` : '';
+        return `<span class="extinct-marker" title="Extinct${age}" aria-label="extinct">†</span>`;
+    }
+
     formatTaxonLabel(label) {
         if (!label || typeof label !== 'string') return '';
 
@@ -0,0 +1,39 @@
+/**
+ * ContentHash.js
+ * Short content hashes that identify versions of the data files
+ *
+ * SHA-256 is used where the Web Crypto API is available (secure contexts,
+ * workers, Node); plain-HTTP pages fall back to two FNV-1a passes. Either
+ * way the same content always gives the same hash in the same browser.
+ */
+
+import { hashSeed } from './SeededRandom.js';
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash any number of strings or JSON-serializable values
+ * @param {...*} parts
+ * @returns {Promise<string>} 16 hexadecimal characters
+ */
+export async function hashContent(...parts) {
+    const text = parts
+        .map(part => (typeof part === 'string' ? part : JSON.stringify(part ?? null)))
+        .join('\u0000');
+
+    const subtle = globalThis.crypto?.subtle;
+    if (subtle) {
+        try {
+            const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return toHex(new Uint8Array(digest)).slice(0, 16);
+        } catch (error) {
+            console.warn('SHA-256 unavailable; using FNV-1a content hashes:', error);
+        }
+    }
+
+    return [hashSeed(text), hashSeed(`${text.length}:${text}`)]
+        .map(hash => hash.toString(16).padStart(8, '0'))
+        .join('');
+}
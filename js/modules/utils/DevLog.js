@@ -0,0 +1,19 @@
+/**
+ * DevLog.js
+ * Progress logging that only shows during development
+ *
+ * The game modules also run headless (scripts/play.js, mammal-build), where
+ * the console is the player's screen: there they stay silent.
+ */
+
+// Development is a page (or its worker) served from this machine, or opened as a file
+export const IS_DEVELOPMENT = typeof location !== 'undefined'
+    && ['localhost', '127.0.0.1', '[::1]', ''].includes(location.hostname);
+
+/**
+ * console.log during development, nothing otherwise
+ * @param {...*} args
+ */
+export function devLog(...args) {
+    if (IS_DEVELOPMENT) console.log(...args);
+}
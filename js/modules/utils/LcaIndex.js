@@ -0,0 +1,274 @@
+/**
+ * LcaIndex.js
+ * Constant-time lowest common ancestor and path-length queries on a tree
+ *
+ * The index is an Euler tour of the tree with a sparse table of minimum-depth
+ * positions, plus root-to-node branch-length sums and edge counts. Building
+ * it is O(n log n); every query afterwards is O(1). It works on any node
+ * objects with children and branchLength (PhyloTree nodes).
+ */
+
+export class LcaIndex {
+    /**
+     * @param {Object} root - Root node of the tree
+     */
+    constructor(root) {
+        this.nodes = [];
+        this.indexByNode = new Map();
+        this.height = 0;
+        this.build(root);
+    }
+
+    /**
+     * Build the Euler tour, depths and sparse table
+     * @param {Object} root
+     */
+    build(root) {
+        if (!root) {
+            this.depths = new Float64Array(0);
+            this.levels = new Int32Array(0);
+            this.first = new Int32Array(0);
+            this.table = [];
+            this.logs = new Uint8Array(1);
+            return;
+        }
+
+        // Preorder walk collecting nodes, depths and the Euler tour
+        const depths = [0];
+        const levels = [0];
+        const first = [0];
+        const euler = [0];
+        this.nodes.push(root);
+        this.indexByNode.set(root, 0);
+
+        const stack = [0];
+        const nextChild = [0];
+        while (stack.length > 0) {
+            const top = stack.length - 1;
+            const parentIndex = stack[top];
+            const children = this.nodes[parentIndex].children || [];
+
+            if (nextChild[top] < children.length) {
+                const child = children[nextChild[top]++];
+                const index = this.nodes.length;
+                this.nodes.push(child);
+                this.indexByNode.set(child, index);
+                depths.push(depths[parentIndex] + (child.branchLength ?? 0));
+                levels.push(levels[parentIndex] + 1);
+                first.push(euler.length);
+                euler.push(index);
+                stack.push(index);
+                nextChild.push(0);
+            } else {
+                stack.pop();
+                nextChild.pop();
+                if (stack.length > 0) euler.push(stack[stack.length - 1]);
+            }
+        }
+
+        this.depths = Float64Array.from(depths);
+        this.levels = Int32Array.from(levels);
+        this.first = Int32Array.from(first);
+        this.nodes.forEach((node, index) => {
+            if (!node.children || node.children.length === 0) {
+                this.height = Math.max(this.height, this.depths[index]);
+            }
+        });
+
+        // logs[k] = floor(log2(k))
+        const length = euler.length;
+        this.logs = new Uint8Array(length + 1);
+        for (let k = 2; k <= length; k++) {
+            this.logs[k] = this.logs[k >> 1] + 1;
+        }
+
+        // table[j][i] = shallowest node in euler[i .. i + 2^j - 1]
+        this.table = [Int32Array.from(euler)];
+        for (let j = 1; (1 << j) <= length; j++) {
+            const previous = this.table[j - 1];
+            const half = 1 << (j - 1);
+            const row = new Int32Array(length - (1 << j) + 1);
+            for (let i = 0; i < row.length; i++) {
+                const a = previous[i];
+                const b = previous[i + half];
+                row[i] = this.levels[a] <= this.levels[b] ? a : b;
+            }
+            this.table.push(row);
+        }
+    }
+
+    /**
+     * Get the index of a node (or -1 if it is not in the tree)
+     * @param {Object} node
+     * @returns {number}
+     */
+    indexOf(node) {
+        return this.indexByNode.get(node) ?? -1;
+    }
+
+    /**
+     * Get the node at an index
+     * @param {number} index
+     * @returns {Object|null}
+     */
+    getNode(index) {
+        return this.nodes[index] || null;
+    }
+
+    /**
+     * Indices of all leaves, in tree order
+     * @returns {number[]}
+     */
+    getLeafIndices() {
+        const leaves = [];
+        this.nodes.forEach((node, index) => {
+            if (!node.children || node.children.length === 0) leaves.push(index);
+        });
+        return leaves;
+    }
+
+    /**
+     * Lowest common ancestor of two node indices
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    lcaIndex(a, b) {
+        if (a === b) return a;
+        let left = this.first[a];
+        let right = this.first[b];
+        if (left > right) [left, right] = [right, left];
+
+        const k = this.logs[right - left + 1];
+        const row = this.table[k];
+        const x = row[left];
+        const y = row[right - (1 << k) + 1];
+        return this.levels[x] <= this.levels[y] ? x : y;
+    }
+
+    /**
+     * Branch-length path distance between two node indices
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    distanceByIndex(a, b) {
+        const lca = this.lcaIndex(a, b);
+        return this.depths[a] + this.depths[b] - 2 * this.depths[lca];
+    }
+
+    /**
+     * Lowest common ancestor of one or more nodes
+     * @param {Object[]} nodes
+     * @returns {Object|null} Ancestor node, or null if a node is not in the tree
+     */
+    lca(nodes) {
+        if (!nodes || nodes.length === 0) return null;
+
+        let current = this.indexOf(nodes[0]);
+        for (let i = 1; i < nodes.length && current >= 0; i++) {
+            const next = this.indexOf(nodes[i]);
+            current = next >= 0 ? this.lcaIndex(current, next) : -1;
+        }
+        return current >= 0 ? this.nodes[current] : null;
+    }
+
+    /**
+     * Root-to-node branch-length sum
+     * @param {Object} node
+     * @returns {number|null}
+     */
+    depthOf(node) {
+        const index = this.indexOf(node);
+        return index >= 0 ? this.depths[index] : null;
+    }
+
+    /**
+     * Path length and edge count between two nodes
+     * @param {Object} node1
+     * @param {Object} node2
+     * @returns {{ raw: number, edges: number }|null}
+     */
+    distance(node1, node2) {
+        const a = this.indexOf(node1);
+        const b = this.indexOf(node2);
+        if (a < 0 || b < 0) return null;
+
+        const lca = this.lcaIndex(a, b);
+        return {
+            raw: this.depths[a] + this.depths[b] - 2 * this.depths[lca],
+            edges: this.levels[a] + this.levels[b] - 2 * this.levels[lca]
+        };
+    }
+}
+
+/**
+ * DistanceMatrix stores pairwise path lengths between a fixed set of
+ * species in a condensed (upper-triangle) Float32Array
+ */
+export class DistanceMatrix {
+    /**
+     * @param {LcaIndex} lcaIndex - Index of the tree holding the species
+     * @param {Object[]} nodes - Leaf nodes, one per species
+     * @param {string[]} labels - Species labels, parallel to nodes
+     */
+    constructor(lcaIndex, nodes, labels) {
+        this.labels = labels;
+        this.size = labels.length;
+        this.rowByLabel = new Map(labels.map((label, row) => [label, row]));
+
+        const indices = nodes.map(node => lcaIndex.indexOf(node));
+        const n = this.size;
+        this.data = new Float32Array((n * (n - 1)) / 2);
+
+        let offset = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                this.data[offset++] = lcaIndex.distanceByIndex(indices[i], indices[j]);
+            }
+        }
+    }
+
+    /**
+     * Plain structured-cloneable copy of the matrix (e.g. for IndexedDB)
+     * @returns {{ labels: string[], data: Float32Array }}
+     */
+    toData() {
+        return { labels: this.labels, data: this.data };
+    }
+
+    /**
+     * Rebuild a matrix from toData output without recomputing distances
+     * @param {{ labels: string[], data: Float32Array }} stored
+     * @returns {DistanceMatrix}
+     */
+    static fromData({ labels, data }) {
+        const matrix = Object.create(DistanceMatrix.prototype);
+        matrix.labels = labels;
+        matrix.size = labels.length;
+        matrix.rowByLabel = new Map(labels.map((label, row) => [label, row]));
+        matrix.data = data;
+        return matrix;
+    }
+
+    /**
+     * Row of a species label (or -1)
+     * @param {string} label
+     * @returns {number}
+     */
+    indexOf(label) {
+        return this.rowByLabel.get(label) ?? -1;
+    }
+
+    /**
+     * Distance between two rows
+     * @param {number} i
+     * @param {number} j
+     * @returns {number}
+     */
+    get(i, j) {
+        if (i === j) return 0;
+        if (i > j) [i, j] = [j, i];
+        return this.data[i * this.size - (i * (i + 1)) / 2 + (j - i - 1)];
+    }
+}
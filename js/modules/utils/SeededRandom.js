@@ -0,0 +1,65 @@
+/**
+ * SeededRandom.js
+ * Utility functions for reproducible random number generation
+ *
+ * Every sampling helper in the game accepts an `rng` function with the same
+ * contract as Math.random (returns a float in [0, 1)), so a seeded generator
+ * can be threaded through a whole round to make it reproducible.
+ */
+
+/**
+ * Hash a string seed into a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    const text = String(seed ?? '');
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {string|number} seed - Seed value; strings are hashed first
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = typeof seed === 'number' && Number.isFinite(seed)
+        ? (seed >>> 0)
+        : hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Get the calendar date key (YYYY-MM-DD) for a date in local time
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string}
+ */
+export function getDateKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the seed string for the daily challenge on a given date
+ * @param {Date} date - Date of the challenge (defaults to today)
+ * @returns {string}
+ */
+export function getDailySeed(date = new Date()) {
+    return `mammal-mystery-daily-${getDateKey(date)}`;
+}
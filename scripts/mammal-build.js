@@ -0,0 +1,537 @@
+/**
+ * mammal-build: the data build for Mammal Mystery
+ * Run with: node scripts/mammal-build.js <command> [options]
+ *
+ * Commands:
+ *   import <file>          Bring a species JSON file or a Newick/NEXUS tree into the sources
+ *   validate               Check the species data (same checks as the game, see DataValidator.js)
+ *   annotate               Recompute family_member_count for every species
+ *   reconcile-with-tree    Match species to tree tips; list missing species and where they would be grafted;
+ *                          check that every named clade resolves to a clade of the tree
+ *   prune                  Prune the tree (every tree of a sample) to the dataset
+ *   stats                  Summarize the dataset and its tree coverage
+ *   shard                  Split the species data into the core index and per-order detail shards
+ *   build                  validate, annotate, reconcile-with-tree, prune, stats and shard in one go
+ *
+ * Options:
+ *   --data=mammal_data.json  --tree=FBD-tree.tre  --fossils=data/fossil_taxa.json
+ *   --clades=data/clades.json
+ *   --out=build              Directory for build artifacts
+ *   --in-place               annotate: rewrite the species data instead of writing an artifact;
+ *                            shard: publish the shards to data/mammals/ for the game
+ *   --dry-run                import: report without writing
+ *
+ * Species names are matched to tree tips with the game's own SpeciesNormalizer
+ * and leaf index, so the build agrees with what the game scores against.
+ * Artifacts are written to <out>/<version>/, where the version is a content
+ * hash of the source files, together with a manifest.json listing the sources
+ * and every artifact with its checksum, so a data release can be reproduced.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+    data: 'mammal_data.json',
+    tree: 'FBD-tree.tre',
+    fossils: 'data/fossil_taxa.json',
+    clades: 'data/clades.json',
+    out: 'build'
+};
+
+const COMMANDS = ['import', 'validate', 'annotate', 'reconcile-with-tree', 'prune', 'stats', 'shard', 'build'];
+
+// Where the game loads the sharded species data from (GameEngine's DATA_FILE)
+const SHARD_DIR = 'data/mammals';
+
+// ES modules shared with the game, loaded once by main()
+let modules = null;
+
+async function loadModules() {
+    const [MammalData, DataValidator, PhyloTree, PhyloCalculator, TreeGraft, SharedTaxon, ContentHash] = await Promise.all([
+        import('../js/modules/MammalData.js'),
+        import('../js/modules/DataValidator.js'),
+        import('../js/modules/PhyloTree.js'),
+        import('../js/modules/PhyloCalculator.js'),
+        import('../js/modules/TreeGraft.js'),
+        import('../js/modules/SharedTaxon.js'),
+        import('../js/modules/utils/ContentHash.js')
+    ]);
+    return { ...MammalData, ...DataValidator, ...PhyloTree, ...PhyloCalculator, ...TreeGraft, ...SharedTaxon, ...ContentHash };
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, inPlace: false, dryRun: false };
+    const positional = [];
+    argv.forEach(arg => {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            positional.push(arg);
+        } else if (match[1] === 'in-place') {
+            options.inPlace = true;
+        } else if (match[1] === 'dry-run') {
+            options.dryRun = true;
+        } else if (match[1] in DEFAULTS) {
+            options[match[1]] = match[2] ?? '';
+        } else {
+            throw new Error(`Unknown option --${match[1]}`);
+        }
+    });
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+function resolvePath(file) {
+    return path.resolve(ROOT, file);
+}
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ==================== Sources ====================
+
+/**
+ * Read the source files of a build
+ * @returns {Promise<Object>} Raw texts plus the parsed species, fossils and clade definitions
+ */
+async function readSources(options) {
+    const read = (file) => fs.readFile(resolvePath(file), 'utf8');
+    const [dataText, treeText, fossilText, cladeText] = await Promise.all([
+        read(options.data),
+        read(options.tree),
+        read(options.fossils).catch(() => null),
+        read(options.clades).catch(() => null)
+    ]);
+    const fossilLoader = { json: async () => JSON.parse(fossilText) };
+    const fossils = fossilText ? await modules.loadFossilTaxa(options.fossils, fossilLoader) : [];
+    const cladeLoader = { json: async () => JSON.parse(cladeText) };
+    const clades = cladeText ? await modules.loadCladeDefinitions(options.clades, cladeLoader) : [];
+
+    return {
+        texts: {
+            [options.data]: dataText,
+            [options.tree]: treeText,
+            ...(fossilText && { [options.fossils]: fossilText }),
+            ...(cladeText && { [options.clades]: cladeText })
+        },
+        mammals: JSON.parse(dataText),
+        treeText,
+        fossils,
+        clades
+    };
+}
+
+/**
+ * Version of a build: content hash of its sources (same inputs, same version)
+ */
+function getVersion(sources) {
+    return modules.hashContent(...Object.keys(sources.texts).sort().map(file => sources.texts[file]));
+}
+
+/**
+ * Write an artifact into the version's directory and record it in the manifest
+ * @param {Object} build - { sources, version, options }
+ * @param {string} name - Artifact file name
+ * @param {string} content
+ * @param {Object} entry - Command and summary recorded in the manifest
+ */
+async function writeArtifact(build, name, content, entry) {
+    const dir = path.join(resolvePath(build.options.out), build.version);
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), content);
+
+    const manifestPath = path.join(dir, 'manifest.json');
+    const manifest = await fs.readFile(manifestPath, 'utf8')
+        .then(JSON.parse)
+        .catch(() => ({
+            version: build.version,
+            sources: Object.fromEntries(Object.entries(build.sources.texts).map(([file, text]) => [
+                file,
+                { sha256: sha256(text), bytes: Buffer.byteLength(text) }
+            ])),
+            artifacts: {}
+        }));
+    manifest.updated = new Date().toISOString();
+    manifest.artifacts[name] = {
+        ...entry,
+        sha256: sha256(content),
+        bytes: Buffer.byteLength(content)
+    };
+    await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Wrote ${path.relative(ROOT, path.join(dir, name))}`);
+}
+
+function toJson(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+// Tree labels and taxonomy of every species, as the game builds them for grafting
+function getTaxa(mammals) {
+    return mammals.map(mammal => ({
+        label: modules.getTreeLabel(mammal),
+        genus: modules.getGenus(mammal),
+        family: mammal.family || null,
+        order: mammal.order || null
+    }));
+}
+
+// ==================== Commands ====================
+
+/**
+ * Species JSON: normalize the records, keep the IDs of species already in the
+ * data and number new ones after them. Tree file: store the trees as Newick.
+ */
+async function importFile(file, options) {
+    if (!file) throw new Error('Usage: mammal-build import <file> [--dry-run]');
+    const text = await fs.readFile(resolvePath(file), 'utf8');
+
+    let records = null;
+    try {
+        records = JSON.parse(text);
+    } catch {
+        records = null;
+    }
+
+    if (!records) {
+        const trees = modules.readTrees(text);
+        if (trees.length === 0) throw new Error(`${file} is neither species JSON nor a tree file`);
+        const newick = `${trees.map(tree => tree.toNewick()).join('\n')}\n`;
+        console.log(`Imported ${trees.length} tree(s) with ${trees[0].leafList.length} tips`);
+        if (!options.dryRun) {
+            await fs.writeFile(resolvePath(options.tree), newick);
+            console.log(`Wrote ${options.tree}`);
+        }
+        return true;
+    }
+
+    if (!Array.isArray(records)) throw new Error(`${file} must hold an array of species records`);
+    const current = JSON.parse(await fs.readFile(resolvePath(options.data), 'utf8').catch(() => '[]'));
+    const nameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const existingIds = new Map(current.map(mammal => [nameKey(mammal.scientific_name), mammal.id]));
+    let nextId = Math.max(0, ...current.map(mammal => Number(mammal.id) || 0)) + 1;
+
+    let kept = 0;
+    const imported = records.map(record => {
+        const mammal = Object.fromEntries(Object.entries(record).map(([key, value]) => [
+            key,
+            typeof value === 'string' ? value.trim() : value
+        ]));
+        mammal.scientific_name = String(mammal.scientific_name || '').replace(/\s+/g, ' ');
+        if (mammal.family) mammal.family = mammal.family.toUpperCase();
+        if (mammal.order) mammal.order = mammal.order.toUpperCase();
+
+        const existing = existingIds.get(nameKey(mammal.scientific_name));
+        if (existing !== undefined) {
+            kept++;
+            mammal.id = existing;
+        } else if (!Number.isInteger(mammal.id)) {
+            mammal.id = nextId++;
+        }
+        return mammal;
+    });
+    const annotated = annotateFamilyCounts(imported).mammals;
+
+    const report = modules.validateMammalData(annotated);
+    console.log(`Imported ${annotated.length} species: ${kept} already in the data, `
+        + `${annotated.length - kept} new, ${current.length - kept} dropped`);
+    console.log(modules.formatValidationReport(report));
+    if (!report.valid) {
+        console.error('Not written: fix the errors above and import again');
+        return false;
+    }
+    if (!options.dryRun) {
+        await fs.writeFile(resolvePath(options.data), toJson(annotated));
+        console.log(`Wrote ${options.data}`);
+    }
+    return true;
+}
+
+async function validate(build) {
+    const report = modules.validateMammalData(build.sources.mammals, { fossils: build.sources.fossils });
+    console.log(modules.formatValidationReport(report));
+    await writeArtifact(build, 'validation.json', toJson(report), {
+        command: 'validate',
+        summary: {
+            valid: report.valid,
+            errors: report.errors.length,
+            warnings: report.warnings.length,
+            collisions: report.collisions.length
+        }
+    });
+    return report.valid;
+}
+
+/**
+ * Set family_member_count to the number of species sharing each family
+ * (family names compared case-insensitively)
+ * @returns {{ mammals: Object[], changed: number }}
+ */
+function annotateFamilyCounts(mammals) {
+    const familyKey = (mammal) => String(mammal.family || '').trim().toLowerCase();
+    const counts = new Map();
+    mammals.forEach(mammal => {
+        const family = familyKey(mammal);
+        if (family) counts.set(family, (counts.get(family) || 0) + 1);
+    });
+
+    let changed = 0;
+    const annotated = mammals.map(mammal => {
+        const count = counts.get(familyKey(mammal)) || 1;
+        if (mammal.family_member_count !== count) changed++;
+        return { ...mammal, family_member_count: count };
+    });
+    return { mammals: annotated, changed };
+}
+
+async function annotate(build) {
+    const { mammals, changed } = annotateFamilyCounts(build.sources.mammals);
+    console.log(`family_member_count: ${changed} of ${mammals.length} species updated`);
+
+    if (build.options.inPlace) {
+        await fs.writeFile(resolvePath(build.options.data), toJson(mammals));
+        console.log(`Wrote ${build.options.data}`);
+        return true;
+    }
+    await writeArtifact(build, path.basename(build.options.data), toJson(mammals), {
+        command: 'annotate',
+        summary: { species: mammals.length, changed }
+    });
+    return true;
+}
+
+/**
+ * Match every species (and fossil taxon) to a tip of the first tree
+ * @returns {Object} Matched tips (in all and of fossil taxa), missing species with
+ *          their graft placement, unused tips,
+ *          tips claimed by more than one species and the size of every named clade
+ */
+function reconcileSpecies(sources) {
+    const calculator = new modules.PhylogeneticDistanceCalculator();
+    const tree = modules.readTree(sources.treeText);
+    const leafIndex = calculator.buildLeafIndex(tree);
+    const records = [...sources.mammals, ...sources.fossils];
+
+    const claims = new Map();
+    const missing = [];
+    records.forEach(mammal => {
+        const leaf = calculator.findInLeafIndex(leafIndex, modules.getTreeLabel(mammal));
+        if (!leaf) {
+            missing.push(mammal);
+            return;
+        }
+        if (!claims.has(leaf)) claims.set(leaf, []);
+        claims.get(leaf).push(mammal);
+    });
+
+    // Where the game would graft the missing species (see TreeGraft.js)
+    const grafted = modules.graftMissingTaxa(tree, getTaxa(records), name => calculator.findInLeafIndex(leafIndex, name));
+
+    // Named clades resolve as in the game's CladeIndex: the MRCA of their anchor tips
+    const clades = sources.clades.map(({ name, species }) => {
+        const anchors = species.map(anchor => calculator.findInLeafIndex(leafIndex, anchor));
+        const mrca = anchors.every(Boolean) ? tree.getMRCA(anchors) : null;
+        return {
+            name,
+            missingAnchors: species.filter((anchor, k) => !anchors[k]),
+            leaves: mrca ? mrca.applyPreOrder(node => node.isLeaf()).filter(Boolean).length : 0
+        };
+    });
+
+    const fossils = new Set(sources.fossils);
+    const describe = (mammal) => ({ id: mammal.id, scientific_name: mammal.scientific_name });
+    return {
+        tips: tree.leafList.length - grafted.size,
+        matched: claims.size,
+        matchedFossils: [...claims.values()].filter(mammals => mammals.some(mammal => fossils.has(mammal))).length,
+        missing: missing.map(mammal => {
+            const placement = grafted.get(modules.getTreeLabel(mammal));
+            return { ...describe(mammal), graftLevel: placement?.level || null, relatives: placement?.relatives || 0 };
+        }),
+        sharedTips: [...claims]
+            .filter(([, mammals]) => mammals.length > 1)
+            .map(([leaf, mammals]) => ({ tip: leaf.label, species: mammals.map(describe) })),
+        unusedTips: [...tree.leafList]
+            .filter(leaf => !claims.has(leaf) && !grafted.has(leaf.label))
+            .map(leaf => leaf.label),
+        clades
+    };
+}
+
+async function reconcileWithTree(build) {
+    const result = reconcileSpecies(build.sources);
+    const unplaced = result.missing.filter(species => !species.graftLevel);
+
+    console.log(`Tree tips: ${result.tips}; matched: ${result.matched} `
+        + `(${result.matched - result.matchedFossils} species, ${result.matchedFossils} fossil taxa); unused: ${result.unusedTips.length}`);
+    console.log(`Species missing from the tree: ${result.missing.length} (${unplaced.length} with no relatives to graft onto)`);
+    result.missing.slice(0, 20).forEach(species => {
+        console.log(`  ${species.scientific_name}: ${species.graftLevel
+            ? `grafted by ${species.graftLevel} (${species.relatives} relatives)`
+            : 'not placed'}`);
+    });
+    result.sharedTips.forEach(({ tip, species }) => {
+        console.log(`  Tip ${tip} is matched by ${species.map(s => s.scientific_name).join(', ')}`);
+    });
+    const unresolved = result.clades.filter(clade => clade.leaves === 0);
+    console.log(`Named clades: ${result.clades.length - unresolved.length} of ${result.clades.length} resolved`);
+    unresolved.forEach(({ name, missingAnchors }) => {
+        console.log(`  Clade ${name}: anchor species not in the tree: ${missingAnchors.join(', ')}`);
+    });
+
+    await writeArtifact(build, 'reconcile.json', toJson(result), {
+        command: 'reconcile-with-tree',
+        summary: {
+            tips: result.tips,
+            matched: result.matched,
+            missing: result.missing.length,
+            unplaced: unplaced.length,
+            sharedTips: result.sharedTips.length,
+            unresolvedClades: unresolved.length
+        }
+    });
+    // Two species on one tip would get identical distances to everything, and
+    // a clade that does not resolve is never named in the game's feedback
+    return result.sharedTips.length === 0 && unresolved.length === 0;
+}
+
+async function prune(build) {
+    const calculator = new modules.PhylogeneticDistanceCalculator();
+    const names = [...build.sources.mammals, ...build.sources.fossils].map(modules.getTreeLabel);
+    const allowedSet = calculator.buildAllowedSet(names);
+
+    const lines = [];
+    let tips = 0;
+    let originalTips = 0;
+    for (const tree of modules.iterateTrees(build.sources.treeText)) {
+        originalTips = tree.leafList.length;
+        calculator.pruneTreeToAllowed(tree, allowedSet);
+        tips = tree.leafList.length;
+        lines.push(tree.toNewick());
+    }
+    if (lines.length === 0) throw new Error(`No tree found in ${build.options.tree}`);
+
+    console.log(`Pruned ${lines.length} tree(s) from ${originalTips} to ${tips} tips`);
+    const name = `${path.basename(build.options.tree, path.extname(build.options.tree))}-pruned.tre`;
+    await writeArtifact(build, name, `${lines.join('\n')}\n`, {
+        command: 'prune',
+        summary: { trees: lines.length, originalTips, tips }
+    });
+    return true;
+}
+
+function countBy(items, key) {
+    const counts = {};
+    items.forEach(item => {
+        const value = item[key] || '(none)';
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+async function stats(build) {
+    const { mammals, fossils } = build.sources;
+    const reconciled = reconcileSpecies(build.sources);
+    const withImages = mammals.filter(mammal => Array.isArray(mammal.img_urls) && mammal.img_urls.length > 0);
+    const result = {
+        species: mammals.length,
+        fossils: fossils.length,
+        orders: Object.keys(countBy(mammals, 'order')).length,
+        families: Object.keys(countBy(mammals, 'family')).length,
+        withImages: withImages.length,
+        withCommonName: mammals.filter(mammal => mammal.common_name).length,
+        inTree: reconciled.matched - reconciled.matchedFossils,
+        fossilsInTree: reconciled.matchedFossils,
+        grafted: reconciled.missing.filter(species => species.graftLevel).length,
+        speciesPerOrder: countBy(mammals, 'order')
+    };
+
+    console.log(`Species: ${result.species} (+${result.fossils} fossil taxa) in ${result.orders} orders and ${result.families} families`);
+    console.log(`With images: ${result.withImages}; with a common name: ${result.withCommonName}`);
+    console.log(`Tips in the tree: ${result.inTree} species, ${result.fossilsInTree} fossil taxa; `
+        + `grafted by taxonomy: ${result.grafted}`);
+    Object.entries(result.speciesPerOrder).slice(0, 10).forEach(([order, count]) => {
+        console.log(`  ${order}: ${count}`);
+    });
+
+    await writeArtifact(build, 'stats.json', toJson(result), {
+        command: 'stats',
+        summary: { species: result.species, inTree: result.inTree }
+    });
+    return true;
+}
+
+/**
+ * Core index plus one detail shard per order (see shardMammalData). Shards
+ * are written compact: they are what the game downloads.
+ */
+async function shard(build) {
+    const { index, shards } = modules.shardMammalData(build.sources.mammals, build.version);
+    const files = { 'index.json': index, ...shards };
+    const bytes = (value) => Buffer.byteLength(JSON.stringify(value));
+    console.log(`Core index: ${index.mammals.length} species, ${(bytes(index) / 1024).toFixed(0)} KB; `
+        + `${Object.keys(shards).length} shards, ${(Object.values(shards).reduce((sum, value) => sum + bytes(value), 0) / 1024).toFixed(0)} KB`);
+
+    if (build.options.inPlace) {
+        const dir = resolvePath(SHARD_DIR);
+        await fs.mkdir(dir, { recursive: true });
+        for (const [name, value] of Object.entries(files)) {
+            await fs.writeFile(path.join(dir, name), `${JSON.stringify(value)}\n`);
+        }
+        console.log(`Wrote ${Object.keys(files).length} files to ${SHARD_DIR}/`);
+        return true;
+    }
+    for (const [name, value] of Object.entries(files)) {
+        await writeArtifact(build, `mammals/${name}`, `${JSON.stringify(value)}\n`, {
+            command: 'shard',
+            summary: name === 'index.json'
+                ? { species: value.mammals.length, shards: Object.keys(shards).length }
+                : { order: value.order, species: Object.keys(value.details).length }
+        });
+    }
+    return true;
+}
+
+// ==================== Main ====================
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    if (!COMMANDS.includes(command)) {
+        console.error(`Usage: node scripts/mammal-build.js <${COMMANDS.join('|')}> [options]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    modules = await loadModules();
+    if (command === 'import') {
+        if (!await importFile(args[0], options)) process.exitCode = 1;
+        return;
+    }
+
+    const sources = await readSources(options);
+    const build = { sources, options, version: await getVersion(sources) };
+    console.log(`Data version ${build.version}`);
+
+    const steps = {
+        validate,
+        annotate,
+        'reconcile-with-tree': reconcileWithTree,
+        prune,
+        stats,
+        shard
+    };
+    const run = command === 'build' ? Object.keys(steps) : [command];
+    let ok = true;
+    for (const step of run) {
+        if (run.length > 1) console.log(`\n== ${step} ==`);
+        ok = await steps[step](build) && ok;
+    }
+    if (!ok) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Play Mammal Mystery in the terminal, against the real tree and dataset
+ * Run with: node scripts/play.js [--daily] [--seed=abc] [--preset=hard] [--metric=mrca-age] ...
+ *
+ * Any setting the page accepts as a URL parameter (preset, guesses, options,
+ * feedback, transform, metric, openPool, fossils) can be passed as a flag.
+ * During a round, type part of a name to guess, or one of: hint, list, quit.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same interface as the browser's fetch loader, reading files from the repository
+const fileLoader = {
+    json: async (file) => JSON.parse(await fs.readFile(path.join(ROOT, file), 'utf8')),
+    text: async (file) => fs.readFile(path.join(ROOT, file), 'utf8')
+};
+
+function parseArgs(argv) {
+    const query = new URLSearchParams();
+    const args = { daily: false, seed: null, query };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) continue;
+        const [, key, inline] = match;
+        if (key === 'daily') {
+            args.daily = true;
+            continue;
+        }
+        const value = inline ?? argv[++i] ?? '';
+        if (key === 'seed') {
+            args.seed = value;
+        } else {
+            query.set(key, value);
+        }
+    }
+    return args;
+}
+
+function formatMammal(mammal) {
+    return mammal.common_name
+        ? `${mammal.common_name} (${mammal.scientific_name})`
+        : mammal.scientific_name;
+}
+
+function formatSharedTaxon(shared) {
+    if (!shared || shared.level === 'species') return '';
+    const parts = [];
+    if (shared.level !== 'class') parts.push(`${shared.level} ${shared.name}`);
+    if (shared.clade) {
+        parts.push(shared.clade);
+    } else if (shared.level === 'class' && shared.name) {
+        parts.push(shared.name);
+    }
+    return parts.join(' · ');
+}
+
+async function main() {
+    const { GameEngine } = await import('../js/modules/GameEngine.js');
+    const { GameSettings } = await import('../js/modules/GameSettings.js');
+    const {
+        formatDivergenceTime,
+        describeRankUncertainty,
+        describePlacementEstimate
+    } = await import('../js/modules/GuessFeedback.js');
+    const { getDateKey, getDailySeed } = await import('../js/modules/utils/SeededRandom.js');
+
+    const args = parseArgs(process.argv.slice(2));
+    const settings = new GameSettings(null, args.query.toString());
+
+    const engine = new GameEngine({ loader: fileLoader });
+    await engine.loadData();
+    process.stdout.write('Loading phylogenetic tree...');
+    const treeLoaded = await engine.loadTree({ pools: [settings.get().pool] })
+        .catch(error => {
+            console.warn('\nFailed to load phylogenetic tree:', error.message);
+            return false;
+        });
+    console.log(treeLoaded ? ' done' : ' unavailable, ranking by taxonomy');
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (prompt) => {
+        process.stdout.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? null : value.trim();
+    };
+
+    let daily = args.daily;
+    let seed = args.seed;
+
+    for (;;) {
+        await engine.startRound({
+            settings: daily ? settings.getDailySettings() : settings.get(),
+            mode: daily ? 'daily' : 'random',
+            seed: daily ? getDailySeed() : seed,
+            dateKey: daily ? getDateKey() : null
+        });
+        const { roundSettings } = engine;
+        console.log(`\nNew ${daily ? `daily (${engine.roundDateKey}) ` : ''}round · seed ${engine.roundSeed}`);
+        console.log(`${engine.roundOpenPool ? engine.roundPoolSize : engine.gameOptions.length} species · `
+            + `${roundSettings.maxGuesses} guesses · ranked by ${engine.roundRankedBy}`);
+
+        while (engine.gameState === 'playing') {
+            const input = await ask(`\nGuess ${engine.currentGuess}/${engine.getGuessBudget()} > `);
+            if (input === null || input === 'quit') {
+                rl.close();
+                return;
+            }
+            if (!input) continue;
+
+            if (input === 'list') {
+                engine.gameOptions
+                    .map(formatMammal)
+                    .sort()
+                    .forEach(name => console.log(`  ${name}`));
+                continue;
+            }
+
+            if (input === 'hint') {
+                const { hint, affordable } = engine.peekHint();
+                if (!hint) {
+                    console.log('No hints left.');
+                } else if (!affordable) {
+                    console.log(`The next hint costs ${hint.cost} guess(es); not enough left.`);
+                } else {
+                    console.log(`Hint (-${hint.cost}): ${engine.useHint().text}`);
+                }
+                continue;
+            }
+
+            const candidates = engine.searchGuessCandidates(input);
+            if (candidates.length === 0) {
+                console.log('No remaining species match that name.');
+                continue;
+            }
+
+            let mammal = candidates[0].mammal;
+            if (candidates.length > 1 && candidates[0].matchedName.toLowerCase() !== input.toLowerCase()) {
+                candidates.forEach(({ mammal: candidate }, index) => {
+                    console.log(`  ${index + 1}. ${formatMammal(candidate)}`);
+                });
+                const choice = Number(await ask('Pick a number (Enter to cancel) > '));
+                if (!Number.isInteger(choice) || !candidates[choice - 1]) continue;
+                mammal = candidates[choice - 1].mammal;
+            }
+
+            const outcome = engine.makeGuess(mammal);
+            if (!outcome) continue;
+
+            const { guess, isCorrect, comparison } = outcome;
+            if (isCorrect) {
+                console.log(`${formatMammal(mammal)} — correct!`);
+                continue;
+            }
+
+            const parts = [`rank #${guess.rank ?? '?'} of ${guess.totalRanks}`];
+            if (guess.tieSize > 1) parts.push(`tied with ${guess.tieSize - 1} other(s)`);
+            if (comparison === 'green') parts.push('closer');
+            if (comparison === 'red') parts.push('farther');
+            if (roundSettings.feedback === 'full') {
+                const shared = formatSharedTaxon(guess.sharedTaxon);
+                if (shared) parts.push(`shares ${shared}`);
+                const age = formatDivergenceTime(guess.divergenceMa);
+                if (age) parts.push(`split ${age}`);
+            }
+            console.log(`${formatMammal(mammal)} — ${parts.join(' · ')}`);
+            const uncertain = describeRankUncertainty(guess.rankUncertainty);
+            if (uncertain) console.log(`  ${uncertain}`);
+            const estimate = describePlacementEstimate(guess.placementEstimate);
+            if (estimate) console.log(`  ${estimate}`);
+        }
+
+        const result = engine.lastRoundResult;
+        console.log(result.won
+            ? `\nSolved in ${result.guessCount} guess(es).`
+            : `\nOut of guesses. It was ${formatMammal(engine.currentTarget)}.`);
+
+        const again = await ask('Play again? [y/N] ');
+        if (!again || !/^y/i.test(again)) break;
+        // Further rounds are random, with fresh seeds
+        daily = false;
+        seed = null;
+    }
+
+    rl.close();
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
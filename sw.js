@@ -0,0 +1,194 @@
+/**
+ * sw.js
+ * Service worker that keeps Mammal Mystery playable offline
+ *
+ * The page, modules, styles and data files are precached at install.
+ * Same-origin requests are answered from the cache and refreshed in the
+ * background, so a new deploy is picked up on the next visit. Species images
+ * live on other sites: they are cached as they are shown, or ahead of time
+ * when the page posts the images of upcoming rounds (see OfflineSupport.js).
+ * An image that is neither cached nor reachable fails as usual, so the page
+ * can skip it or show its local placeholder.
+ */
+
+// Bump when the precache list changes so the stale shell cache is dropped
+const CACHE_VERSION = 4;
+const CACHE_PREFIX = 'mammal-mystery-';
+const CACHES = {
+    shell: `${CACHE_PREFIX}shell-v${CACHE_VERSION}`,
+    // Images and fonts outlive shell versions
+    images: `${CACHE_PREFIX}images`,
+    fonts: `${CACHE_PREFIX}fonts`
+};
+
+// Oldest images are dropped beyond this many
+const MAX_CACHED_IMAGES = 800;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './styles.css',
+    './manifest.webmanifest',
+    './placeholder.svg',
+    './mystery-mammal-logo.svg',
+    './paper-texture.png',
+    './lined-paper-2.png',
+    './js/main.js',
+    './js/modules/ChartRenderer.js',
+    './js/modules/DailyChallenge.js',
+    './js/modules/DataCache.js',
+    './js/modules/DataLoader.js',
+    './js/modules/DataValidator.js',
+    './js/modules/DistanceMetrics.js',
+    './js/modules/GameEngine.js',
+    './js/modules/GameSettings.js',
+    './js/modules/GuessFeedback.js',
+    './js/modules/HintLadder.js',
+    './js/modules/ImageCarousel.js',
+    './js/modules/MammalData.js',
+    './js/modules/MammalMysteryGame.js',
+    './js/modules/NameSearch.js',
+    './js/modules/OfflineSupport.js',
+    './js/modules/PhyloCalculator.js',
+    './js/modules/PhyloService.js',
+    './js/modules/PhyloTree.js',
+    './js/modules/PhyloWorker.js',
+    './js/modules/PlayerStats.js',
+    './js/modules/ShareSummary.js',
+    './js/modules/SharedTaxon.js',
+    './js/modules/SpeciesPool.js',
+    './js/modules/TreeExplorer.js',
+    './js/modules/TreeGraft.js',
+    './js/modules/TreeSample.js',
+    './js/modules/UIRenderer.js',
+    './js/modules/utils/ContentHash.js',
+    './js/modules/utils/DevLog.js',
+    './js/modules/utils/LcaIndex.js',
+    './js/modules/utils/SeededRandom.js',
+    './js/modules/utils/SpeciesNormalizer.js',
+    './FBD-tree.tre',
+    './data/clades.json',
+    './data/fossil_taxa.json',
+    './data/image_attributions.json',
+    './data/mammals/index.json',
+    './data/pools/index.json'
+];
+
+// Index files whose listed files are precached as well
+const INDEXED_FILES = [
+    { index: './data/mammals/index.json', list: (data) => Object.values(data.shards || {}) },
+    { index: './data/pools/index.json', list: (data) => (data.pools || []).map(pool => pool.file) }
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = new Set(Object.values(CACHES));
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.has(name))
+            .map(name => caches.delete(name)));
+        // Control the page that installed the worker, so its images are cached too
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.shell));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.fonts));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'cache-images' && Array.isArray(event.data.urls)) {
+        event.waitUntil(cacheImages(event.data.urls));
+    }
+});
+
+async function precache() {
+    const cache = await caches.open(CACHES.shell);
+    await cache.addAll(SHELL_FILES);
+
+    for (const { index, list } of INDEXED_FILES) {
+        const response = await cache.match(index);
+        const base = new URL(index, self.location.href);
+        const files = list(await response.json()).map(file => new URL(file, base).href);
+        await cache.addAll(files);
+    }
+}
+
+/**
+ * Answer from the cache and refresh the entry from the network; without a
+ * cached copy, wait for the network
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    // Every navigation is the one page, whatever its query (shared results, settings)
+    const key = request.mode === 'navigate' ? new URL('./index.html', self.location.href).href : request;
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok) {
+            event.waitUntil(cache.put(key, response.clone()));
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }
+    return refresh;
+}
+
+async function cacheFirstImage(request) {
+    const cache = await caches.open(CACHES.images);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Images from other sites are usually opaque: their status cannot be read
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MAX_CACHED_IMAGES);
+    }
+    return response;
+}
+
+/**
+ * Cache images one at a time, leaving the connection to the game
+ * @param {string[]} urls
+ */
+async function cacheImages(urls) {
+    const cache = await caches.open(CACHES.images);
+    for (const url of urls) {
+        if (await cache.match(url)) continue;
+        try {
+            const response = await fetch(url, { mode: 'no-cors' });
+            if (response.ok || response.type === 'opaque') await cache.put(url, response);
+        } catch {
+            // Offline or unreachable: the page asks again for the next round
+            return;
+        }
+    }
+    await trimCache(cache, MAX_CACHED_IMAGES);
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}